@@ -3,20 +3,38 @@
  * 
  * DO NOT MODIFY THIS FILE
  * 
- * IMPORTANT: Copy this file to config.js and replace placeholder values with your actual credentials.
+ * IMPORTANT: Copy this file to config.js and set your own values.
  * DO NOT commit your actual config.js file to version control.
  *
+ * Every setting is optional: the values below are the defaults (see lib/config.js),
+ * so config.js only needs the settings you change. Environment variables and
+ * command-line flags override config.js, e.g. WEATHER_API_KEY=... or
+ * `npm start -- --bedrock.client=mock` (see "Configuration" in README.md).
+ *
  * NOTE: You need to obtain your own free API key from https://www.weatherapi.com/
- * and replace the placeholder below with your key.
+ * and set it below (or in WEATHER_API_KEY), or choose a weather provider
+ * that needs no key (see weatherApi.provider below).
  * 
  */
 
 export const config = {
     // Weather API configuration
     weatherApi: {
-        // Replace with your own API key from https://www.weatherapi.com/
-        apiKey: "YOUR_WEATHER_API_KEY",
-        baseUrl: "https://api.weatherapi.com/v1"
+        // Weather provider: "weatherapi" (WeatherAPI.com), "open-meteo" (no API key needed)
+        // or "fixture" (deterministic data from fixturePath, no network needed)
+        provider: "weatherapi",
+        // Your own API key from https://www.weatherapi.com/, e.g. "0123abcd..."
+        apiKey: null,
+        baseUrl: "https://api.weatherapi.com/v1",
+        // Open-Meteo API base URLs (change these to use a self-hosted instance)
+        openMeteo: {
+            baseUrl: "https://api.open-meteo.com/v1",
+            geocodingUrl: "https://geocoding-api.open-meteo.com/v1",
+            archiveUrl: "https://archive-api.open-meteo.com/v1",
+            airQualityUrl: "https://air-quality-api.open-meteo.com/v1"
+        },
+        // Weather data file used by the fixture provider
+        fixturePath: "./fixtures/weather.json"
     },
     
     // Server configuration
@@ -27,6 +45,104 @@ export const config = {
     // Bedrock configuration
     bedrock: {
         region: "us-east-1",
-        modelId: "us.meta.llama3-2-90b-instruct-v1:0"
+        // AWS profile from ~/.aws/credentials or ~/.aws/config, or null to use the default
+        // credential chain (environment variables, AWS_PROFILE, SSO, container and instance roles)
+        profile: null,
+        // Default model
+        modelId: "us.meta.llama3-2-90b-instruct-v1:0",
+        // Other models a request may select with `modelId`. Each entry is a model id or
+        // { id, name, promptTemplate }; the default model is always allowed
+        models: [
+            { id: "us.meta.llama3-2-90b-instruct-v1:0", name: "Llama 3.2 90B Instruct" },
+            { id: "us.meta.llama3-1-70b-instruct-v1:0", name: "Llama 3.1 70B Instruct" },
+            { id: "us.meta.llama3-1-8b-instruct-v1:0", name: "Llama 3.1 8B Instruct" }
+        ],
+        // Chat template used to build prompts: "auto" (detect from the model id), "llama3" or "llama2"
+        promptTemplate: "auto",
+        // Inference parameters for requests that don't set them
+        inference: {
+            temperature: 0.7,
+            topP: 0.9,
+            maxTokens: 1024,
+            stopSequences: []
+        },
+        // Model client: "bedrock" (the real Bedrock runtime) or "mock" (scripted responses, no AWS credentials needed)
+        client: "bedrock",
+        // Script of canned responses used by the mock client
+        mockScript: "./fixtures/mock-bedrock.json",
+        // Delay between streamed chunks of the mock client, in milliseconds
+        mockChunkDelayMs: 30
+    },
+
+    // Tool use configuration
+    tools: {
+        // Maximum number of tool calls the model may make for a single prompt
+        maxIterations: 5,
+        // Maximum number of malformed sentinel tool calls the model may retry for a single prompt
+        maxRetries: 2,
+        // Maximum characters held back while waiting for a closing sentinel tag
+        sentinelMaxHold: 2000,
+        // Tool result cache: repeated calls with the same arguments reuse the result until it expires
+        cache: {
+            enabled: true,
+            // "memory", or "disk" to keep results in `directory` across restarts
+            store: "memory",
+            directory: "./.cache/tools",
+            // TTL for tools that don't declare a cacheTtl (0 = don't cache them)
+            defaultTtlSeconds: 0,
+            // Per-tool TTL overrides, e.g. { weather: 300, weather_alerts: 0 }
+            ttlSeconds: {}
+        },
+        // Approval of tool calls by the user before they run (streaming with tools only)
+        approval: {
+            // How long a tool call waits for a decision before it is denied
+            timeoutSeconds: 120,
+            // Tools that require approval in addition to those declaring requiresApproval,
+            // e.g. ["weather_alerts"]
+            tools: []
+        }
+    },
+    streams: {
+        // Maximum number of events kept per run for replay when a client reconnects
+        maxEvents: 5000,
+        // How long a resumable run keeps generating after its client disconnects, waiting
+        // for it to resume; runs of requests without "resumable": true are cancelled at once
+        resumeGraceMs: 30000,
+        // How long a finished run can still be resumed to replay its last events
+        retentionMs: 300000
+    },
+    metrics: {
+        // Number of recent requests listed by /api/metrics
+        recentRequests: 50,
+        // Prices in USD per 1,000 tokens, used to estimate the cost of each request.
+        // Models without a price report an estimated cost of null. Check the current
+        // Amazon Bedrock pricing for your region before relying on these numbers
+        prices: {
+            "us.meta.llama3-2-90b-instruct-v1:0": { inputPer1kTokens: 0.00072, outputPer1kTokens: 0.00072 },
+            "us.meta.llama3-1-70b-instruct-v1:0": { inputPer1kTokens: 0.00072, outputPer1kTokens: 0.00072 },
+            "us.meta.llama3-1-8b-instruct-v1:0": { inputPer1kTokens: 0.00022, outputPer1kTokens: 0.00022 }
+        }
+    },
+
+    // Structured logging configuration (JSON records, one per line)
+    logging: {
+        // Minimum level written: "debug", "info", "warn" or "error".
+        // "debug" also logs every SSE message sent to clients
+        level: "info",
+        // Write records to the console (errors to stderr, the rest to stdout)
+        console: true,
+        // JSONL files to append records to, each with an optional level of its own,
+        // e.g. [{ path: "logs/server.jsonl" }, { path: "logs/errors.jsonl", level: "error" }]
+        files: [],
+        redact: {
+            // Replace prompts and generated text, including the arguments of tool calls,
+            // with their length
+            prompts: false,
+            // Fields whose values are always replaced, at any depth
+            fields: ["apiKey", "authorization", "accessKeyId", "secretAccessKey", "sessionToken", "password"],
+            // Regular expressions replaced in every string; the first capture group is kept.
+            // The default hides API keys in query strings, e.g. in weather API error messages
+            patterns: ["([?&](?:key|api_key|apikey|appid)=)[^&\\s\"]+"]
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Approach Comparison
+ *
+ * The comparison endpoint runs one generation request through several of
+ * the examples at once and streams all of their messages over a single
+ * stream run. Each approach writes to its own ComparisonLane, which tags
+ * the messages with the approach name, so the client can show each one in
+ * its own column:
+ *
+ *   event: toolCall
+ *   data: {"approach":"stream-tools","toolCall":"weather","toolArgs":"{...}"}
+ *
+ * The lane also collects what the approach did (tool calls and their
+ * arguments, the answer, metrics and errors) for the summary that is sent
+ * once every approach has finished.
+ */
+
+/**
+ * One approach of a comparison
+ *
+ * A lane can be used wherever the examples expect a stream run: it has the
+ * run's AbortSignal, a logger and a send(event, data) method.
+ */
+export class ComparisonLane {
+    /**
+     * @param {StreamRun} run - Stream run of the comparison
+     * @param {string} approach - Name of the approach
+     */
+    constructor(run, approach) {
+        this.run = run;
+        this.approach = approach;
+        this.log = run.log?.child({ approach }) ?? null;
+        this.answer = "";
+        this.toolCalls = [];
+        this.invalidToolCalls = [];
+        this.metrics = null;
+        this.error = null;
+    }
+
+    /**
+     * @returns {AbortSignal} Aborted when the comparison is cancelled
+     */
+    get signal() {
+        return this.run.signal;
+    }
+
+    /**
+     * Record a message of the approach and send it to the clients of the run
+     *
+     * @param {string} event - Event type
+     * @param {Object} data - Event data
+     */
+    send(event, data) {
+        if (event === "text") {
+            this.answer += data.text;
+        } else if (event === "toolCall") {
+            this.toolCalls.push({ name: data.toolCall, input: JSON.parse(data.toolArgs) });
+        } else if (event === "toolError") {
+            this.invalidToolCalls.push({ name: data.toolName, args: data.toolArgs, error: data.toolError });
+        } else if (event === "metrics") {
+            this.metrics = data.metrics;
+        } else if (event === "error") {
+            this.error = data.error;
+        }
+        this.run.send(event, { approach: this.approach, ...data });
+    }
+
+    /**
+     * @returns {Object} { approach, toolCalls, invalidToolCalls, answer, metrics, error }
+     */
+    summary() {
+        return {
+            approach: this.approach,
+            toolCalls: this.toolCalls,
+            invalidToolCalls: this.invalidToolCalls,
+            answer: this.answer,
+            metrics: this.metrics,
+            error: this.error
+        };
+    }
+}
@@ -0,0 +1,527 @@
+/**
+ * Configuration Loading
+ *
+ * The server's settings come from four layers, each overriding the ones
+ * before it:
+ *
+ *   1. The defaults below
+ *   2. The `config` export of config.js (or the file given with --config or
+ *      CONFIG_FILE), which only needs the settings it changes
+ *   3. Environment variables (see ENV_VARIABLES), e.g. WEATHER_API_KEY
+ *   4. Command-line flags naming any setting, e.g. --server.port=4000
+ *
+ * The merged settings are validated against CONFIG_SCHEMA before the server
+ * starts. Every problem is reported at once, with the layer the value came
+ * from, e.g. "server.port must be of type integer (from PORT)".
+ */
+
+import { existsSync } from 'node:fs';
+import { basename, relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import { validateSchema } from './tools/schema.js';
+
+/**
+ * Default settings (see config.example.js for what each one does)
+ */
+export const DEFAULT_CONFIG = {
+    weatherApi: {
+        provider: "weatherapi",
+        apiKey: null,
+        baseUrl: "https://api.weatherapi.com/v1",
+        openMeteo: {
+            baseUrl: "https://api.open-meteo.com/v1",
+            geocodingUrl: "https://geocoding-api.open-meteo.com/v1",
+            archiveUrl: "https://archive-api.open-meteo.com/v1",
+            airQualityUrl: "https://air-quality-api.open-meteo.com/v1"
+        },
+        fixturePath: "./fixtures/weather.json"
+    },
+    server: {
+        port: 3000
+    },
+    bedrock: {
+        region: "us-east-1",
+        profile: null,
+        modelId: "us.meta.llama3-2-90b-instruct-v1:0",
+        models: [
+            { id: "us.meta.llama3-2-90b-instruct-v1:0", name: "Llama 3.2 90B Instruct" },
+            { id: "us.meta.llama3-1-70b-instruct-v1:0", name: "Llama 3.1 70B Instruct" },
+            { id: "us.meta.llama3-1-8b-instruct-v1:0", name: "Llama 3.1 8B Instruct" }
+        ],
+        promptTemplate: "auto",
+        inference: {
+            temperature: 0.7,
+            topP: 0.9,
+            maxTokens: 1024,
+            stopSequences: []
+        },
+        client: "bedrock",
+        mockScript: "./fixtures/mock-bedrock.json",
+        mockChunkDelayMs: 30
+    },
+    tools: {
+        maxIterations: 5,
+        maxRetries: 2,
+        sentinelMaxHold: 2000,
+        cache: {
+            enabled: true,
+            store: "memory",
+            directory: "./.cache/tools",
+            defaultTtlSeconds: 0,
+            ttlSeconds: {}
+        },
+        approval: {
+            timeoutSeconds: 120,
+            tools: []
+        }
+    },
+    streams: {
+        maxEvents: 5000,
+        resumeGraceMs: 30000,
+        retentionMs: 300000
+    },
+    metrics: {
+        recentRequests: 50,
+        prices: {
+            "us.meta.llama3-2-90b-instruct-v1:0": { inputPer1kTokens: 0.00072, outputPer1kTokens: 0.00072 },
+            "us.meta.llama3-1-70b-instruct-v1:0": { inputPer1kTokens: 0.00072, outputPer1kTokens: 0.00072 },
+            "us.meta.llama3-1-8b-instruct-v1:0": { inputPer1kTokens: 0.00022, outputPer1kTokens: 0.00022 }
+        }
+    },
+    logging: {
+        level: "info",
+        console: true,
+        files: [],
+        redact: {
+            prompts: false,
+            fields: ["apiKey", "authorization", "accessKeyId", "secretAccessKey", "sessionToken", "password"],
+            patterns: ["([?&](?:key|api_key|apikey|appid)=)[^&\\s\"]+"]
+        }
+    }
+};
+
+/**
+ * @param {Object} properties - Schemas of the properties of a section
+ * @returns {Object} Schema of a section that allows no other properties
+ */
+function section(properties) {
+    return { type: "object", properties, additionalProperties: false };
+}
+
+/**
+ * Schema of the settings. Settings marked `secret` are hidden by redactConfig.
+ */
+export const CONFIG_SCHEMA = section({
+    weatherApi: section({
+        provider: { type: "string", enum: ["weatherapi", "open-meteo", "fixture"] },
+        apiKey: { type: ["string", "null"], secret: true },
+        baseUrl: { type: "string", pattern: "^https?://" },
+        openMeteo: section({
+            baseUrl: { type: "string", pattern: "^https?://" },
+            geocodingUrl: { type: "string", pattern: "^https?://" },
+            archiveUrl: { type: "string", pattern: "^https?://" },
+            airQualityUrl: { type: "string", pattern: "^https?://" }
+        }),
+        fixturePath: { type: "string" }
+    }),
+    server: section({
+        port: { type: "integer", minimum: 0, maximum: 65535 }
+    }),
+    bedrock: section({
+        region: { type: "string", pattern: "^[a-z]{2}(-[a-z]+)+-\\d+$" },
+        profile: { type: ["string", "null"] },
+        modelId: { type: "string" },
+        models: {
+            type: "array",
+            items: {
+                type: ["string", "object"],
+                properties: {
+                    id: { type: "string" },
+                    name: { type: "string" },
+                    promptTemplate: { type: "string", enum: ["auto", "llama3", "llama2"] }
+                },
+                required: ["id"],
+                additionalProperties: false
+            }
+        },
+        promptTemplate: { type: "string", enum: ["auto", "llama3", "llama2"] },
+        inference: section({
+            temperature: { type: "number", minimum: 0, maximum: 1 },
+            topP: { type: "number", minimum: 0, maximum: 1 },
+            maxTokens: { type: "integer", minimum: 1, maximum: 2048 },
+            stopSequences: { type: "array", items: { type: "string" } }
+        }),
+        client: { type: "string", enum: ["bedrock", "mock"] },
+        mockScript: { type: "string" },
+        mockChunkDelayMs: { type: "integer", minimum: 0 }
+    }),
+    tools: section({
+        maxIterations: { type: "integer", minimum: 1 },
+        maxRetries: { type: "integer", minimum: 0 },
+        sentinelMaxHold: { type: "integer", minimum: 1 },
+        cache: section({
+            enabled: { type: "boolean" },
+            store: { type: "string", enum: ["memory", "disk"] },
+            directory: { type: "string" },
+            defaultTtlSeconds: { type: "number", minimum: 0 },
+            ttlSeconds: { type: "object", additionalProperties: { type: "number", minimum: 0 } }
+        }),
+        approval: section({
+            timeoutSeconds: { type: "number", minimum: 1 },
+            tools: { type: "array", items: { type: "string" } }
+        })
+    }),
+    streams: section({
+        maxEvents: { type: "integer", minimum: 1 },
+        resumeGraceMs: { type: "integer", minimum: 0 },
+        retentionMs: { type: "integer", minimum: 0 }
+    }),
+    metrics: section({
+        recentRequests: { type: "integer", minimum: 0 },
+        prices: {
+            type: "object",
+            additionalProperties: section({
+                inputPer1kTokens: { type: "number", minimum: 0 },
+                outputPer1kTokens: { type: "number", minimum: 0 }
+            })
+        }
+    }),
+    logging: section({
+        level: { type: "string", enum: ["debug", "info", "warn", "error"] },
+        console: { type: "boolean" },
+        files: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    path: { type: "string" },
+                    level: { type: "string", enum: ["debug", "info", "warn", "error"] }
+                },
+                required: ["path"],
+                additionalProperties: false
+            }
+        },
+        redact: section({
+            prompts: { type: "boolean" },
+            fields: { type: "array", items: { type: "string" } },
+            patterns: { type: "array", items: { type: "string" } }
+        })
+    })
+});
+
+/**
+ * Environment variables and the settings they override
+ */
+export const ENV_VARIABLES = {
+    PORT: "server.port",
+    BEDROCK_REGION: "bedrock.region",
+    BEDROCK_PROFILE: "bedrock.profile",
+    BEDROCK_MODEL_ID: "bedrock.modelId",
+    BEDROCK_CLIENT: "bedrock.client",
+    WEATHER_PROVIDER: "weatherApi.provider",
+    WEATHER_API_KEY: "weatherApi.apiKey",
+    LOG_LEVEL: "logging.level"
+};
+
+/**
+ * The API key placeholder of config.example.js
+ */
+const PLACEHOLDER_API_KEY = "YOUR_WEATHER_API_KEY";
+
+/**
+ * Error listing every problem found in the configuration
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - Description of each problem
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Load, merge and validate the configuration layers
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.args] - Command-line arguments, e.g. process.argv.slice(2)
+ * @param {Object} [options.env] - Environment variables, e.g. process.env
+ * @param {string} [options.defaultFile] - Configuration file used when none is given;
+ *   it may be missing
+ * @returns {Promise<Object>} { config, sources, file, warnings }: the settings, the
+ *   layer each setting came from (by path, e.g. "server.port": "PORT"), the
+ *   configuration file that was loaded (or null) and warnings about settings
+ *   that are valid but probably not what was intended
+ * @throws {ConfigError} If a layer can't be read or a setting is invalid
+ */
+export async function loadConfig({ args = [], env = {}, defaultFile = "config.js" } = {}) {
+    const { configFile, overrides: flagOverrides } = parseConfigFlags(args);
+    const problems = [];
+    const sources = {};
+    const config = structuredClone(DEFAULT_CONFIG);
+    mergeLayer(config, DEFAULT_CONFIG, "default", sources);
+
+    // The configuration file only has to exist when it was asked for
+    const requestedFile = configFile ?? env.CONFIG_FILE;
+    const file = resolve(requestedFile ?? defaultFile);
+    const fileName = requestedFile ?? basename(defaultFile);
+    const fileExists = existsSync(file);
+    if (fileExists) {
+        try {
+            const module = await import(pathToFileURL(file).href);
+            const fileConfig = module.config ?? module.default;
+            if (!isPlainObject(fileConfig)) {
+                problems.push(`${fileName} must export the settings as \`config\``);
+            } else {
+                mergeLayer(config, fileConfig, fileName, sources);
+            }
+        } catch (error) {
+            problems.push(`${fileName} could not be loaded: ${error.message}`);
+        }
+    } else if (requestedFile) {
+        problems.push(`Configuration file not found: ${requestedFile}`);
+    }
+
+    const envOverrides = Object.entries(ENV_VARIABLES)
+        .filter(([name]) => env[name] !== undefined && env[name] !== "")
+        .map(([name, path]) => ({ path, value: env[name], source: name }));
+
+    for (const { path, value, source } of [...envOverrides, ...flagOverrides]) {
+        const schema = schemaAt(path);
+        if (!schema) {
+            problems.push(`Unknown setting ${path} (from ${source})`);
+            continue;
+        }
+        setAt(config, path, parseSettingValue(schema, value));
+        sources[path] = source;
+        // A value replacing a whole section replaces the sources of its settings
+        for (const other of Object.keys(sources)) {
+            if (other.startsWith(`${path}.`)) {
+                sources[other] = source;
+            }
+        }
+    }
+
+    for (const error of validateSchema(CONFIG_SCHEMA, config, "config")) {
+        const path = error.slice("config.".length).split(" ")[0];
+        problems.push(`${error.slice("config.".length)} (from ${sourceOf(sources, path)})`);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    const warnings = [];
+    if (config.weatherApi.apiKey === PLACEHOLDER_API_KEY) {
+        // Copied from config.example.js without setting a key
+        config.weatherApi.apiKey = null;
+    }
+    if (config.weatherApi.provider === "weatherapi" && !config.weatherApi.apiKey) {
+        warnings.push("weatherApi.apiKey is not set, so the weather tools will fail. " +
+            "Set WEATHER_API_KEY, or choose the \"open-meteo\" provider, which needs no key");
+    }
+    return { config, sources, file: fileExists ? file : null, warnings };
+}
+
+/**
+ * Read the configuration flags of the command line
+ *
+ * @param {string[]} args - Command-line arguments
+ * @returns {Object} { configFile, overrides }, with the { path, value, source }
+ *   of each setting
+ * @throws {ConfigError} If an argument is not a --<setting>=<value> flag
+ */
+function parseConfigFlags(args) {
+    let configFile;
+    const overrides = [];
+    const problems = [];
+
+    for (const arg of args) {
+        const match = /^--([\w.-]+)=(.*)$/s.exec(arg);
+        if (!match) {
+            problems.push(`Unknown argument "${arg}". Set a setting with --<setting>=<value>, e.g. --server.port=4000`);
+        } else if (match[1] === "config") {
+            configFile = match[2];
+        } else {
+            overrides.push({ path: match[1], value: match[2], source: `--${match[1]}` });
+        }
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return { configFile, overrides };
+}
+
+/**
+ * Convert the text of an environment variable or flag to the setting's type
+ *
+ * Numbers and booleans are converted, lists are comma-separated (or JSON),
+ * objects are JSON, and "null" clears a setting that may be null. A value
+ * that can't be converted is kept as text, so validation reports it.
+ *
+ * @param {Object} schema - Schema of the setting
+ * @param {string} text - The value
+ * @returns {*} The converted value
+ */
+function parseSettingValue(schema, text) {
+    const types = [].concat(schema.type);
+    const value = text.trim();
+
+    if (types.includes("null") && value === "null") {
+        return null;
+    }
+    if ((types.includes("integer") || types.includes("number")) && value !== "" && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+    if (types.includes("array") || types.includes("object")) {
+        if (/^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                return text;
+            }
+        }
+        if (types.includes("array")) {
+            return value.split(",").map(item => item.trim()).filter(Boolean);
+        }
+    }
+    return text;
+}
+
+/**
+ * Copy the settings of a layer into the configuration, recording where
+ * each one came from
+ *
+ * Sections are merged setting by setting; lists and other values replace
+ * the value of the layers below. Settings the layer repeats with the same
+ * value keep the source they had.
+ *
+ * @param {Object} target - Configuration to update
+ * @param {Object} layer - Settings of the layer
+ * @param {string} source - Name of the layer
+ * @param {Object} sources - Layer of each setting, by path
+ * @param {string} [prefix] - Path of the section being merged
+ */
+function mergeLayer(target, layer, source, sources, prefix = "") {
+    for (const [key, value] of Object.entries(layer)) {
+        const path = prefix + key;
+        if (isPlainObject(value) && Object.keys(value).length > 0 && isPlainObject(target[key])) {
+            mergeLayer(target[key], value, source, sources, `${path}.`);
+        } else if (!(path in sources) || !isDeepStrictEqual(target[key], value)) {
+            target[key] = structuredClone(value);
+            sources[path] = source;
+        }
+    }
+}
+
+/**
+ * @param {string} path - Path of a setting, e.g. "bedrock.inference.topP"
+ * @returns {Object|null} Schema of the setting, or null if there is no such setting
+ */
+function schemaAt(path) {
+    let schema = CONFIG_SCHEMA;
+    for (const key of path.split(".")) {
+        schema = schema.properties?.[key] ??
+            (typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+        if (!schema) {
+            return null;
+        }
+    }
+    return schema;
+}
+
+/**
+ * Set a setting, creating the sections on its path
+ *
+ * @param {Object} config - Configuration
+ * @param {string} path - Path of the setting
+ * @param {*} value - Value
+ */
+function setAt(config, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let section = config;
+    for (const key of keys) {
+        if (!isPlainObject(section[key])) {
+            section[key] = {};
+        }
+        section = section[key];
+    }
+    section[last] = value;
+}
+
+/**
+ * @param {Object} sources - Layer of each setting, by path
+ * @param {string} path - Path of a setting or of a value inside it, e.g. "bedrock.models[1].id"
+ * @returns {string} The layer the value came from
+ */
+function sourceOf(sources, path) {
+    for (let current = path; current; current = current.replace(/(\.[^.[]*|\[\d+\])$/, "")) {
+        if (sources[current]) {
+            return sources[current];
+        }
+        if (!/[.[]/.test(current)) {
+            break;
+        }
+    }
+    return "default";
+}
+
+/**
+ * Hide the secret settings of a configuration, to show it to clients
+ *
+ * @param {Object} config - Configuration
+ * @param {Object} [schema] - Schema of the configuration
+ * @returns {Object} A copy with each secret setting replaced by "[redacted]",
+ *   or null when it is not set
+ */
+export function redactConfig(config, schema = CONFIG_SCHEMA) {
+    if (schema.secret) {
+        return config === null || config === undefined || config === "" ? null : "[redacted]";
+    }
+    if (!isPlainObject(config)) {
+        return structuredClone(config);
+    }
+    return Object.fromEntries(Object.entries(config).map(([key, value]) => {
+        const propertySchema = schema.properties?.[key] ??
+            (typeof schema.additionalProperties === "object" ? schema.additionalProperties : {});
+        return [key, redactConfig(value, propertySchema)];
+    }));
+}
+
+/**
+ * Describe a loaded configuration for clients, with secrets redacted
+ *
+ * @param {Object} loaded - The result of loadConfig
+ * @returns {Object} { file, settings }, with the { path, value, source } of
+ *   each setting; lists and empty sections are single settings
+ */
+export function describeConfig({ config, sources, file }) {
+    const settings = [];
+    const addSettings = (value, prefix) => {
+        for (const [key, item] of Object.entries(value)) {
+            const path = prefix + key;
+            if (isPlainObject(item) && Object.keys(item).length > 0) {
+                addSettings(item, `${path}.`);
+            } else {
+                settings.push({ path, value: item, source: sourceOf(sources, path) });
+            }
+        }
+    };
+    addSettings(redactConfig(config), "");
+
+    return { file: file && relative(process.cwd(), file), settings };
+}
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} Whether the value is a plain object (a section of settings)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
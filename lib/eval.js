@@ -0,0 +1,208 @@
+/**
+ * Tool Calling Evaluation
+ *
+ * Scores the tool calls an approach made for each case of an evaluation
+ * dataset against the calls the case expects (see scripts/eval.js):
+ *
+ *   {
+ *     "id": "paris-current",
+ *     "prompt": "What's the weather like in Paris right now?",
+ *     "expectedToolCalls": [{ "name": "weather", "arguments": { "location": "Paris" } }]
+ *   }
+ *
+ * Calls are paired by tool name. A paired call counts towards precision
+ * and recall whatever its arguments; its arguments match when every
+ * expected argument matches (strings case-insensitively, as a substring of
+ * the actual value, so "Paris" matches "Paris, France"; other values by
+ * equality). Arguments the case doesn't list are ignored.
+ *
+ * A case that expects tool calls but got an answer without any is counted
+ * as answered without tools: the model most likely made the weather up.
+ */
+
+/**
+ * Check whether the arguments of a tool call match the expected ones
+ *
+ * @param {Object} [expected] - Expected arguments; unlisted arguments are ignored
+ * @param {Object} [actual] - Arguments of the tool call
+ * @returns {boolean} True if every expected argument matches
+ */
+export function argumentsMatch(expected = {}, actual = {}) {
+    return Object.entries(expected).every(([name, value]) => {
+        const actualValue = actual[name];
+        if (typeof value === "string" && typeof actualValue === "string") {
+            return actualValue.toLowerCase().includes(value.toLowerCase());
+        }
+        return JSON.stringify(actualValue) === JSON.stringify(value);
+    });
+}
+
+/**
+ * Pair the actual tool calls of a case with the expected ones
+ *
+ * Each expected call is paired with an unpaired actual call of the same
+ * tool, preferring one whose arguments match.
+ *
+ * @param {Object[]} expected - Expected calls ({ name, arguments })
+ * @param {Object[]} actual - Actual calls ({ name, input })
+ * @returns {Object} Result containing:
+ *   - matched: { expected, actual, argumentsMatch } for each pair
+ *   - missing: Expected calls that were not made
+ *   - unexpected: Actual calls that were not expected
+ */
+export function matchToolCalls(expected, actual) {
+    const unpaired = [...actual];
+    const matched = [];
+    const missing = [];
+
+    for (const call of expected) {
+        const candidates = unpaired.filter(candidate => candidate.name === call.name);
+        const pair = candidates.find(candidate => argumentsMatch(call.arguments, candidate.input)) || candidates[0];
+        if (!pair) {
+            missing.push(call);
+            continue;
+        }
+        unpaired.splice(unpaired.indexOf(pair), 1);
+        matched.push({ expected: call, actual: pair, argumentsMatch: argumentsMatch(call.arguments, pair.input) });
+    }
+
+    return { matched, missing, unexpected: unpaired };
+}
+
+/**
+ * Score one approach on one case
+ *
+ * @param {Object} testCase - The dataset case
+ * @param {Object} summary - The approach's comparison summary
+ *   ({ approach, toolCalls, invalidToolCalls, answer, error }, see lib/comparison.js)
+ * @returns {Object} The case result
+ */
+export function scoreCase(testCase, summary) {
+    const expected = testCase.expectedToolCalls || [];
+    const { matched, missing, unexpected } = matchToolCalls(expected, summary.toolCalls);
+
+    return {
+        id: testCase.id,
+        approach: summary.approach,
+        expectedCalls: expected.length,
+        actualCalls: summary.toolCalls.length,
+        matchedCalls: matched.length,
+        argumentMatches: matched.filter(pair => pair.argumentsMatch).length,
+        missing,
+        unexpected,
+        argumentMismatches: matched.filter(pair => !pair.argumentsMatch),
+        parseFailures: summary.invalidToolCalls,
+        answeredWithoutTools: expected.length > 0 && summary.toolCalls.length === 0 && !summary.error,
+        answer: summary.answer,
+        error: summary.error
+    };
+}
+
+/**
+ * Aggregate the case results of every approach
+ *
+ * Precision, recall and the argument match rate are computed over all
+ * tool calls of an approach, and are null when there is nothing to divide by.
+ *
+ * @param {Object[]} results - Case results from scoreCase
+ * @returns {Object} { approaches: { <approach>: totals }, cases: results }
+ */
+export function buildReport(results) {
+    const approaches = {};
+    for (const result of results) {
+        const totals = approaches[result.approach] ??= {
+            cases: 0,
+            expectedCalls: 0,
+            actualCalls: 0,
+            matchedCalls: 0,
+            argumentMatches: 0,
+            parseFailures: 0,
+            casesWithParseFailures: 0,
+            answeredWithoutTools: 0,
+            errors: 0
+        };
+        totals.cases++;
+        totals.expectedCalls += result.expectedCalls;
+        totals.actualCalls += result.actualCalls;
+        totals.matchedCalls += result.matchedCalls;
+        totals.argumentMatches += result.argumentMatches;
+        totals.parseFailures += result.parseFailures.length;
+        totals.casesWithParseFailures += result.parseFailures.length > 0 ? 1 : 0;
+        totals.answeredWithoutTools += result.answeredWithoutTools ? 1 : 0;
+        totals.errors += result.error ? 1 : 0;
+    }
+
+    for (const totals of Object.values(approaches)) {
+        totals.precision = ratio(totals.matchedCalls, totals.actualCalls);
+        totals.recall = ratio(totals.matchedCalls, totals.expectedCalls);
+        totals.argumentMatchRate = ratio(totals.argumentMatches, totals.matchedCalls);
+    }
+    return { approaches, cases: results };
+}
+
+/**
+ * Format a report as text for the terminal
+ *
+ * @param {Object} report - Report from buildReport
+ * @returns {string} A summary per approach followed by the failed cases
+ */
+export function formatReport(report) {
+    const lines = [];
+    for (const [approach, totals] of Object.entries(report.approaches)) {
+        lines.push(
+            `${approach}`,
+            `  cases                   ${totals.cases}`,
+            `  tool call precision     ${formatRatio(totals.precision)} (${totals.matchedCalls}/${totals.actualCalls})`,
+            `  tool call recall        ${formatRatio(totals.recall)} (${totals.matchedCalls}/${totals.expectedCalls})`,
+            `  argument match rate     ${formatRatio(totals.argumentMatchRate)} (${totals.argumentMatches}/${totals.matchedCalls})`,
+            `  sentinel parse failures ${totals.parseFailures} in ${totals.casesWithParseFailures} case(s)`,
+            `  answered without tools  ${totals.answeredWithoutTools}`,
+            `  errors                  ${totals.errors}`,
+            ""
+        );
+    }
+
+    const failures = report.cases.filter(result =>
+        result.error || result.missing.length > 0 || result.unexpected.length > 0 ||
+        result.argumentMismatches.length > 0 || result.parseFailures.length > 0);
+    if (failures.length > 0) {
+        lines.push("Failed cases");
+    }
+    for (const result of failures) {
+        lines.push(`  ${result.id} (${result.approach})`);
+        if (result.error) {
+            lines.push(`    error: ${result.error}`);
+            continue;
+        }
+        for (const call of result.missing) {
+            lines.push(`    missing: ${call.name} ${JSON.stringify(call.arguments || {})}`);
+        }
+        for (const call of result.unexpected) {
+            lines.push(`    unexpected: ${call.name} ${JSON.stringify(call.input)}`);
+        }
+        for (const pair of result.argumentMismatches) {
+            lines.push(`    arguments: expected ${JSON.stringify(pair.expected.arguments)}, got ${JSON.stringify(pair.actual.input)}`);
+        }
+        for (const failure of result.parseFailures) {
+            lines.push(`    parse failure: ${failure.name}: ${failure.error}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * @param {number} count - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} The ratio, or null when the total is 0
+ */
+function ratio(count, total) {
+    return total === 0 ? null : count / total;
+}
+
+/**
+ * @param {number|null} value - A ratio
+ * @returns {string} The ratio as a percentage, or "n/a"
+ */
+function formatRatio(value) {
+    return value === null ? "n/a" : `${(value * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,188 @@
+/**
+ * Generation Requests
+ *
+ * Every generation endpoint accepts the same request: a JSON body for the
+ * POST endpoints, or query parameters for the GET streaming endpoints that
+ * are used with EventSource (which only accept `prompt`, `sessionId`, `modelId`
+ * and `resumable`).
+ *
+ *   {
+ *     "prompt": "Will it rain in Paris tomorrow?",
+ *     "messages": [
+ *       { "role": "user", "text": "What's the weather in Paris?" },
+ *       { "role": "assistant", "text": "It is 15°C and sunny in Paris." }
+ *     ],
+ *     "system": "Answer in one sentence.",
+ *     "modelId": "us.meta.llama3-1-70b-instruct-v1:0",
+ *     "inference": { "temperature": 0.5, "topP": 0.9, "maxTokens": 512, "stopSequences": ["\n\n"] },
+ *     "tools": ["weather_forecast"],
+ *     "requireApproval": true,
+ *     "resumable": true
+ *   }
+ *
+ * `messages` is the conversation so far in the session format (see
+ * lib/sessions.js), as an alternative to a server-side `sessionId`. When
+ * `prompt` is omitted, the last message must be the user prompt. `modelId`
+ * must be one of the allowed models (see lib/models.js), and inference
+ * parameters that are not set fall back to the configured defaults. `tools`
+ * selects the registered tools the model may use; all of them by default,
+ * none with an empty array. `requireApproval` asks the user to approve every
+ * tool call, not only calls to tools that require approval
+ * (see lib/tool-approvals.js). `resumable` keeps a streaming run generating
+ * for a while after its client disconnects, so the client can reconnect and
+ * resume it (see lib/stream-runs.js); other runs are cancelled at once.
+ */
+
+import { validateSchema } from './tools/schema.js';
+import { validateMessage } from './sessions.js';
+
+/**
+ * JSON schema of a generation request
+ */
+export const GENERATE_REQUEST_SCHEMA = {
+    type: "object",
+    properties: {
+        prompt: { type: "string" },
+        messages: { type: "array", items: { type: "object" } },
+        sessionId: { type: "string" },
+        system: { type: "string" },
+        modelId: { type: "string" },
+        inference: {
+            type: "object",
+            properties: {
+                temperature: { type: "number", minimum: 0, maximum: 1 },
+                topP: { type: "number", minimum: 0, maximum: 1 },
+                maxTokens: { type: "integer", minimum: 1, maximum: 2048 },
+                stopSequences: { type: "array", items: { type: "string" } }
+            },
+            additionalProperties: false
+        },
+        tools: { type: "array", items: { type: "string" } },
+        requireApproval: { type: "boolean" },
+        resumable: { type: "boolean" }
+    },
+    additionalProperties: false
+};
+
+/**
+ * Inference parameters used when neither the request nor config.js sets them
+ */
+export const DEFAULT_INFERENCE = {
+    temperature: 0.7,
+    topP: 0.9,
+    maxTokens: 1024,
+    stopSequences: []
+};
+
+/**
+ * Maximum number of stop sequences (the Converse API limit for most models)
+ */
+export const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Validate a generation request
+ *
+ * @param {Object} body - Request body or query parameters
+ * @param {Object} options
+ * @param {string[]} options.toolNames - Names of the registered tools
+ * @param {string[]} options.modelIds - Ids of the allowed models, the default model first
+ * @param {Object} [options.defaultInference] - Inference parameters from config.js
+ * @returns {Object} Result containing:
+ *   - prompt: The user prompt
+ *   - messages: The conversation before the prompt, in the session format
+ *   - sessionId: The session id, if any
+ *   - system: Additional system prompt, or null
+ *   - modelId: The model to use
+ *   - inference: Inference parameters ({ temperature, topP, maxTokens, stopSequences })
+ *   - tools: Names of the tools the model may use
+ *   - requireApproval: Whether every tool call must be approved
+ *   - resumable: Whether a streaming run waits for its client to reconnect
+ *   - error: Set instead when the request is invalid
+ */
+export function parseGenerateRequest(body, { toolNames, modelIds, defaultInference }) {
+    const request = body ?? {};
+    const errors = validateSchema(GENERATE_REQUEST_SCHEMA, request, "request");
+    if (errors.length > 0) {
+        return { error: errors.join("; ") };
+    }
+
+    const messages = [...(request.messages || [])];
+    try {
+        messages.forEach(validateMessage);
+    } catch (error) {
+        return { error: error.message };
+    }
+    if (request.sessionId && messages.length > 0) {
+        return { error: "Use either sessionId or messages, not both" };
+    }
+
+    let prompt = request.prompt;
+    if (prompt === undefined && messages.at(-1)?.role === "user") {
+        prompt = messages.pop().text;
+    }
+    if (!prompt) {
+        return { error: "Prompt is required" };
+    }
+
+    const unknownTools = (request.tools || []).filter(name => !toolNames.includes(name));
+    if (unknownTools.length > 0) {
+        return { error: `Unknown tools: ${unknownTools.join(", ")}` };
+    }
+
+    const modelId = request.modelId || modelIds[0];
+    if (!modelIds.includes(modelId)) {
+        return { error: `Model not allowed: ${modelId}. Use one of: ${modelIds.join(", ")}` };
+    }
+
+    const inference = { ...DEFAULT_INFERENCE, ...defaultInference, ...request.inference };
+    if (inference.stopSequences.length > MAX_STOP_SEQUENCES) {
+        return { error: `request.inference.stopSequences may have at most ${MAX_STOP_SEQUENCES} items` };
+    }
+    if (inference.stopSequences.some(sequence => !sequence)) {
+        return { error: "request.inference.stopSequences must not contain empty strings" };
+    }
+
+    return {
+        prompt,
+        messages,
+        sessionId: request.sessionId,
+        system: request.system || null,
+        modelId,
+        inference,
+        tools: request.tools || toolNames,
+        requireApproval: Boolean(request.requireApproval),
+        resumable: Boolean(request.resumable)
+    };
+}
+
+/**
+ * Convert inference parameters to the fields of a Llama InvokeModel body
+ *
+ * The body has no stop sequences; they are applied to the streamed text
+ * instead (see lib/stop-sequences.js).
+ *
+ * @param {Object} inference - Inference parameters
+ * @returns {Object} { temperature, top_p, max_gen_len }
+ */
+export function toLlamaParameters(inference) {
+    return {
+        temperature: inference.temperature,
+        top_p: inference.topP,
+        max_gen_len: inference.maxTokens
+    };
+}
+
+/**
+ * Convert inference parameters to a Converse API inferenceConfig
+ *
+ * @param {Object} inference - Inference parameters
+ * @returns {Object} { temperature, topP, maxTokens, stopSequences }
+ */
+export function toConverseInferenceConfig(inference) {
+    return {
+        temperature: inference.temperature,
+        topP: inference.topP,
+        maxTokens: inference.maxTokens,
+        ...(inference.stopSequences.length > 0 && { stopSequences: inference.stopSequences })
+    };
+}
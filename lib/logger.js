@@ -0,0 +1,210 @@
+/**
+ * Structured Logging
+ *
+ * Writes one JSON record per line, to the console and optionally to JSONL
+ * files:
+ *
+ *   {"time":"2025-01-01T12:00:00.000Z","level":"info","event":"tool.result","traceId":"3f2a...","tool":"weather","cache":"miss","durationMs":182}
+ *
+ * Every API request gets a child logger carrying its trace id, which is
+ * passed on to the model calls, sentinel detections, tool calls and SSE
+ * messages of the request, so all records of one request can be found
+ * with the id the client was given.
+ *
+ * Before a record is written, the values of secret fields (API keys,
+ * credentials) are replaced at any depth, configured patterns are replaced
+ * in every string, and, when prompt redaction is enabled, prompts and
+ * generated text are replaced with their length.
+ */
+
+import { createWriteStream, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * Log levels, from the most to the least verbose
+ */
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Fields holding prompts or generated text, replaced when prompts are redacted.
+ * The arguments of tool calls (input, payload, and raw and toolArgs as the
+ * model wrote them) are generated text too, and often quote the prompt.
+ */
+const PROMPT_FIELDS = new Set([
+    "prompt", "system", "messages", "text", "response", "answer", "trace", "content",
+    "input", "payload", "raw", "toolArgs"
+]);
+
+/**
+ * Logger writing structured records to its sinks
+ */
+export class Logger {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.sinks - { level, write(line) } of each destination
+     * @param {Object} [options.redaction] - { prompts, fields, patterns } (see createLogger)
+     * @param {Object} [options.context] - Fields added to every record
+     */
+    constructor({ sinks, redaction = {}, context = {} }) {
+        this.sinks = sinks;
+        this.redactionConfig = redaction;
+        this.redaction = {
+            prompts: Boolean(redaction.prompts),
+            fields: new Set((redaction.fields || []).map(field => field.toLowerCase())),
+            patterns: (redaction.patterns || []).map(pattern => new RegExp(pattern, "g"))
+        };
+        this.context = context;
+    }
+
+    /**
+     * Create a logger that adds fields to every record, e.g. a trace id
+     *
+     * @param {Object} context - Fields to add
+     * @returns {Logger} Logger sharing this logger's sinks and redaction
+     */
+    child(context) {
+        return new Logger({
+            sinks: this.sinks,
+            redaction: this.redactionConfig,
+            context: { ...this.context, ...context }
+        });
+    }
+
+    /**
+     * Write a record
+     *
+     * @param {string} level - "debug", "info", "warn" or "error"
+     * @param {string} event - What happened, e.g. "tool.result"
+     * @param {Object} [fields] - Details of the event
+     */
+    log(level, event, fields = {}) {
+        const sinks = this.sinks.filter(sink => LOG_LEVELS[level] >= sink.level);
+        if (sinks.length === 0) {
+            return;
+        }
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            event,
+            ...this.redact({ ...this.context, ...fields })
+        };
+        const line = JSON.stringify(record);
+        for (const sink of sinks) {
+            sink.write(line, level);
+        }
+    }
+
+    // Shorthands for log() at each level
+
+    debug(event, fields) {
+        this.log("debug", event, fields);
+    }
+
+    info(event, fields) {
+        this.log("info", event, fields);
+    }
+
+    warn(event, fields) {
+        this.log("warn", event, fields);
+    }
+
+    error(event, fields) {
+        this.log("error", event, fields);
+    }
+
+    /**
+     * Apply the redaction rules to a value
+     *
+     * @param {*} value - Value to log
+     * @param {string} [field] - Name of the field holding the value
+     * @returns {*} The value with secrets and, if configured, prompts replaced
+     */
+    redact(value, field) {
+        if (field && this.redaction.fields.has(field.toLowerCase())) {
+            return "[redacted]";
+        }
+        if (field && this.redaction.prompts && PROMPT_FIELDS.has(field)) {
+            return describeRedacted(value);
+        }
+        if (typeof value === "string") {
+            return this.redaction.patterns.reduce((text, pattern) =>
+                text.replace(pattern, (match, prefix) => (typeof prefix === "string" ? prefix : "") + "[redacted]"), value);
+        }
+        if (value instanceof Error) {
+            return this.redact({ name: value.name, message: value.message, stack: value.stack });
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item, key)]));
+        }
+        return value;
+    }
+}
+
+/**
+ * Create the logger described by the logging configuration
+ *
+ * @param {Object} [loggingConfig] - The logging section of config.js
+ * @param {string} [loggingConfig.level] - Minimum level written (default "info")
+ * @param {boolean} [loggingConfig.console] - Write to the console (default true)
+ * @param {Object[]} [loggingConfig.files] - { path, level } of each JSONL file to append to
+ * @param {Object} [loggingConfig.redact] - Redaction rules:
+ *   - prompts: Replace prompts and generated text with their length
+ *   - fields: Names of fields whose values are always replaced
+ *   - patterns: Regular expressions replaced in every string; the text of a
+ *     first capture group is kept, e.g. "([?&]key=)[^&]+" keeps "?key="
+ * @returns {Logger} The logger
+ */
+export function createLogger(loggingConfig = {}) {
+    const { level = "info", console: toConsole = true, files = [], redact } = loggingConfig;
+    const sinks = [];
+
+    if (toConsole) {
+        sinks.push({
+            level: levelValue(level),
+            write: (line, recordLevel) => (recordLevel === "error" ? process.stderr : process.stdout).write(line + "\n")
+        });
+    }
+    for (const file of files) {
+        mkdirSync(dirname(file.path), { recursive: true });
+        const stream = createWriteStream(file.path, { flags: "a" });
+        sinks.push({
+            level: levelValue(file.level || level),
+            write: line => stream.write(line + "\n")
+        });
+    }
+
+    return new Logger({ sinks, redaction: redact });
+}
+
+/**
+ * @param {string} level - Level name
+ * @returns {number} The level's value
+ */
+function levelValue(level) {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level: ${level}. Use one of: ${Object.keys(LOG_LEVELS).join(", ")}`);
+    }
+    return LOG_LEVELS[level];
+}
+
+/**
+ * @param {*} value - A redacted prompt or text value
+ * @returns {string|null} A placeholder with the size of the value, or the
+ *   value itself when there is nothing to hide
+ */
+function describeRedacted(value) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (typeof value === "string") {
+        return `[redacted: ${value.length} chars]`;
+    }
+    if (Array.isArray(value)) {
+        return `[redacted: ${value.length} items]`;
+    }
+    return "[redacted]";
+}
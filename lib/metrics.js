@@ -0,0 +1,256 @@
+/**
+ * Request Metrics
+ *
+ * Records how long each generation request took and how many tokens it
+ * used, so the approaches can be compared quantitatively:
+ *
+ *   timeToFirstTokenMs  Time until the first model text was sent to the client
+ *                       (the full response time for the non-streaming endpoint)
+ *   latencyMs           Total time of the request
+ *   toolTimeMs          Time spent executing tools (concurrent calls count once)
+ *   modelCalls          Input/output tokens and latency of every model call
+ *   estimatedCost       Cost in USD from the configured price table, or null
+ *                       when the model has no price
+ *
+ * Token counts come from the Converse `usage` fields, and for InvokeModel
+ * streams from the `amazon-bedrock-invocationMetrics` of the last chunk. A
+ * sentinel tool call stops reading the stream before that chunk, so the
+ * running `prompt_token_count` and `generation_token_count` of the chunks
+ * are used as well.
+ *
+ * When a logger is given, every model call is also logged when it starts
+ * and ends. Completed requests are aggregated per endpoint by a MetricsStore.
+ */
+
+import { performance } from 'node:perf_hooks';
+
+/**
+ * Metrics of one generation request
+ */
+export class RequestMetrics {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Endpoint path
+     * @param {string} options.modelId - Model id of the request
+     * @param {Object} [options.price] - { inputPer1kTokens, outputPer1kTokens } in USD
+     * @param {Logger} [options.log] - Logger of the request (see lib/logger.js)
+     */
+    constructor({ endpoint, modelId, price = null, log = null }) {
+        this.endpoint = endpoint;
+        this.modelId = modelId;
+        this.price = price;
+        this.log = log;
+        this.startedAt = performance.now();
+        this.firstTokenAt = null;
+        this.modelCalls = [];
+        this.toolCalls = [];
+        this.toolTimeMs = 0;
+    }
+
+    /**
+     * Record that model text is being sent to the client; only the first call counts
+     */
+    markFirstToken() {
+        this.firstTokenAt ??= performance.now();
+    }
+
+    /**
+     * Start timing a model call
+     *
+     * Model calls within a request are sequential, so updateModelCall and
+     * endModelCall apply to the latest call.
+     *
+     * @param {string} api - The Bedrock API called, e.g. "converse"
+     */
+    startModelCall(api) {
+        this.modelCalls.push({ api, startedAt: performance.now(), inputTokens: 0, outputTokens: 0, latencyMs: null });
+        this.log?.info("model.request", { api, modelId: this.modelId, call: this.modelCalls.length });
+    }
+
+    /**
+     * Update the token counts of the current model call
+     *
+     * @param {Object} usage - { inputTokens, outputTokens }; missing counts are left unchanged
+     */
+    updateModelCall({ inputTokens, outputTokens }) {
+        const call = this.modelCalls.at(-1);
+        if (Number.isFinite(inputTokens)) {
+            call.inputTokens = inputTokens;
+        }
+        if (Number.isFinite(outputTokens)) {
+            call.outputTokens = outputTokens;
+        }
+    }
+
+    /**
+     * Stop timing the current model call
+     */
+    endModelCall() {
+        const call = this.modelCalls.at(-1);
+        if (call.latencyMs !== null) {
+            return;
+        }
+        call.latencyMs = elapsedSince(call.startedAt);
+        this.log?.info("model.response", {
+            api: call.api,
+            modelId: this.modelId,
+            call: this.modelCalls.length,
+            inputTokens: call.inputTokens,
+            outputTokens: call.outputTokens,
+            latencyMs: call.latencyMs
+        });
+    }
+
+    /**
+     * Record tool calls and the time spent executing them
+     *
+     * @param {Object[]} calls - { name, durationMs, cache } of each tool call
+     * @param {number} durationMs - Wall-clock time of the calls, which may have run concurrently
+     */
+    recordToolCalls(calls, durationMs) {
+        this.toolCalls.push(...calls);
+        this.toolTimeMs += durationMs;
+    }
+
+    /**
+     * Complete the request
+     *
+     * @returns {Object} Summary of the request's metrics
+     */
+    finish() {
+        const latencyMs = elapsedSince(this.startedAt);
+        const modelCalls = this.modelCalls.map(call => ({
+            inputTokens: call.inputTokens,
+            outputTokens: call.outputTokens,
+            latencyMs: call.latencyMs ?? elapsedSince(call.startedAt)
+        }));
+        const inputTokens = sum(modelCalls.map(call => call.inputTokens));
+        const outputTokens = sum(modelCalls.map(call => call.outputTokens));
+
+        return {
+            endpoint: this.endpoint,
+            modelId: this.modelId,
+            timeToFirstTokenMs: this.firstTokenAt === null ? latencyMs : Math.round(this.firstTokenAt - this.startedAt),
+            latencyMs,
+            toolTimeMs: Math.round(this.toolTimeMs),
+            modelCalls,
+            toolCalls: this.toolCalls,
+            inputTokens,
+            outputTokens,
+            estimatedCost: this.price
+                ? roundCost(inputTokens / 1000 * this.price.inputPer1kTokens + outputTokens / 1000 * this.price.outputPer1kTokens)
+                : null
+        };
+    }
+}
+
+/**
+ * Read the token usage reported in an InvokeModel stream chunk
+ *
+ * @param {Object} chunk - Parsed chunk of a Llama InvokeModel stream
+ * @returns {Object} { inputTokens, outputTokens }; counts the chunk doesn't report are undefined
+ */
+export function usageFromInvokeChunk(chunk) {
+    const invocationMetrics = chunk["amazon-bedrock-invocationMetrics"];
+    if (invocationMetrics) {
+        return {
+            inputTokens: invocationMetrics.inputTokenCount,
+            outputTokens: invocationMetrics.outputTokenCount
+        };
+    }
+    return {
+        inputTokens: chunk.prompt_token_count ?? undefined,
+        outputTokens: chunk.generation_token_count ?? undefined
+    };
+}
+
+/**
+ * Aggregated metrics of the completed requests, per endpoint
+ */
+export class MetricsStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.recentLimit] - Number of recent request summaries to keep
+     */
+    constructor({ recentLimit = 50 } = {}) {
+        this.recentLimit = recentLimit;
+        this.endpoints = new Map();
+        this.recent = [];
+    }
+
+    /**
+     * @param {Object} summary - Summary from RequestMetrics.finish()
+     */
+    record(summary) {
+        const totals = this.endpoints.get(summary.endpoint) || {
+            requests: 0,
+            timeToFirstTokenMs: 0,
+            latencyMs: 0,
+            toolTimeMs: 0,
+            modelCalls: 0,
+            toolCalls: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            estimatedCost: 0
+        };
+        totals.requests++;
+        totals.timeToFirstTokenMs += summary.timeToFirstTokenMs;
+        totals.latencyMs += summary.latencyMs;
+        totals.toolTimeMs += summary.toolTimeMs;
+        totals.modelCalls += summary.modelCalls.length;
+        totals.toolCalls += summary.toolCalls.length;
+        totals.inputTokens += summary.inputTokens;
+        totals.outputTokens += summary.outputTokens;
+        totals.estimatedCost += summary.estimatedCost ?? 0;
+        this.endpoints.set(summary.endpoint, totals);
+
+        this.recent.unshift(summary);
+        this.recent.length = Math.min(this.recent.length, this.recentLimit);
+    }
+
+    /**
+     * @returns {Object} { endpoints, recent }: per-endpoint totals and averages,
+     *   and the most recent request summaries, newest first
+     */
+    snapshot() {
+        const endpoints = {};
+        for (const [endpoint, totals] of this.endpoints) {
+            endpoints[endpoint] = {
+                requests: totals.requests,
+                averageTimeToFirstTokenMs: Math.round(totals.timeToFirstTokenMs / totals.requests),
+                averageLatencyMs: Math.round(totals.latencyMs / totals.requests),
+                averageToolTimeMs: Math.round(totals.toolTimeMs / totals.requests),
+                averageModelCalls: totals.modelCalls / totals.requests,
+                toolCalls: totals.toolCalls,
+                inputTokens: totals.inputTokens,
+                outputTokens: totals.outputTokens,
+                estimatedCost: roundCost(totals.estimatedCost)
+            };
+        }
+        return { endpoints, recent: this.recent };
+    }
+}
+
+/**
+ * @param {number} start - performance.now() timestamp
+ * @returns {number} Milliseconds since then, rounded
+ */
+function elapsedSince(start) {
+    return Math.round(performance.now() - start);
+}
+
+/**
+ * @param {number[]} values - Numbers to add
+ * @returns {number} Their sum
+ */
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * @param {number} cost - Cost in USD
+ * @returns {number} The cost rounded to millionths of a dollar
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
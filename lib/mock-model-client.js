@@ -0,0 +1,341 @@
+/**
+ * Mock Model Client
+ *
+ * A scripted stand-in for the Bedrock runtime, for offline development and
+ * end-to-end tests without AWS credentials. It implements the same
+ * interface as lib/model-client.js and replays canned responses from a
+ * JSON script (see fixtures/mock-bedrock.json):
+ *
+ *   {
+ *     "scenarios": [
+ *       {
+ *         "name": "weather",
+ *         "match": "weather",
+ *         "invokeModelStream": [
+ *           ["Let me check. <CALL_WEA", "THER>{\"location\":\"Paris, France\"}</CALL_WEATHER>"],
+ *           "It is 15°C and sunny in Paris."
+ *         ],
+ *         "converse": [
+ *           { "stopReason": "tool_use", "content": [{ "toolUse": { "toolUseId": "mock-1", "name": "weather", "input": { "location": "Paris, France" } } }] },
+ *           { "stopReason": "end_turn", "content": [{ "text": "It is 15°C and sunny in Paris." }] }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * The first scenario whose `match` regular expression matches the latest
+ * user prompt is used. Each scenario lists one response per step, where
+ * the step is the number of tool results sent since that prompt, so the
+ * same script drives the whole tool loop without keeping any state.
+ * A stream step is either an array of chunks (to control exactly where
+ * chunk boundaries fall, e.g. inside a sentinel tag) or a string that is
+ * split into word-sized chunks. A chunk given as { "raw": "..." } is sent
+ * as is instead of as a JSON payload, to script malformed stream chunks.
+ * ConverseStream events are derived from the
+ * `converse` responses; a toolUse `input` given as a string is streamed as
+ * is, to script malformed tool input JSON.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Create a mock model client from a script file
+ *
+ * @param {Object} options
+ * @param {string} options.scriptPath - Path of the JSON script
+ * @param {number} [options.chunkDelayMs] - Delay between streamed chunks
+ * @returns {Promise<Object>} Model client
+ */
+export async function createMockModelClient({ scriptPath, chunkDelayMs = 30 }) {
+    const script = JSON.parse(await readFile(scriptPath, 'utf-8'));
+    return new MockModelClient(script, { chunkDelayMs });
+}
+
+/**
+ * Scripted model client implementing the model client interface
+ */
+export class MockModelClient {
+    /**
+     * @param {Object} script - Parsed mock script ({ scenarios: [...] })
+     * @param {Object} [options]
+     * @param {number} [options.chunkDelayMs] - Delay between streamed chunks
+     */
+    constructor(script, { chunkDelayMs = 0 } = {}) {
+        this.scenarios = (script.scenarios || []).map(scenario => ({
+            ...scenario,
+            pattern: new RegExp(scenario.match || ".*", "i")
+        }));
+        this.chunkDelayMs = chunkDelayMs;
+    }
+
+    async invokeModel(input, { signal } = {}) {
+        signal?.throwIfAborted();
+        const { prompt } = JSON.parse(input.body);
+        const { userText } = parsePrompt(prompt);
+        const generation = joinChunks(this.step("invokeModelStream", userText, 0));
+
+        return {
+            body: textEncoder.encode(JSON.stringify({
+                generation,
+                prompt_token_count: estimateTokens(prompt),
+                generation_token_count: estimateTokens(generation),
+                stop_reason: "stop"
+            }))
+        };
+    }
+
+    async invokeModelStream(input, { signal } = {}) {
+        signal?.throwIfAborted();
+        const { prompt } = JSON.parse(input.body);
+        const { userText, step } = parsePrompt(prompt);
+        const chunks = toChunks(this.step("invokeModelStream", userText, step));
+
+        return { body: this.streamInvokeChunks(prompt, chunks, signal) };
+    }
+
+    async converse(input, { signal } = {}) {
+        signal?.throwIfAborted();
+        const { userText, step } = parseConverseMessages(input.messages);
+        const response = toConverseResponse(input.messages, this.step("converse", userText, step));
+
+        // The Converse API returns tool inputs as parsed objects
+        response.output.message.content = response.output.message.content.map(block =>
+            typeof block.toolUse?.input === "string"
+                ? { toolUse: { ...block.toolUse, input: parseToolInput(block.toolUse.input) } }
+                : block);
+        return response;
+    }
+
+    async converseStream(input, { signal } = {}) {
+        signal?.throwIfAborted();
+        const { userText, step } = parseConverseMessages(input.messages);
+        const response = toConverseResponse(input.messages, this.step("converse", userText, step));
+
+        return { stream: this.streamConverseEvents(response, signal) };
+    }
+
+    /**
+     * Find the scripted response for a prompt and step
+     *
+     * @param {string} kind - "invokeModelStream" or "converse"
+     * @param {string} userText - The latest user prompt
+     * @param {number} step - Number of tool results since that prompt
+     * @returns {*} The scripted response; the last one is repeated past the end
+     */
+    step(kind, userText, step) {
+        const scenario = this.scenarios.find(candidate => candidate.pattern.test(userText) && candidate[kind]);
+        if (!scenario) {
+            throw new Error(`No mock scenario with ${kind} responses matches the prompt "${userText}"`);
+        }
+
+        const responses = scenario[kind];
+        return responses[Math.min(step, responses.length - 1)];
+    }
+
+    /**
+     * Replay chunks in the InvokeModelWithResponseStream format
+     *
+     * @param {string} prompt - The rendered prompt, used for token counts
+     * @param {Array<string|Object>} chunks - Text chunks to stream, or { raw } chunks to send as is
+     * @param {AbortSignal} [signal] - Stops the stream, like an aborted Bedrock request
+     */
+    async *streamInvokeChunks(prompt, chunks, signal) {
+        for (const [index, chunk] of chunks.entries()) {
+            await delay(this.chunkDelayMs);
+            signal?.throwIfAborted();
+
+            if (typeof chunk === "object") {
+                yield { chunk: { bytes: textEncoder.encode(chunk.raw) } };
+                continue;
+            }
+
+            const isLast = index === chunks.length - 1;
+            const payload = {
+                generation: chunk,
+                prompt_token_count: index === 0 ? estimateTokens(prompt) : null,
+                generation_token_count: index + 1,
+                stop_reason: isLast ? "stop" : null
+            };
+            if (isLast) {
+                payload["amazon-bedrock-invocationMetrics"] = {
+                    inputTokenCount: estimateTokens(prompt),
+                    outputTokenCount: estimateTokens(joinChunks(chunks)),
+                    invocationLatency: this.chunkDelayMs * chunks.length,
+                    firstByteLatency: this.chunkDelayMs
+                };
+            }
+            yield { chunk: { bytes: textEncoder.encode(JSON.stringify(payload)) } };
+        }
+    }
+
+    /**
+     * Replay a Converse response as ConverseStream events
+     *
+     * Text is streamed in word-sized deltas and tool input JSON in fragments,
+     * as the real API does.
+     *
+     * @param {Object} response - Converse response to stream
+     * @param {AbortSignal} [signal] - Stops the stream, like an aborted Bedrock request
+     */
+    async *streamConverseEvents(response, signal) {
+        yield { messageStart: { role: "assistant" } };
+
+        for (const [contentBlockIndex, block] of response.output.message.content.entries()) {
+            if (block.toolUse) {
+                const { toolUseId, name, input } = block.toolUse;
+                yield { contentBlockStart: { contentBlockIndex, start: { toolUse: { toolUseId, name } } } };
+                const inputJson = typeof input === "string" ? input : JSON.stringify(input);
+                for (const fragment of splitIntoFragments(inputJson, 3)) {
+                    await delay(this.chunkDelayMs);
+                    signal?.throwIfAborted();
+                    yield { contentBlockDelta: { contentBlockIndex, delta: { toolUse: { input: fragment } } } };
+                }
+            } else {
+                for (const text of toChunks(block.text)) {
+                    await delay(this.chunkDelayMs);
+                    signal?.throwIfAborted();
+                    yield { contentBlockDelta: { contentBlockIndex, delta: { text } } };
+                }
+            }
+            yield { contentBlockStop: { contentBlockIndex } };
+        }
+
+        yield { messageStop: { stopReason: response.stopReason } };
+        yield { metadata: { usage: response.usage, metrics: response.metrics } };
+    }
+}
+
+/**
+ * Find the latest user prompt in a rendered Llama prompt, and count the
+ * sentinel tool results that follow it
+ *
+ * Works with both the Llama 3 and Llama 2 templates. Turns that contain
+ * tool results (<..._RESULT> tags) are not user prompts.
+ *
+ * @param {string} prompt - Rendered prompt
+ * @returns {Object} { userText, step }
+ */
+function parsePrompt(prompt) {
+    const turnPattern = /<\|start_header_id\|>(?:user|ipython)<\|end_header_id\|>\n\n([\s\S]*?)<\|eot_id\|>|\[INST\]([\s\S]*?)\[\/INST\]/g;
+    const turns = [...prompt.matchAll(turnPattern)].map(match => ({
+        text: (match[1] ?? match[2]).replace(/<<SYS>>[\s\S]*?<<\/SYS>>/, "").trim(),
+        index: match.index
+    }));
+
+    const userTurn = turns.filter(turn => !/<\/[A-Z0-9_]+_RESULT>/.test(turn.text)).pop();
+    const afterUserTurn = userTurn ? prompt.slice(userTurn.index) : prompt;
+
+    return {
+        userText: userTurn?.text || "",
+        step: (afterUserTurn.match(/<\/[A-Z0-9_]+_RESULT>/g) || []).length
+    };
+}
+
+/**
+ * Find the latest user prompt in Converse messages, and count the tool
+ * result turns that follow it
+ *
+ * @param {Object[]} messages - Converse API messages
+ * @returns {Object} { userText, step }
+ */
+function parseConverseMessages(messages) {
+    const isPrompt = message => message.role === "user" && !message.content.some(block => block.toolResult);
+    const promptIndex = messages.findLastIndex(isPrompt);
+    const userText = promptIndex === -1
+        ? ""
+        : messages[promptIndex].content.filter(block => block.text).map(block => block.text).join("");
+
+    return {
+        userText,
+        step: messages.slice(promptIndex + 1).filter(message => message.role === "user").length
+    };
+}
+
+/**
+ * Build a Converse response from a scripted response
+ *
+ * @param {Object[]} messages - Converse API messages of the request
+ * @param {Object} scripted - Scripted { stopReason, content }
+ * @returns {Object} Converse response
+ */
+function toConverseResponse(messages, scripted) {
+    const outputText = scripted.content.map(block => block.text || JSON.stringify(block.toolUse?.input)).join("");
+    const inputTokens = estimateTokens(JSON.stringify(messages));
+    const outputTokens = estimateTokens(outputText);
+
+    return {
+        output: { message: { role: "assistant", content: scripted.content } },
+        stopReason: scripted.stopReason || "end_turn",
+        usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+        metrics: { latencyMs: 0 }
+    };
+}
+
+/**
+ * @param {string} inputJson - Tool input scripted as JSON text
+ * @returns {Object} The parsed input, or an empty input when it is malformed
+ */
+function parseToolInput(inputJson) {
+    try {
+        return JSON.parse(inputJson);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Normalize a stream step into chunks
+ *
+ * @param {string|Array<string|Object>} step - Explicit chunks, or text to split into words
+ * @returns {Array<string|Object>} Text chunks, and { raw } chunks
+ */
+function toChunks(step) {
+    if (Array.isArray(step)) {
+        return step;
+    }
+    return step.match(/\S+\s*|\s+/g) || [""];
+}
+
+/**
+ * @param {string|Array<string|Object>} step - Stream step
+ * @returns {string} The full text of the step
+ */
+function joinChunks(step) {
+    return toChunks(step).map(chunk => (typeof chunk === "object" ? chunk.raw : chunk)).join("");
+}
+
+/**
+ * Split a string into a number of fragments of similar length
+ *
+ * @param {string} text - Text to split
+ * @param {number} count - Number of fragments
+ * @returns {string[]} Fragments
+ */
+function splitIntoFragments(text, count) {
+    const size = Math.ceil(text.length / count);
+    const fragments = [];
+    for (let start = 0; start < text.length; start += size) {
+        fragments.push(text.slice(start, start + size));
+    }
+    return fragments;
+}
+
+/**
+ * Rough token estimate (about four characters per token)
+ *
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
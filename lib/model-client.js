@@ -0,0 +1,83 @@
+/**
+ * Model Client
+ *
+ * The endpoints talk to the model through a small client interface instead
+ * of using the Bedrock SDK directly, so the real Bedrock runtime can be
+ * swapped for the scripted mock in lib/mock-model-client.js:
+ *
+ *   invokeModel(input, options)        → InvokeModel response ({ body })
+ *   invokeModelStream(input, options)  → InvokeModelWithResponseStream response ({ body: async iterable })
+ *   converse(input, options)           → Converse response ({ output, stopReason, usage, metrics })
+ *   converseStream(input, options)     → ConverseStream response ({ stream: async iterable })
+ *
+ * Inputs and responses have the same shape as the corresponding Bedrock
+ * runtime commands. `options.signal` is an optional AbortSignal that cancels
+ * the request, including a stream that is still being read. The client is
+ * selected with `bedrock.client` in the configuration.
+ */
+
+import { fromIni, fromNodeProviderChain } from '@aws-sdk/credential-providers';
+import {
+    BedrockRuntimeClient,
+    InvokeModelWithResponseStreamCommand,
+    InvokeModelCommand,
+    ConverseCommand,
+    ConverseStreamCommand
+} from '@aws-sdk/client-bedrock-runtime';
+import { createMockModelClient } from './mock-model-client.js';
+
+/**
+ * Create a model client backed by the Amazon Bedrock runtime
+ *
+ * This uses the AWS credentials of a named profile, with credential refresh
+ * for long-running applications, or else the SDK's default credential chain
+ * (environment variables, AWS_PROFILE and the shared files, SSO, and
+ * container or instance roles)
+ *
+ * @param {Object} options
+ * @param {string} options.region - AWS region
+ * @param {string|null} [options.profile] - Profile in ~/.aws/credentials or ~/.aws/config
+ * @returns {Object} Model client
+ */
+export function createBedrockModelClient({ region, profile }) {
+    const bedrockClient = new BedrockRuntimeClient({
+        region,
+        credentials: profile
+            ? fromIni({ profile, refreshWithoutReauth: true })
+            : fromNodeProviderChain()
+    });
+
+    return {
+        invokeModel: (input, { signal } = {}) =>
+            bedrockClient.send(new InvokeModelCommand(input), { abortSignal: signal }),
+        invokeModelStream: (input, { signal } = {}) =>
+            bedrockClient.send(new InvokeModelWithResponseStreamCommand(input), { abortSignal: signal }),
+        converse: (input, { signal } = {}) =>
+            bedrockClient.send(new ConverseCommand(input), { abortSignal: signal }),
+        converseStream: (input, { signal } = {}) =>
+            bedrockClient.send(new ConverseStreamCommand(input), { abortSignal: signal })
+    };
+}
+
+/**
+ * Create the model client selected in the configuration
+ *
+ * @param {Object} bedrockConfig - The `bedrock` section of the configuration
+ * @returns {Promise<Object>} Model client
+ * @throws {Error} If the configured client type is unknown
+ */
+export async function createModelClient(bedrockConfig) {
+    const clientType = bedrockConfig.client || "bedrock";
+
+    switch (clientType) {
+        case "bedrock":
+            return createBedrockModelClient({ region: bedrockConfig.region, profile: bedrockConfig.profile });
+        case "mock":
+            return createMockModelClient({
+                scriptPath: bedrockConfig.mockScript,
+                chunkDelayMs: bedrockConfig.mockChunkDelayMs
+            });
+        default:
+            throw new Error(`Unknown bedrock.client "${clientType}". Use "bedrock" or "mock".`);
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Model Selection
+ *
+ * Requests may choose the model that generates the response from an
+ * allow-list in config.js (`bedrock.models`), so models can be compared
+ * without restarting the server. The default model (`bedrock.modelId`) is
+ * always allowed. Each model has the prompt template used to render its
+ * InvokeModel prompts, detected from the model id unless it is set.
+ */
+
+import { selectPromptTemplate } from './prompt-templates.js';
+
+/**
+ * List the models requests may select
+ *
+ * @param {Object} bedrockConfig - The `bedrock` section of config.js
+ * @returns {Object[]} Models ({ id, name, promptTemplate }), the default model first
+ * @throws {Error} If a prompt template is unknown
+ */
+export function listModels(bedrockConfig) {
+    const configured = (bedrockConfig.models || [])
+        .map(model => typeof model === "string" ? { id: model } : model);
+    const defaultModel = configured.find(model => model.id === bedrockConfig.modelId) || { id: bedrockConfig.modelId };
+
+    return [defaultModel, ...configured.filter(model => model !== defaultModel)].map(model => ({
+        id: model.id,
+        name: model.name || model.id,
+        promptTemplate: selectPromptTemplate(model.id, model.promptTemplate || bedrockConfig.promptTemplate)
+    }));
+}
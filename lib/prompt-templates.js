@@ -0,0 +1,127 @@
+/**
+ * Prompt Templates
+ *
+ * Renders a list of chat messages into the raw prompt text expected by
+ * InvokeModel / InvokeModelWithResponseStream for Llama models. Chat
+ * messages have a role and a content string:
+ *
+ *   { role: "system" | "user" | "assistant" | "tool", content: "..." }
+ *
+ * Each model family has its own template. The template is selected from
+ * the model id, or explicitly with `bedrock.promptTemplate` in config.js.
+ */
+
+/**
+ * Render chat messages with the Llama 3 chat template
+ *
+ * Each message becomes a header/end-of-turn block, and the prompt ends with
+ * an open assistant header so the model generates the next assistant turn:
+ *
+ *   <|begin_of_text|><|start_header_id|>system<|end_header_id|>
+ *
+ *   {system}<|eot_id|><|start_header_id|>user<|end_header_id|>
+ *
+ *   {prompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>
+ *
+ * Tool output is rendered with the "ipython" role used by Llama 3.1 and later.
+ *
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} The rendered prompt
+ */
+export function renderLlama3Prompt(messages) {
+    const turns = messages.map(({ role, content }) => {
+        const header = role === "tool" ? "ipython" : role;
+        return `<|start_header_id|>${header}<|end_header_id|>\n\n${content.trim()}<|eot_id|>`;
+    });
+    return `<|begin_of_text|>${turns.join("")}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+}
+
+/**
+ * Render chat messages with the Llama 2 chat template
+ *
+ * Llama 2 only has user and assistant turns, so the leading system prompt
+ * is wrapped in <<SYS>> tags inside the first instruction, and tool output
+ * and later system messages are sent as user turns:
+ *
+ *   <s>[INST] <<SYS>>
+ *   {system}
+ *   <</SYS>>
+ *
+ *   {prompt} [/INST] {answer} </s><s>[INST] {prompt} [/INST]
+ *
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} The rendered prompt
+ */
+export function renderLlama2Prompt(messages) {
+    let system = null;
+    let rest = messages;
+    if (messages[0]?.role === "system") {
+        system = messages[0].content.trim();
+        rest = messages.slice(1);
+    }
+
+    // Merge consecutive non-assistant turns into a single instruction
+    const exchanges = [];
+    for (const { role, content } of rest) {
+        const last = exchanges[exchanges.length - 1];
+        if (role === "assistant") {
+            if (last && last.answer === null) {
+                last.answer = content.trim();
+            } else {
+                exchanges.push({ instruction: "", answer: content.trim() });
+            }
+        } else if (last && last.answer === null) {
+            last.instruction += `\n${content.trim()}`;
+        } else {
+            exchanges.push({ instruction: content.trim(), answer: null });
+        }
+    }
+
+    if (system !== null) {
+        const first = exchanges[0] || (exchanges[0] = { instruction: "", answer: null });
+        first.instruction = `<<SYS>>\n${system}\n<</SYS>>\n\n${first.instruction}`;
+    }
+
+    return exchanges.map(({ instruction, answer }) =>
+        answer === null
+            ? `<s>[INST] ${instruction.trim()} [/INST]`
+            : `<s>[INST] ${instruction.trim()} [/INST] ${answer} </s>`
+    ).join("");
+}
+
+/**
+ * Prompt templates by model family
+ */
+export const PROMPT_TEMPLATES = {
+    llama3: renderLlama3Prompt,
+    llama2: renderLlama2Prompt
+};
+
+/**
+ * Select the prompt template for a model
+ *
+ * @param {string} modelId - Bedrock model id, e.g. "us.meta.llama3-2-90b-instruct-v1:0"
+ * @param {string} [templateName] - Explicit template name; "auto" or empty detects it from the model id
+ * @returns {string} The template name
+ * @throws {Error} If the explicit template name is unknown
+ */
+export function selectPromptTemplate(modelId, templateName = "auto") {
+    if (templateName && templateName !== "auto") {
+        if (!PROMPT_TEMPLATES[templateName]) {
+            throw new Error(`Unknown prompt template "${templateName}". Use one of: auto, ${Object.keys(PROMPT_TEMPLATES).join(", ")}`);
+        }
+        return templateName;
+    }
+    return /llama2/.test(modelId) ? "llama2" : "llama3";
+}
+
+/**
+ * Render chat messages into a prompt with the given template
+ *
+ * @param {Object[]} messages - Chat messages
+ * @param {string} [templateName] - Template name (see PROMPT_TEMPLATES)
+ * @returns {string} The rendered prompt
+ */
+export function renderPrompt(messages, templateName = "llama3") {
+    return PROMPT_TEMPLATES[templateName](messages);
+}
@@ -0,0 +1,208 @@
+/**
+ * Streaming Sentinel Parser
+ *
+ * Incrementally parses streamed model output for sentinel tool calls such as
+ * <CALL_WEATHER>{"location":"Paris, France"}</CALL_WEATHER>. Text is fed in
+ * chunks exactly as it arrives from the model, and each call to feed()
+ * returns the events that can be determined so far:
+ *
+ *   { type: "text", text }                          Text that is safe to show to the user
+ *   { type: "toolCall", name, payload, raw, source } A complete tool call with its parsed JSON payload
+ *   { type: "error", name, raw, error, source }     A tool call that could not be parsed
+ *
+ * `raw` is the text between the tags, and `source` the whole call including
+ * the tags, for a consumer that shows a call as text instead of running it.
+ *
+ * Only text that could be the beginning of a start tag is withheld, so
+ * ordinary text is never delayed. Once a start tag is seen, text is held
+ * until the matching end tag arrives, up to `maxHold` characters; past that
+ * the call is reported as an error (without `source`), its start tag is
+ * released as text and the held text after it is scanned again, so a stray
+ * start tag does not hide the calls that follow it.
+ */
+
+/**
+ * Default maximum number of characters held while waiting for an end tag
+ */
+export const DEFAULT_MAX_HOLD = 2000;
+
+/**
+ * Incremental parser for sentinel tool calls in streamed text
+ */
+export class SentinelParser {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.tags - Tag pairs to detect: { name, start, end },
+     *   e.g. { name: "weather", start: "<CALL_WEATHER>", end: "</CALL_WEATHER>" }
+     * @param {number} [options.maxHold] - Maximum characters held inside an unterminated tag
+     */
+    constructor({ tags, maxHold = DEFAULT_MAX_HOLD }) {
+        if (!tags?.length) {
+            throw new Error("SentinelParser requires at least one tag pair");
+        }
+        this.tags = tags;
+        this.maxHold = maxHold;
+        this.buffer = "";
+        this.openTag = null;
+    }
+
+    /**
+     * Feed the next chunk of streamed text
+     *
+     * @param {string} chunk - Text from the model
+     * @returns {Object[]} Events determined by this chunk
+     */
+    feed(chunk) {
+        this.buffer += chunk;
+        const events = [];
+        this.scan(events);
+        return events;
+    }
+
+    /**
+     * Signal the end of the stream and release any held text
+     *
+     * @returns {Object[]} Remaining events
+     */
+    flush() {
+        const events = [];
+        while (this.openTag) {
+            this.releaseOpenTag(events, `Stream ended before ${this.openTag.end}`);
+            this.scan(events);
+        }
+        pushText(events, this.buffer);
+        this.buffer = "";
+        return events;
+    }
+
+    /**
+     * Consume the buffer up to the point where more text is needed
+     *
+     * @param {Object[]} events - Events to append to
+     */
+    scan(events) {
+        while (this.buffer) {
+            if (this.openTag) {
+                // Inside a tool call: wait for the end tag
+                const endIndex = this.buffer.indexOf(this.openTag.end);
+                if (endIndex === -1) {
+                    if (this.buffer.length > this.maxHold) {
+                        this.releaseOpenTag(events, `No ${this.openTag.end} within ${this.maxHold} characters`);
+                        continue;
+                    }
+                    break;
+                }
+
+                events.push(this.parseCall(this.openTag, this.buffer.slice(0, endIndex)));
+                this.buffer = this.buffer.slice(endIndex + this.openTag.end.length);
+                this.openTag = null;
+                continue;
+            }
+
+            // Outside a tool call: look for the earliest start tag
+            const start = this.findStartTag();
+            if (start) {
+                pushText(events, this.buffer.slice(0, start.index));
+                this.buffer = this.buffer.slice(start.index + start.tag.start.length);
+                this.openTag = start.tag;
+                continue;
+            }
+
+            // No start tag: emit everything except a possible start tag prefix
+            const heldLength = this.partialStartTagLength();
+            pushText(events, this.buffer.slice(0, this.buffer.length - heldLength));
+            this.buffer = this.buffer.slice(this.buffer.length - heldLength);
+            break;
+        }
+    }
+
+    /**
+     * Find the earliest complete start tag in the buffer
+     *
+     * @returns {Object|null} { tag, index } or null
+     */
+    findStartTag() {
+        let found = null;
+        for (const tag of this.tags) {
+            const index = this.buffer.indexOf(tag.start);
+            if (index !== -1 && (!found || index < found.index)) {
+                found = { tag, index };
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Length of the longest buffer suffix that is a prefix of a start tag
+     *
+     * @returns {number} Number of characters to withhold
+     */
+    partialStartTagLength() {
+        let longest = 0;
+        for (const { start } of this.tags) {
+            for (let length = Math.min(start.length - 1, this.buffer.length); length > longest; length--) {
+                if (start.startsWith(this.buffer.slice(-length))) {
+                    longest = length;
+                    break;
+                }
+            }
+        }
+        return longest;
+    }
+
+    /**
+     * Parse the payload of a complete tool call
+     *
+     * @param {Object} tag - The tag pair of the call
+     * @param {string} raw - Text between the start and end tags
+     * @returns {Object} A toolCall or error event
+     */
+    parseCall(tag, raw) {
+        const source = tag.start + raw + tag.end;
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (error) {
+            return { type: "error", name: tag.name, raw, error: `Invalid JSON payload: ${error.message}`, source };
+        }
+
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+            return { type: "error", name: tag.name, raw, error: "Tool call payload must be a JSON object", source };
+        }
+        return { type: "toolCall", name: tag.name, payload, raw, source };
+    }
+
+    /**
+     * Give up on the open tag: report an error and release its start tag
+     *
+     * The held text stays in the buffer, to be scanned again as text that
+     * may contain other calls.
+     *
+     * @param {Object[]} events - Events to append the error and the start tag to
+     * @param {string} reason - Why the tag was abandoned
+     */
+    releaseOpenTag(events, reason) {
+        const tag = this.openTag;
+        this.openTag = null;
+        events.push({ type: "error", name: tag.name, raw: this.buffer, error: reason });
+        pushText(events, tag.start);
+    }
+}
+
+/**
+ * Append a text event, merging it with a preceding text event
+ *
+ * @param {Object[]} events - Events collected so far
+ * @param {string} text - Text to emit
+ */
+function pushText(events, text) {
+    if (!text) {
+        return;
+    }
+    const last = events[events.length - 1];
+    if (last?.type === "text") {
+        last.text += text;
+    } else {
+        events.push({ type: "text", text });
+    }
+}
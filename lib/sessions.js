@@ -0,0 +1,231 @@
+/**
+ * Conversation Sessions
+ *
+ * Sessions keep the history of a conversation on the server so every
+ * endpoint can continue where the previous request left off. History is
+ * stored in a neutral format that can be reconstructed both into the
+ * Converse API `messages` array and into a Llama 3 multi-turn prompt:
+ *
+ *   { role: "user", text }
+ *   { role: "assistant", text, toolCalls: [{ id, name, input }] }
+ *   { role: "tool", toolCallId, name, result }
+ *
+ * Sessions are kept in memory and are lost when the server restarts.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+const ROLES = ["user", "assistant", "tool"];
+
+/**
+ * In-memory session store
+ */
+export class SessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    /**
+     * Create a new, empty session
+     *
+     * @param {Object} [options]
+     * @param {string} [options.title] - Optional display title
+     * @returns {Object} The new session
+     */
+    create({ title } = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            id: randomUUID(),
+            title: title || null,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * @param {string} id - Session id
+     * @returns {Object|undefined} The session
+     */
+    get(id) {
+        return this.sessions.get(id);
+    }
+
+    /**
+     * @returns {Object[]} Summaries of all sessions, most recently updated first
+     */
+    list() {
+        return [...this.sessions.values()]
+            .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Append messages to a session
+     *
+     * @param {string} id - Session id
+     * @param {Object[]} messages - Messages in the neutral session format
+     * @returns {Object} The updated session
+     * @throws {Error} If the session does not exist or a message is invalid
+     */
+    append(id, messages) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            throw new Error(`Session not found: ${id}`);
+        }
+
+        messages.forEach(validateMessage);
+        session.messages.push(...messages);
+        session.updatedAt = new Date().toISOString();
+
+        // Use the first user message as the title of untitled sessions
+        if (!session.title) {
+            const firstUserMessage = session.messages.find(message => message.role === "user");
+            session.title = firstUserMessage?.text.slice(0, 80) || null;
+        }
+        return session;
+    }
+
+    /**
+     * @param {string} id - Session id
+     * @returns {boolean} Whether the session existed
+     */
+    delete(id) {
+        return this.sessions.delete(id);
+    }
+}
+
+/**
+ * Validate a message in the neutral session format
+ *
+ * @param {Object} message - Message to validate
+ * @throws {Error} If the message is invalid
+ */
+export function validateMessage(message) {
+    if (!message || !ROLES.includes(message.role)) {
+        throw new Error(`Message role must be one of: ${ROLES.join(", ")}`);
+    }
+    if (message.role === "user" && typeof message.text !== "string") {
+        throw new Error("User messages must have a text string");
+    }
+    if (message.role === "assistant" && typeof message.text !== "string" && !message.toolCalls?.length) {
+        throw new Error("Assistant messages must have a text string or tool calls");
+    }
+    if (message.role === "tool" && (!message.toolCallId || !message.name)) {
+        throw new Error("Tool messages must have a toolCallId and a name");
+    }
+}
+
+/**
+ * Create a unique id for a tool call
+ *
+ * Converse API calls come with their own toolUseId, but sentinel tool
+ * calls need one so they can be replayed through the Converse API.
+ *
+ * @returns {string} Tool call id
+ */
+export function createToolCallId() {
+    return `tool_${randomUUID()}`;
+}
+
+/**
+ * Reconstruct session history into the Converse API `messages` array
+ *
+ * Tool results become toolResult blocks in a user turn, and consecutive
+ * turns with the same role are merged, since the Converse API requires
+ * user and assistant turns to alternate.
+ *
+ * @param {Object[]} messages - Messages in the neutral session format
+ * @returns {Object[]} Converse API messages
+ */
+export function toConverseMessages(messages) {
+    const converseMessages = [];
+
+    for (const message of messages) {
+        let role = message.role;
+        let content;
+
+        if (message.role === "tool") {
+            role = "user";
+            content = [{
+                toolResult: {
+                    toolUseId: message.toolCallId,
+                    content: [{ json: message.result }],
+                    status: message.result?.error ? "error" : "success"
+                }
+            }];
+        } else {
+            content = [];
+            if (message.text) {
+                content.push({ text: message.text });
+            }
+            for (const toolCall of message.toolCalls || []) {
+                content.push({
+                    toolUse: { toolUseId: toolCall.id, name: toolCall.name, input: toolCall.input }
+                });
+            }
+        }
+
+        // Skip empty turns, which the Converse API rejects
+        if (!content.length) {
+            continue;
+        }
+
+        const previous = converseMessages[converseMessages.length - 1];
+        if (previous?.role === role) {
+            previous.content.push(...content);
+        } else {
+            converseMessages.push({ role, content });
+        }
+    }
+
+    return converseMessages;
+}
+
+/**
+ * Convert Converse API messages produced during a request back into the
+ * neutral session format
+ *
+ * Text sent alongside tool results (such as the tool call limit notice)
+ * is an instruction to the model rather than part of the conversation,
+ * so it is not kept.
+ *
+ * @param {Object[]} converseMessages - Converse API messages
+ * @returns {Object[]} Messages in the neutral session format
+ */
+export function fromConverseMessages(converseMessages) {
+    const messages = [];
+    const toolNames = new Map();
+
+    for (const { role, content } of converseMessages) {
+        const text = content.filter(block => block.text).map(block => block.text).join("");
+
+        if (role === "assistant") {
+            const toolCalls = content
+                .filter(block => block.toolUse)
+                .map(({ toolUse }) => ({ id: toolUse.toolUseId, name: toolUse.name, input: toolUse.input }));
+            toolCalls.forEach(toolCall => toolNames.set(toolCall.id, toolCall.name));
+            messages.push(toolCalls.length ? { role, text, toolCalls } : { role, text });
+            continue;
+        }
+
+        const toolResults = content.filter(block => block.toolResult);
+        if (!toolResults.length) {
+            messages.push({ role, text });
+            continue;
+        }
+
+        for (const { toolResult } of toolResults) {
+            messages.push({
+                role: "tool",
+                toolCallId: toolResult.toolUseId,
+                name: toolNames.get(toolResult.toolUseId),
+                result: toolResult.content[0]?.json
+            });
+        }
+    }
+
+    return messages;
+}
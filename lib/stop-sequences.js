@@ -0,0 +1,89 @@
+/**
+ * Streaming Stop Sequences
+ *
+ * The Llama InvokeModel request body has no stop sequence parameter, so the
+ * InvokeModel endpoints apply a request's stop sequences to the streamed
+ * text themselves. As with the sentinel parser, text is fed in chunks as it
+ * arrives and only text that could be the beginning of a stop sequence is
+ * withheld. Once a stop sequence appears, the text before it is released,
+ * the stop sequence itself is dropped and the caller stops reading the stream.
+ * The Converse API applies stop sequences itself (`inferenceConfig.stopSequences`).
+ */
+
+/**
+ * Incremental filter that ends streamed text at the first stop sequence
+ */
+export class StopSequenceFilter {
+    /**
+     * @param {string[]} [stopSequences] - Sequences that end the generation
+     */
+    constructor(stopSequences = []) {
+        this.stopSequences = stopSequences.filter(Boolean);
+        this.buffer = "";
+        this.stopped = false;
+    }
+
+    /**
+     * Feed the next chunk of streamed text
+     *
+     * @param {string} chunk - Text from the model
+     * @returns {string} Text that is safe to show to the user; check `stopped`
+     *   afterwards to know whether a stop sequence was reached
+     */
+    feed(chunk) {
+        if (this.stopped) {
+            return "";
+        }
+        this.buffer += chunk;
+
+        // Find the earliest complete stop sequence
+        let stopIndex = -1;
+        for (const sequence of this.stopSequences) {
+            const index = this.buffer.indexOf(sequence);
+            if (index !== -1 && (stopIndex === -1 || index < stopIndex)) {
+                stopIndex = index;
+            }
+        }
+        if (stopIndex !== -1) {
+            const text = this.buffer.slice(0, stopIndex);
+            this.buffer = "";
+            this.stopped = true;
+            return text;
+        }
+
+        // Emit everything except a possible stop sequence prefix
+        const heldLength = this.partialStopSequenceLength();
+        const text = this.buffer.slice(0, this.buffer.length - heldLength);
+        this.buffer = this.buffer.slice(this.buffer.length - heldLength);
+        return text;
+    }
+
+    /**
+     * Signal the end of the stream and release any held text
+     *
+     * @returns {string} Remaining text
+     */
+    flush() {
+        const text = this.buffer;
+        this.buffer = "";
+        return text;
+    }
+
+    /**
+     * Length of the longest buffer suffix that is a prefix of a stop sequence
+     *
+     * @returns {number} Number of characters to withhold
+     */
+    partialStopSequenceLength() {
+        let longest = 0;
+        for (const sequence of this.stopSequences) {
+            for (let length = Math.min(sequence.length - 1, this.buffer.length); length > longest; length--) {
+                if (sequence.startsWith(this.buffer.slice(-length))) {
+                    longest = length;
+                    break;
+                }
+            }
+        }
+        return longest;
+    }
+}
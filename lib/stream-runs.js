@@ -0,0 +1,240 @@
+/**
+ * Resumable Stream Runs
+ *
+ * Each streaming generation is a run with a server-side id and a bounded log
+ * of the SSE events it has produced. Events are sent with typed event names
+ * and ids of the form "<runId>:<sequence>":
+ *
+ *   id: 3f2a...:12
+ *   event: text
+ *   data: {"text":"Hello"}
+ *
+ * When a connection drops, the browser's EventSource reconnects to the same
+ * URL with a Last-Event-ID header. The run id in that header identifies the
+ * run, which replays the events the client missed and continues streaming,
+ * instead of starting the generation over.
+ *
+ * A run is cancelled through its AbortSignal when its last client detaches.
+ * A resumable run keeps generating for a grace period first, waiting for
+ * the client to come back. Finished runs are kept for a while so late
+ * reconnects can still replay the end of the answer.
+ *
+ * A run may carry the logger of the request that started it, so records
+ * about the run share that request's trace id (see lib/logger.js).
+ */
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Format one SSE message
+ *
+ * @param {Object} message
+ * @param {string} [message.id] - Event id
+ * @param {string} [message.event] - Event type
+ * @param {Object} message.data - Data to send as JSON
+ * @returns {string} The message in the SSE wire format
+ */
+export function formatSSEMessage({ id, event, data }) {
+    return (id ? `id: ${id}\n` : "") +
+        (event ? `event: ${event}\n` : "") +
+        `data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse an event id of the form "<runId>:<sequence>"
+ *
+ * @param {string} eventId - Event id, e.g. from a Last-Event-ID header
+ * @returns {Object|null} { runId, sequence }, or null if the id is malformed
+ */
+export function parseEventId(eventId) {
+    const match = /^([\w-]+):(\d+)$/.exec(eventId || "");
+    return match ? { runId: match[1], sequence: Number(match[2]) } : null;
+}
+
+/**
+ * One streaming generation and the clients attached to it
+ */
+export class StreamRun {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Run id
+     * @param {number} options.maxEvents - Maximum number of events kept for replay
+     * @param {number} options.graceMs - How long the run continues without clients (0 to cancel at once)
+     * @param {number} options.retentionMs - How long a finished run can be resumed
+     * @param {Function} options.onExpire - Called when the run should be discarded
+     * @param {Logger} [options.log] - Logger of the request that started the run
+     */
+    constructor({ id, maxEvents, graceMs, retentionMs, onExpire, log = null }) {
+        this.id = id;
+        this.log = log?.child({ runId: id }) ?? null;
+        this.maxEvents = maxEvents;
+        this.graceMs = graceMs;
+        this.retentionMs = retentionMs;
+        this.onExpire = onExpire;
+
+        this.events = [];
+        this.nextSequence = 1;
+        this.clients = new Set();
+        this.status = "running";
+        this.controller = new AbortController();
+        this.graceTimer = null;
+    }
+
+    /**
+     * @returns {AbortSignal} Aborted when the run is cancelled
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Send an event to every attached client and keep it for replay
+     *
+     * @param {string} event - Event type
+     * @param {Object} data - Event data
+     */
+    send(event, data) {
+        const message = { id: `${this.id}:${this.nextSequence++}`, event, data };
+        this.events.push(message);
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+        }
+
+        const text = formatSSEMessage(message);
+        for (const res of this.clients) {
+            res.write(text);
+        }
+    }
+
+    /**
+     * Attach a client response, replaying the events after a sequence number
+     *
+     * @param {Object} res - Express response with SSE headers already set
+     * @param {number} [afterSequence] - Last sequence number the client received
+     * @returns {boolean} False if events after that sequence are no longer available
+     */
+    attach(res, afterSequence = 0) {
+        const oldest = parseEventId(this.events[0]?.id)?.sequence ?? this.nextSequence;
+        if (afterSequence + 1 < oldest) {
+            return false;
+        }
+
+        for (const message of this.events) {
+            if (parseEventId(message.id).sequence > afterSequence) {
+                res.write(formatSSEMessage(message));
+            }
+        }
+
+        if (this.status !== "running") {
+            res.end();
+            return true;
+        }
+
+        if (afterSequence > 0) {
+            this.log?.info("stream.resumed", { afterSequence });
+        }
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+        this.clients.add(res);
+        res.on('close', () => this.detach(res));
+        return true;
+    }
+
+    /**
+     * Detach a client; without clients the run is cancelled after the grace period
+     *
+     * @param {Object} res - Express response
+     */
+    detach(res) {
+        this.clients.delete(res);
+        if (this.status !== "running" || this.clients.size > 0 || this.graceTimer) {
+            return;
+        }
+        if (this.graceMs === 0) {
+            this.cancel();
+        } else {
+            this.graceTimer = setTimeout(() => this.cancel(), this.graceMs);
+            this.graceTimer.unref();
+        }
+    }
+
+    /**
+     * Cancel the run: abort its signal and close the attached clients
+     */
+    cancel() {
+        if (this.status !== "running") {
+            return;
+        }
+        this.status = "cancelled";
+        this.log?.info("stream.cancelled", { clients: this.clients.size, events: this.nextSequence - 1 });
+        this.controller.abort();
+        this.close();
+    }
+
+    /**
+     * Mark the run as complete and close the attached clients
+     */
+    finish() {
+        if (this.status !== "running") {
+            return;
+        }
+        this.status = "finished";
+        this.log?.info("stream.finished", { events: this.nextSequence - 1 });
+        this.close();
+    }
+
+    /**
+     * End every client response and schedule the run's expiry
+     */
+    close() {
+        clearTimeout(this.graceTimer);
+        for (const res of this.clients) {
+            res.end();
+        }
+        this.clients.clear();
+        setTimeout(() => this.onExpire(this), this.retentionMs).unref();
+    }
+}
+
+/**
+ * In-memory store of the current and recently finished stream runs
+ */
+export class StreamRunStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEvents] - Maximum number of events kept per run
+     * @param {number} [options.graceMs] - How long a resumable run continues without clients
+     * @param {number} [options.retentionMs] - How long a finished run can be resumed
+     */
+    constructor({ maxEvents = 5000, graceMs = 30000, retentionMs = 300000 } = {}) {
+        this.options = { maxEvents, graceMs, retentionMs };
+        this.runs = new Map();
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {Logger} [options.log] - Logger of the request that starts the run
+     * @param {boolean} [options.resumable] - Keep the run generating for the grace
+     *   period after its clients disconnect, instead of cancelling it at once
+     * @returns {StreamRun} A new run
+     */
+    create({ log, resumable = false } = {}) {
+        const run = new StreamRun({
+            id: randomUUID(),
+            ...this.options,
+            graceMs: resumable ? this.options.graceMs : 0,
+            onExpire: expired => this.runs.delete(expired.id),
+            log
+        });
+        this.runs.set(run.id, run);
+        return run;
+    }
+
+    /**
+     * @param {string} id - Run id
+     * @returns {StreamRun|undefined} The run
+     */
+    get(id) {
+        return this.runs.get(id);
+    }
+}
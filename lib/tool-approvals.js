@@ -0,0 +1,104 @@
+/**
+ * Tool Call Approvals
+ *
+ * Tools with side effects can require the user's approval before they run.
+ * When the streaming endpoint detects a call to such a tool, it creates a
+ * pending approval and pauses the run until the user decides:
+ *
+ * - approve: run the tool with the arguments the model chose
+ * - edit: run the tool with arguments the user edited
+ * - deny: don't run the tool; the model is told it was denied
+ *
+ * A call that is not decided within the timeout is treated as denied. The
+ * decision is submitted with POST /api/runs/:id/approvals/:approvalId.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Decisions a user can submit
+ */
+export const APPROVAL_DECISIONS = ["approve", "edit", "deny"];
+
+/**
+ * Pending tool call approvals of all stream runs
+ */
+export class ToolApprovalStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - How long a call waits for a decision
+     */
+    constructor({ timeoutMs = 120000 } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map();
+    }
+
+    /**
+     * Create a pending approval for a tool call
+     *
+     * @param {Object} options
+     * @param {string} options.runId - Id of the stream run making the call
+     * @param {string} options.tool - Tool name
+     * @param {Object} options.input - Tool input from the model
+     * @param {AbortSignal} [options.signal] - Cancels the approval with the run
+     * @returns {Object} { id, expiresAt, decision }, where decision is a promise
+     *   of { decision, input } with decision "approve", "edit", "deny" or
+     *   "timeout" and the input to run the tool with. It rejects with the
+     *   signal's abort reason when the run is cancelled.
+     */
+    create({ runId, tool, input, signal }) {
+        const id = randomUUID();
+        const expiresAt = Date.now() + this.timeoutMs;
+
+        const decision = new Promise((resolve, reject) => {
+            const onAbort = () => settle(null, signal.reason);
+            const timer = setTimeout(() => settle({ decision: "timeout", input }), this.timeoutMs);
+            const settle = (result, error) => {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", onAbort);
+                this.pending.delete(id);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            this.pending.set(id, { id, runId, tool, input, expiresAt, settle });
+            if (signal?.aborted) {
+                onAbort();
+            } else {
+                signal?.addEventListener("abort", onAbort, { once: true });
+            }
+        });
+
+        return { id, expiresAt, decision };
+    }
+
+    /**
+     * Look up a pending approval
+     *
+     * @param {string} id - Approval id
+     * @returns {Object|undefined} { id, runId, tool, input, expiresAt }
+     */
+    get(id) {
+        return this.pending.get(id);
+    }
+
+    /**
+     * Decide a pending approval, resuming the run that waits for it
+     *
+     * @param {string} id - Approval id
+     * @param {string} decision - "approve", "edit" or "deny"
+     * @param {Object} [input] - Edited tool input, for "edit"
+     * @returns {boolean} False if the approval is not pending
+     */
+    decide(id, decision, input) {
+        const approval = this.pending.get(id);
+        if (!approval) {
+            return false;
+        }
+        approval.settle({ decision, input: decision === "edit" ? input : approval.input });
+        return true;
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Tool Result Cache
+ *
+ * Caches successful tool results keyed on the tool name plus normalized
+ * arguments, so repeated questions about the same city within a tool's TTL
+ * don't call the weather API again. Concurrent identical calls are
+ * coalesced onto the one request already in flight.
+ *
+ * Every lookup reports how the result was obtained:
+ *
+ *   "miss"       The tool was executed and its result cached
+ *   "hit"        The result came from the cache
+ *   "coalesced"  The result came from an identical call that was already running
+ *
+ * Results are kept in memory by default, or in a directory of JSON files
+ * (FileCacheStore) so they survive restarts.
+ *
+ * A caller that is cancelled stops waiting. The shared request keeps running
+ * while other callers still wait for it, and is cancelled with the last one;
+ * the result of a cancelled request is not cached.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Cache of tool results with per-tool TTLs and in-flight request coalescing
+ */
+export class ToolResultCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Cache store (defaults to a MemoryCacheStore)
+     */
+    constructor({ store = new MemoryCacheStore() } = {}) {
+        this.store = store;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Return the cached result for a tool call, or compute and cache it
+     *
+     * Results containing an `error` are returned but not cached, so a failed
+     * call is retried the next time it is made.
+     *
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input
+     * @param {number} ttlMs - How long the result stays fresh
+     * @param {Function} compute - Async function executing the tool, called
+     *   with an AbortSignal that is aborted when every caller has been cancelled
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting for the result
+     * @returns {Promise<Object>} { result, cache: "hit" | "miss" | "coalesced" }
+     * @throws {Error} The signal's abort reason when the signal is aborted
+     */
+    async getOrCompute(name, input, ttlMs, compute, { signal } = {}) {
+        const key = createCacheKey(name, input);
+
+        let flight = this.inFlight.get(key);
+        const coalesced = Boolean(flight);
+        if (!flight) {
+            const controller = new AbortController();
+            const promise = this.lookupOrCompute(key, ttlMs, compute, controller.signal)
+                .finally(() => this.endFlight(key, flight));
+            flight = { promise, controller, waiters: 0 };
+            this.inFlight.set(key, flight);
+        }
+
+        flight.waiters++;
+        try {
+            const { result, cache } = await waitUnlessAborted(flight.promise, signal);
+            return { result, cache: coalesced ? "coalesced" : cache };
+        } finally {
+            flight.waiters--;
+            // The last caller was cancelled: nobody needs the result any more
+            if (flight.waiters === 0 && signal?.aborted) {
+                this.endFlight(key, flight);
+                flight.controller.abort(signal.reason);
+            }
+        }
+    }
+
+    /**
+     * Stop coalescing calls onto a request, so the next call starts a new one
+     *
+     * @param {string} key - Cache key
+     * @param {Object} flight - The request in flight
+     */
+    endFlight(key, flight) {
+        if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+        }
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @param {number} ttlMs - How long the result stays fresh
+     * @param {Function} compute - Async function executing the tool
+     * @param {AbortSignal} signal - Cancels the tool call
+     * @returns {Promise<Object>} { result, cache: "hit" | "miss" }
+     */
+    async lookupOrCompute(key, ttlMs, compute, signal) {
+        const entry = await this.store.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return { result: entry.result, cache: "hit" };
+        }
+
+        const result = await compute(signal);
+        if (signal.aborted) {
+            // The result of a cancelled call is incomplete, and nobody waits for it
+            return { result, cache: "miss" };
+        }
+        if (!result?.error) {
+            await this.store.set(key, { result, expiresAt: Date.now() + ttlMs });
+        } else if (entry) {
+            await this.store.delete(key);
+        }
+        return { result, cache: "miss" };
+    }
+}
+
+/**
+ * Create the tool result cache described by the configuration
+ *
+ * @param {Object} [cacheConfig] - The `tools.cache` section of config.js
+ * @returns {ToolResultCache|null} The cache, or null when caching is disabled
+ * @throws {Error} If the configured store is unknown
+ */
+export function createToolResultCache(cacheConfig) {
+    if (!cacheConfig?.enabled) {
+        return null;
+    }
+
+    const storeType = cacheConfig.store || "memory";
+    switch (storeType) {
+        case "memory":
+            return new ToolResultCache();
+        case "disk":
+            return new ToolResultCache({ store: new FileCacheStore(cacheConfig.directory || "./.cache/tools") });
+        default:
+            throw new Error(`Unknown tools.cache.store "${storeType}". Use "memory" or "disk".`);
+    }
+}
+
+/**
+ * In-memory cache store
+ */
+export class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * On-disk cache store: one JSON file per entry in a directory
+ */
+export class FileCacheStore {
+    /**
+     * @param {string} directory - Directory for the cache files, created on first write
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @returns {string} Path of the file for the key
+     */
+    filePath(key) {
+        const hash = createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await readFile(this.filePath(key), 'utf-8'));
+            // Guard against hash collisions
+            return entry.key === key ? entry : undefined;
+        } catch {
+            // Missing or unreadable entries are treated as cache misses
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(this.filePath(key), JSON.stringify({ key, ...entry }));
+    }
+
+    async delete(key) {
+        await rm(this.filePath(key), { force: true });
+    }
+}
+
+/**
+ * Wait for a promise, or reject as soon as the signal is aborted
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Signal that stops the wait
+ * @returns {Promise} Settles like the promise, unless aborted first
+ */
+function waitUnlessAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Build the cache key for a tool call
+ *
+ * Arguments are normalized so that calls which mean the same thing share
+ * an entry: object keys are sorted and strings are trimmed, lowercased and
+ * have their whitespace collapsed ("Paris,  France" and "paris, france").
+ *
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string} Cache key
+ */
+export function createCacheKey(name, input) {
+    return `${name}:${JSON.stringify(normalizeValue(input))}`;
+}
+
+/**
+ * @param {*} value - Value to normalize
+ * @returns {*} The normalized value
+ */
+function normalizeValue(value) {
+    if (typeof value === "string") {
+        return value.trim().replace(/\s+/g, " ").toLowerCase();
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeValue);
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => [key, normalizeValue(value[key])]));
+    }
+    return value;
+}
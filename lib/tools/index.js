@@ -0,0 +1,47 @@
+/**
+ * Built-in Tools
+ *
+ * To add a tool, declare it in its own module (see weather.js for an example)
+ * and register it below. It is then available to both the Converse endpoint
+ * and the sentinel streaming endpoint.
+ */
+
+import { ToolRegistry } from './registry.js';
+import { createToolResultCache } from './cache.js';
+import {
+    configureWeather,
+    weatherTool,
+    forecastTool,
+    hourlyForecastTool,
+    historyTool,
+    airQualityTool,
+    alertsTool
+} from './weather.js';
+
+export { ToolRegistry } from './registry.js';
+
+/**
+ * Create a registry containing all built-in tools
+ *
+ * @param {Object} options
+ * @param {Object} options.weather - The `weatherApi` section of the configuration
+ * @param {Object} [options.cache] - The `tools.cache` section of the configuration
+ * @param {Object} [options.approval] - The `tools.approval` section of the configuration
+ * @returns {ToolRegistry} Registry with the built-in tools registered
+ */
+export function createDefaultToolRegistry({ weather: weatherConfig, cache: cacheConfig, approval: approvalConfig }) {
+    configureWeather(weatherConfig);
+
+    return new ToolRegistry({
+        cache: createToolResultCache(cacheConfig),
+        defaultCacheTtl: cacheConfig?.defaultTtlSeconds,
+        cacheTtls: cacheConfig?.ttlSeconds,
+        approvalRequired: approvalConfig?.tools
+    })
+        .register(weatherTool)
+        .register(forecastTool)
+        .register(hourlyForecastTool)
+        .register(historyTool)
+        .register(airQualityTool)
+        .register(alertsTool);
+}
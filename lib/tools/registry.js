@@ -0,0 +1,279 @@
+/**
+ * Tool Registry
+ *
+ * Each tool is declared once (name, description, JSON schema, handler) and
+ * the registry derives everything the endpoints need from that declaration:
+ *
+ * 1. A Converse API `toolConfig` with one `toolSpec` per tool
+ * 2. A pair of sentinel tags per tool for the streaming endpoint
+ *    (e.g. <CALL_WEATHER>...</CALL_WEATHER> and <WEATHER_RESULT>...</WEATHER_RESULT>)
+ * 3. A system prompt that teaches the model how to use those sentinel tags
+ *
+ * Tools with side effects can declare `requiresApproval`, so the user must
+ * approve each call before it runs (see lib/tool-approvals.js).
+ */
+
+import { validateSchema } from './schema.js';
+
+/**
+ * Tool registry shared by the Converse and sentinel endpoints
+ */
+export class ToolRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {ToolResultCache} [options.cache] - Cache for tool results (see cache.js)
+     * @param {number} [options.defaultCacheTtl] - Cache TTL in seconds for tools without a `cacheTtl`
+     * @param {Object} [options.cacheTtls] - Cache TTLs in seconds by tool name, overriding the declarations
+     * @param {string[]} [options.approvalRequired] - Tools that require approval in addition to
+     *   those declaring `requiresApproval`
+     */
+    constructor({ cache = null, defaultCacheTtl = 0, cacheTtls = {}, approvalRequired = [] } = {}) {
+        this.tools = new Map();
+        this.cache = cache;
+        this.defaultCacheTtl = defaultCacheTtl;
+        this.cacheTtls = cacheTtls;
+        this.approvalRequired = approvalRequired;
+    }
+
+    /**
+     * Register a tool
+     *
+     * @param {Object} tool - Tool declaration
+     * @param {string} tool.name - Unique tool name (letters, digits and underscores)
+     * @param {string} tool.description - What the tool does, shown to the model
+     * @param {Object} tool.inputSchema - JSON schema describing the tool input
+     * @param {Function} tool.handler - Async function receiving the tool input and an options object
+     *   ({ signal }, an AbortSignal that fires when the request is cancelled) and returning a JSON result
+     * @param {Object} [tool.example] - Example input used in the sentinel system prompt
+     * @param {string} [tool.instructions] - Extra usage guidance appended to the sentinel system prompt
+     * @param {number} [tool.cacheTtl] - How long results may be cached, in seconds (0 disables caching)
+     * @param {Function} [tool.resolveInput] - Turns valid input into the input the handler runs
+     *   with, e.g. a relative date into a date, so results are cached under the resolved input
+     * @param {boolean} [tool.requiresApproval] - Whether the user must approve each call before it runs
+     * @returns {ToolRegistry} The registry, for chaining
+     */
+    register(tool) {
+        if (!tool?.name || !/^[A-Za-z0-9_]+$/.test(tool.name)) {
+            throw new Error(`Invalid tool name: ${tool?.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool "${tool.name}" must have a handler function`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is already registered`);
+        }
+
+        this.tools.set(tool.name, {
+            ...tool,
+            inputSchema: tool.inputSchema || { type: "object", properties: {} },
+            sentinels: createSentinelTags(tool.name)
+        });
+        return this;
+    }
+
+    /**
+     * Look up a registered tool by name
+     *
+     * @param {string} name - Tool name
+     * @returns {Object|undefined} The tool declaration
+     */
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    /**
+     * Check whether calls to a tool must be approved by the user
+     *
+     * @param {string} name - Tool name
+     * @returns {boolean} True if the tool declares `requiresApproval` or the
+     *   registry was configured to require approval for it
+     */
+    requiresApproval(name) {
+        return this.approvalRequired.includes(name) || Boolean(this.tools.get(name)?.requiresApproval);
+    }
+
+    /**
+     * @param {string[]} [names] - Only list these tools (defaults to every tool)
+     * @returns {Object[]} The registered tools in registration order
+     */
+    list(names) {
+        const tools = [...this.tools.values()];
+        return names ? tools.filter(tool => names.includes(tool.name)) : tools;
+    }
+
+    /**
+     * Validate tool input against the tool's input schema
+     *
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input from the model
+     * @returns {string[]} Validation errors, empty when the input is valid
+     */
+    validate(name, input) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return [`Unknown tool: ${name}`];
+        }
+        return validateSchema(tool.inputSchema, input);
+    }
+
+    /**
+     * Execute a tool with the input provided by the model
+     *
+     * Unknown tools, invalid input and handler failures are returned as
+     * `{ error }` results so they can be passed back to the model like any
+     * other tool result.
+     *
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input from the model
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the tool call
+     * @returns {Promise<Object>} The tool result
+     * @throws {Error} The signal's abort reason when the call is cancelled
+     */
+    async execute(name, input = {}, options = {}) {
+        return (await this.call(name, input, options)).result;
+    }
+
+    /**
+     * Execute a tool, using the result cache when it is enabled for the tool
+     *
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input from the model
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the tool call
+     * @returns {Promise<Object>} { result, cache }, where cache is "hit", "miss",
+     *   "coalesced" (see cache.js) or null when the result was not cacheable
+     * @throws {Error} The signal's abort reason when the call is cancelled
+     */
+    async call(name, input = {}, { signal } = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { result: { error: `Unknown tool: ${name}` }, cache: null };
+        }
+
+        const validationErrors = validateSchema(tool.inputSchema, input);
+        if (validationErrors.length) {
+            return { result: { error: `Invalid input: ${validationErrors.join("; ")}` }, cache: null };
+        }
+        if (tool.resolveInput) {
+            input = tool.resolveInput(input);
+        }
+
+        const ttl = this.cacheTtls[name] ?? tool.cacheTtl ?? this.defaultCacheTtl;
+        if (!this.cache || !ttl) {
+            const result = await runHandler(tool, input, { signal });
+            // A cancelled handler typically returns an { error } result; report the cancellation instead
+            signal?.throwIfAborted();
+            return { result, cache: null };
+        }
+
+        // Identical calls share one handler run, which is cancelled when all
+        // of their callers are
+        return this.cache.getOrCompute(name, input, ttl * 1000,
+            sharedSignal => runHandler(tool, input, { signal: sharedSignal }), { signal });
+    }
+
+    /**
+     * Create a tool configuration object for the Converse API
+     *
+     * @param {string[]} [names] - Only include these tools (defaults to every tool)
+     * @returns {Object} Tool configuration with one toolSpec per registered tool
+     */
+    toConverseToolConfig(names) {
+        return {
+            tools: this.list(names).map(tool => ({
+                toolSpec: {
+                    name: tool.name,
+                    description: tool.description,
+                    inputSchema: { json: tool.inputSchema }
+                }
+            }))
+        };
+    }
+
+    /**
+     * @returns {Object[]} Sentinel tags of every registered tool, with the tool name
+     */
+    sentinelTags() {
+        return this.list().map(tool => ({ name: tool.name, ...tool.sentinels }));
+    }
+
+    /**
+     * Build the system prompt that teaches the model the sentinel protocol
+     *
+     * @param {string[]} [names] - Only describe these tools (defaults to every tool)
+     * @returns {string} System prompt describing the registered tools
+     */
+    buildSentinelSystemPrompt(names) {
+        const toolDescriptions = this.list(names).map(tool => {
+            const { callStart, callEnd, resultStart, resultEnd } = tool.sentinels;
+            const example = JSON.stringify(tool.example || exampleFromSchema(tool.inputSchema));
+            const lines = [
+                `- ${tool.name}: ${tool.description}`,
+                `  Input JSON schema: ${JSON.stringify(tool.inputSchema)}`,
+                `  To call it, respond ONLY with ${callStart}${example}${callEnd} and wait for the result.`,
+                `  The result is provided in the format ${resultStart}{...}${resultEnd}.`
+            ];
+            if (tool.instructions) {
+                lines.push(`  ${tool.instructions}`);
+            }
+            return lines.join("\n");
+        });
+
+        return [
+            "You are a helpful assistant with access to the following tools:",
+            ...toolDescriptions,
+            "Only call a tool when it is needed to answer the user's question. The tool input must be valid JSON matching the schema.",
+            "When you receive a tool result, use that data to answer the user's question. You may call tools several times, one call at a time, waiting for each result before continuing.",
+            "Once you have the information you need, answer the user's question without issuing any further tool calls."
+        ].join("\n");
+    }
+}
+
+/**
+ * Run a tool handler, returning failures as `{ error }` results
+ *
+ * @param {Object} tool - Tool declaration
+ * @param {Object} input - Validated tool input
+ * @param {Object} [options] - Handler options ({ signal })
+ * @returns {Promise<Object>} The tool result
+ */
+async function runHandler(tool, input, options = {}) {
+    try {
+        return await tool.handler(input, options);
+    } catch (error) {
+        return { error: error.message || `Error executing tool ${tool.name}` };
+    }
+}
+
+/**
+ * Derive the sentinel tag pair for a tool name
+ *
+ * The weather tool keeps the original <CALL_WEATHER> / <WEATHER_RESULT> tags.
+ *
+ * @param {string} name - Tool name
+ * @returns {Object} callStart, callEnd, resultStart and resultEnd tags
+ */
+function createSentinelTags(name) {
+    const tag = name.toUpperCase();
+    return {
+        callStart: `<CALL_${tag}>`,
+        callEnd: `</CALL_${tag}>`,
+        resultStart: `<${tag}_RESULT>`,
+        resultEnd: `</${tag}_RESULT>`
+    };
+}
+
+/**
+ * Build a placeholder input from a JSON schema for the sentinel system prompt
+ *
+ * @param {Object} schema - JSON schema of the tool input
+ * @returns {Object} Example input using the required properties
+ */
+function exampleFromSchema(schema) {
+    const example = {};
+    for (const key of schema.required || []) {
+        example[key] = key.toUpperCase();
+    }
+    return example;
+}
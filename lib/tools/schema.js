@@ -0,0 +1,91 @@
+/**
+ * Tool Input Validation
+ *
+ * A small validator for the subset of JSON Schema used by tool input
+ * schemas and the configuration schema: type (a type or a list of types),
+ * properties, required, enum, items, additionalProperties (false or a
+ * schema for the other properties), minimum, maximum and pattern.
+ */
+
+/**
+ * Validate a value against a JSON schema
+ *
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {string[]} Validation errors, empty when the value is valid
+ */
+export function validateSchema(schema, value, path = "input") {
+    const errors = [];
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+        errors.push(`${path} must be of type ${types.join(" or ")}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} must match the pattern ${schema.pattern}`);
+    }
+
+    if (types.includes("object") && matchesType("object", value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === "object") {
+                errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (types.includes("array") && Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Check a value against a JSON schema type
+ *
+ * @param {string} type - JSON schema type
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value has that type
+ */
+function matchesType(type, value) {
+    switch (type) {
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "array":
+            return Array.isArray(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "null":
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Weather Tools
+ *
+ * Current conditions, daily and hourly forecasts, history, air quality and
+ * alerts, using the weather provider selected with weatherApi.provider in
+ * the configuration (see lib/weather/index.js). Each operation is a separate tool
+ * with its own input schema, so the model can pick the one that answers
+ * the question.
+ */
+
+import { createWeatherProvider } from '../weather/index.js';
+
+/**
+ * Provider the weather tools read from, set with configureWeather
+ */
+let weatherProvider = null;
+
+/**
+ * Select the weather provider of the weather tools
+ *
+ * @param {Object} weatherConfig - The `weatherApi` section of the configuration
+ */
+export function configureWeather(weatherConfig) {
+    weatherProvider = createWeatherProvider(weatherConfig);
+}
+
+/**
+ * Weather API Tool Implementation
+ *
+ * This function demonstrates how to implement a tool that can be called
+ * by the LLM during conversation.
+ *
+ * @param {string} location - City name or location
+ * @param {string} unit - Temperature unit ('celsius' or 'fahrenheit')
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} Weather data including temperature, condition, etc.
+ */
+export async function getWeatherData(location, unit = 'fahrenheit', options = {}) {
+    return fetchWeather(async () => {
+        const current = await weatherProvider.getCurrent(location, options);
+
+        // Format and return the weather data in the requested unit
+        return {
+            temperature: unit === "fahrenheit" ? current.temperatureF : current.temperatureC,
+            condition: current.condition,
+            location: current.location,
+            humidity: current.humidity + "%",
+            wind: formatWind(unit, current),
+            unit: unit
+        };
+    });
+}
+
+/**
+ * Daily forecast, starting today
+ *
+ * @param {string} location - City name or location
+ * @param {number} days - Number of days
+ * @param {string} unit - Temperature unit ('celsius' or 'fahrenheit')
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} { location, unit, days: [{ date, condition, high, low, chanceOfRain, precipitation }] }
+ */
+export async function getForecastData(location, days = 3, unit = 'fahrenheit', options = {}) {
+    return fetchWeather(async () => {
+        const forecast = await weatherProvider.getForecast(location, days, options);
+
+        return {
+            location: forecast.location,
+            unit,
+            days: forecast.days.map(day => formatDay(unit, day))
+        };
+    });
+}
+
+/**
+ * Hourly forecast, starting with the current hour
+ *
+ * @param {string} location - City name or location
+ * @param {number} hours - Number of hours
+ * @param {string} unit - Temperature unit ('celsius' or 'fahrenheit')
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} { location, unit, hours: [{ time, condition, temperature, chanceOfRain, precipitation, wind, humidity }] }
+ */
+export async function getHourlyForecastData(location, hours = 12, unit = 'fahrenheit', options = {}) {
+    return fetchWeather(async () => {
+        const hourly = await weatherProvider.getHourly(location, hours, options);
+
+        return {
+            location: hourly.location,
+            unit,
+            hours: hourly.hours.map(hour => ({
+                time: hour.time,
+                condition: hour.condition,
+                temperature: unit === "fahrenheit" ? hour.temperatureF : hour.temperatureC,
+                chanceOfRain: formatChance(hour.chanceOfRain),
+                precipitation: formatPrecipitation(unit, hour),
+                wind: formatWind(unit, hour),
+                humidity: hour.humidity + "%"
+            }))
+        };
+    });
+}
+
+/**
+ * Observed weather on a past date
+ *
+ * @param {string} location - City name or location
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @param {string} unit - Temperature unit ('celsius' or 'fahrenheit')
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} { location, unit, date, condition, high, low, precipitation }
+ */
+export async function getHistoryData(location, date, unit = 'fahrenheit', options = {}) {
+    return fetchWeather(async () => {
+        const { location: name, ...day } = await weatherProvider.getHistory(location, date, options);
+        const { chanceOfRain, ...observed } = formatDay(unit, day);
+
+        return { location: name, unit, ...observed };
+    });
+}
+
+/**
+ * Current air quality
+ *
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} { location, usEpaIndex, category, pollutants, pollutantUnit }
+ */
+export async function getAirQualityData(location, options = {}) {
+    return fetchWeather(async () => ({
+        ...await weatherProvider.getAirQuality(location, options),
+        pollutantUnit: "µg/m³"
+    }));
+}
+
+/**
+ * Active weather alerts
+ *
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { signal } to cancel the provider request
+ * @returns {Object} { location, alerts: [{ event, headline, severity, areas, effective, expires, description, instruction }] }
+ */
+export async function getAlertsData(location, options = {}) {
+    return fetchWeather(() => weatherProvider.getAlerts(location, options));
+}
+
+/**
+ * Run a provider request, turning errors into a tool result the model can read
+ *
+ * @param {Function} fetchData - Async function returning the tool result
+ * @returns {Promise<Object>} The tool result, or { error }
+ */
+async function fetchWeather(fetchData) {
+    try {
+        return await fetchData();
+    }
+    catch (error) {
+        return { error: error.message || 'Error fetching weather data' };
+    }
+}
+
+/**
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @param {Object} day - Normalized provider day
+ * @returns {Object} The day in the requested unit
+ */
+function formatDay(unit, day) {
+    return {
+        date: day.date,
+        condition: day.condition,
+        high: unit === "fahrenheit" ? day.maxF : day.maxC,
+        low: unit === "fahrenheit" ? day.minF : day.minC,
+        chanceOfRain: formatChance(day.chanceOfRain),
+        precipitation: formatPrecipitation(unit, day)
+    };
+}
+
+/**
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @param {Object} data - Normalized data with windKph and windMph
+ * @returns {string} Wind speed in the requested unit system
+ */
+function formatWind(unit, data) {
+    return unit === "fahrenheit" ? data.windMph + " mph" : data.windKph + " km/h";
+}
+
+/**
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @param {Object} data - Normalized data with precipitationMm and precipitationIn
+ * @returns {string} Precipitation in the requested unit system
+ */
+function formatPrecipitation(unit, data) {
+    return unit === "fahrenheit" ? data.precipitationIn + " in" : data.precipitationMm + " mm";
+}
+
+/**
+ * @param {number|null} chance - Chance of rain in percent
+ * @returns {string|null} The chance as a percentage, or null when unknown
+ */
+function formatChance(chance) {
+    return chance === null || chance === undefined ? null : chance + "%";
+}
+
+// ============================================================================
+// TOOL DECLARATIONS
+// ============================================================================
+
+const LOCATION_PROPERTY = {
+    type: "string",
+    description: "The city and state/country"
+};
+
+const UNIT_PROPERTY = {
+    type: "string",
+    enum: ["celsius", "fahrenheit"],
+    description: "Temperature unit"
+};
+
+const LOCATION_INSTRUCTIONS = 'Use "CITY_NAME, STATE_NAME" as the location inside the USA or "CITY_NAME, REGION_NAME" outside of the USA.';
+
+/**
+ * Weather tool declaration for the tool registry
+ */
+export const weatherTool = {
+    name: "weather",
+    description: "Get current weather information for a location",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY,
+            unit: UNIT_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME" },
+    instructions: 'Use {"location":"CITY_NAME, STATE_NAME"} inside the USA or {"location":"CITY_NAME, REGION_NAME"} outside of the USA.',
+    cacheTtl: 600,
+    handler: ({ location, unit }, options) => getWeatherData(location, unit || "fahrenheit", options)
+};
+
+/**
+ * Daily forecast tool declaration
+ */
+export const forecastTool = {
+    name: "weather_forecast",
+    description: "Get the daily weather forecast for a location, starting today, with highs, lows and the chance of rain. Use it for questions about today, tomorrow or the coming days, such as \"will it rain tomorrow?\"",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY,
+            days: {
+                type: "integer",
+                minimum: 1,
+                maximum: 14,
+                description: "Number of days to forecast, including today (default 3)"
+            },
+            unit: UNIT_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME", days: 3 },
+    instructions: `${LOCATION_INSTRUCTIONS} The first day of the result is today and the second is tomorrow.`,
+    cacheTtl: 1800,
+    handler: ({ location, days, unit }, options) => getForecastData(location, days || 3, unit || "fahrenheit", options)
+};
+
+/**
+ * Hourly forecast tool declaration
+ */
+export const hourlyForecastTool = {
+    name: "hourly_forecast",
+    description: "Get the hour-by-hour weather forecast for a location, starting with the current hour. Use it for questions about the next few hours or a specific time of day.",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY,
+            hours: {
+                type: "integer",
+                minimum: 1,
+                maximum: 48,
+                description: "Number of hours to forecast (default 12)"
+            },
+            unit: UNIT_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME", hours: 12 },
+    instructions: `${LOCATION_INSTRUCTIONS} Times are local to the location.`,
+    cacheTtl: 900,
+    handler: ({ location, hours, unit }, options) => getHourlyForecastData(location, hours || 12, unit || "fahrenheit", options)
+};
+
+/**
+ * Weather history tool declaration
+ */
+export const historyTool = {
+    name: "weather_history",
+    description: "Get the observed weather for a location on a past date",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY,
+            date: {
+                type: "string",
+                pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+                description: "The date as YYYY-MM-DD"
+            },
+            daysAgo: {
+                type: "integer",
+                minimum: 1,
+                maximum: 365,
+                description: "How many days before today, instead of a date"
+            },
+            unit: UNIT_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME", daysAgo: 1 },
+    instructions: `${LOCATION_INSTRUCTIONS} Give either a date or daysAgo, e.g. {"daysAgo":1} for yesterday.`,
+    cacheTtl: 86400,
+    // "daysAgo" names another date every day, so it is resolved before the
+    // result is cached
+    resolveInput: ({ daysAgo, ...input }) =>
+        !input.date && daysAgo ? { ...input, date: daysBeforeToday(daysAgo) } : input,
+    handler: ({ location, date, unit }, options) => {
+        if (!date) {
+            return { error: "Either date or daysAgo is required" };
+        }
+        return getHistoryData(location, date, unit || "fahrenheit", options);
+    }
+};
+
+/**
+ * Air quality tool declaration
+ */
+export const airQualityTool = {
+    name: "air_quality",
+    description: "Get the current air quality for a location: the US EPA index (1 good to 6 hazardous) and pollutant concentrations",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME" },
+    instructions: LOCATION_INSTRUCTIONS,
+    cacheTtl: 900,
+    handler: ({ location }, options) => getAirQualityData(location, options)
+};
+
+/**
+ * Weather alerts tool declaration
+ */
+export const alertsTool = {
+    name: "weather_alerts",
+    description: "Get the active government weather alerts (warnings, watches and advisories) for a location",
+    inputSchema: {
+        type: "object",
+        properties: {
+            location: LOCATION_PROPERTY
+        },
+        required: ["location"]
+    },
+    example: { location: "CITY_NAME, STATE_NAME" },
+    instructions: `${LOCATION_INSTRUCTIONS} An empty list means there are no active alerts.`,
+    cacheTtl: 300,
+    handler: ({ location }, options) => getAlertsData(location, options)
+};
+
+/**
+ * Local date a number of days before today
+ *
+ * @param {number} days - Days before today
+ * @returns {string} Date as "YYYY-MM-DD"
+ */
+function daysBeforeToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0")
+    ].join("-");
+}
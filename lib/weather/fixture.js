@@ -0,0 +1,205 @@
+/**
+ * Fixture Provider
+ *
+ * Serves deterministic weather data from a local JSON file, for demos and
+ * tests without an API key or network access. The file maps location names
+ * to current conditions in the metric units of the normalized shape:
+ *
+ *   {
+ *     "locations": {
+ *       "Seattle, Washington": { "condition": "Light rain", "temperatureC": 11, "humidity": 87, "windKph": 13 }
+ *     },
+ *     "default": { "condition": "Sunny", "temperatureC": 20, "humidity": 50, "windKph": 10 }
+ *   }
+ *
+ * An entry can also list "forecast" days starting today ({ condition, maxC,
+ * minC, chanceOfRain, precipitationMm }), "history" days keyed by date,
+ * "airQuality" ({ usEpaIndex, pollutants }) and "alerts". Anything missing is
+ * derived from the current conditions, so every operation returns data.
+ *
+ * Locations are matched case-insensitively, first on the full name and then
+ * on the city alone. Other locations get the optional "default" entry.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { celsiusToFahrenheit, kphToMph, mmToInches, AIR_QUALITY_CATEGORIES } from './units.js';
+
+/**
+ * Air quality returned for entries without "airQuality"
+ */
+const DEFAULT_AIR_QUALITY = {
+    usEpaIndex: 1,
+    pollutants: { pm2_5: 6.5, pm10: 11.2, o3: 52.0, no2: 9.8, so2: 1.6, co: 210.0 }
+};
+
+/**
+ * Create a weather provider that reads from a fixture file
+ *
+ * @param {Object} options
+ * @param {string} [options.path] - Path of the fixture JSON file
+ * @returns {Object} Weather provider
+ */
+export function createFixtureProvider({ path = "./fixtures/weather.json" }) {
+    let fixturePromise = null;
+
+    /**
+     * Find the fixture entry for a location
+     *
+     * @param {string} location - Requested location
+     * @returns {Promise<Object>} { name, entry }
+     */
+    async function lookup(location) {
+        // Read the file once, on first use
+        fixturePromise ??= readFile(path, 'utf-8').then(JSON.parse);
+        const fixture = await fixturePromise;
+
+        const entries = Object.entries(fixture.locations || {});
+        const normalize = text => text.split(",")[0].trim().toLowerCase();
+        const found = entries.find(([name]) => name.toLowerCase() === location.trim().toLowerCase())
+            || entries.find(([name]) => normalize(name) === normalize(location));
+
+        if (found) {
+            return { name: found[0], entry: found[1] };
+        }
+        if (fixture.default) {
+            return { name: location, entry: fixture.default };
+        }
+        throw new Error(`No fixture weather data for "${location}"`);
+    }
+
+    /**
+     * Fixture day for a date, from the entry or derived from the current conditions
+     *
+     * @param {Object} entry - Location entry
+     * @param {Object} [day] - Fixture day, if the entry has one
+     * @param {string} date - Date of the day ("YYYY-MM-DD")
+     * @returns {Object} Normalized day
+     */
+    function toDay(entry, day, date) {
+        const rainy = /rain|drizzle|shower|storm/i.test(day?.condition || entry.condition);
+        const {
+            condition = entry.condition,
+            maxC = entry.temperatureC + 3,
+            minC = entry.temperatureC - 4,
+            chanceOfRain = rainy ? 80 : 10,
+            precipitationMm = rainy ? 4.2 : 0
+        } = day || {};
+
+        return {
+            date,
+            condition,
+            maxC,
+            maxF: celsiusToFahrenheit(maxC),
+            minC,
+            minF: celsiusToFahrenheit(minC),
+            chanceOfRain,
+            precipitationMm,
+            precipitationIn: mmToInches(precipitationMm)
+        };
+    }
+
+    /**
+     * Forecast days starting today; the last fixture day repeats when more are requested
+     *
+     * @param {Object} entry - Location entry
+     * @param {number} days - Number of days
+     * @returns {Object[]} Normalized days
+     */
+    function forecastDays(entry, days) {
+        const fixtureDays = entry.forecast || [];
+        return Array.from({ length: days }, (_, index) =>
+            toDay(entry, fixtureDays[Math.min(index, fixtureDays.length - 1)], formatDate(index)));
+    }
+
+    return {
+        name: "fixture",
+
+        async getCurrent(location) {
+            const { name, entry } = await lookup(location);
+
+            return {
+                location: name,
+                condition: entry.condition,
+                temperatureC: entry.temperatureC,
+                temperatureF: celsiusToFahrenheit(entry.temperatureC),
+                humidity: entry.humidity,
+                windKph: entry.windKph,
+                windMph: kphToMph(entry.windKph)
+            };
+        },
+
+        async getForecast(location, days) {
+            const { name, entry } = await lookup(location);
+            return { location: name, days: forecastDays(entry, days) };
+        },
+
+        async getHourly(location, hours) {
+            const { name, entry } = await lookup(location);
+            const days = forecastDays(entry, Math.ceil(hours / 24) + 1);
+            const currentHour = new Date().getHours();
+
+            return {
+                location: name,
+                hours: Array.from({ length: hours }, (_, index) => {
+                    const hour = currentHour + index;
+                    const day = days[Math.floor(hour / 24)];
+                    // Coldest at 3:00, warmest at 15:00
+                    const warmth = (1 - Math.cos(2 * Math.PI * ((hour % 24) - 3) / 24)) / 2;
+                    const temperatureC = Math.round((day.minC + (day.maxC - day.minC) * warmth) * 10) / 10;
+                    const precipitationMm = Math.round(day.precipitationMm / 24 * 100) / 100;
+
+                    return {
+                        time: `${day.date} ${String(hour % 24).padStart(2, "0")}:00`,
+                        condition: day.condition,
+                        temperatureC,
+                        temperatureF: celsiusToFahrenheit(temperatureC),
+                        chanceOfRain: day.chanceOfRain,
+                        precipitationMm,
+                        precipitationIn: mmToInches(precipitationMm),
+                        windKph: entry.windKph,
+                        windMph: kphToMph(entry.windKph),
+                        humidity: entry.humidity
+                    };
+                })
+            };
+        },
+
+        async getHistory(location, date) {
+            const { name, entry } = await lookup(location);
+            return { location: name, ...toDay(entry, entry.history?.[date], date) };
+        },
+
+        async getAirQuality(location) {
+            const { name, entry } = await lookup(location);
+            const { usEpaIndex, pollutants } = entry.airQuality || DEFAULT_AIR_QUALITY;
+
+            return {
+                location: name,
+                usEpaIndex,
+                category: AIR_QUALITY_CATEGORIES[usEpaIndex],
+                pollutants
+            };
+        },
+
+        async getAlerts(location) {
+            const { name, entry } = await lookup(location);
+            return { location: name, alerts: entry.alerts || [] };
+        }
+    };
+}
+
+/**
+ * Local date a number of days from today
+ *
+ * @param {number} offset - Days from today
+ * @returns {string} Date as "YYYY-MM-DD"
+ */
+function formatDate(offset) {
+    const date = new Date();
+    date.setDate(date.getDate() + offset);
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0")
+    ].join("-");
+}
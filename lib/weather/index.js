@@ -0,0 +1,65 @@
+/**
+ * Weather Providers
+ *
+ * The weather tools read weather data through a provider interface, so the
+ * weather vendor can be changed in config.js without touching the tools or
+ * the endpoints. Each provider implements:
+ *
+ *   getCurrent(location)        → current conditions
+ *   getForecast(location, days) → daily forecast, starting today
+ *   getHourly(location, hours)  → hourly forecast, starting with the current hour
+ *   getHistory(location, date)  → observed weather for a past date ("YYYY-MM-DD")
+ *   getAirQuality(location)     → current air quality
+ *   getAlerts(location)         → active weather alerts
+ *
+ * and returns data in the normalized shapes below, with both metric and
+ * imperial values so the tools can answer in either unit:
+ *
+ *   current:    { location, condition, temperatureC, temperatureF,
+ *                 humidity, windKph, windMph }                      // humidity in percent
+ *   forecast:   { location, days: [day] }
+ *   history:    { location, ...day }
+ *   day:        { date, condition, maxC, maxF, minC, minF,
+ *                 chanceOfRain, precipitationMm, precipitationIn }  // chanceOfRain in percent
+ *   hourly:     { location, hours: [{ time, condition, temperatureC, temperatureF,
+ *                 chanceOfRain, precipitationMm, precipitationIn,
+ *                 windKph, windMph, humidity }] }                  // time as "YYYY-MM-DD HH:MM" local time
+ *   airQuality: { location, usEpaIndex, category,
+ *                 pollutants: { pm2_5, pm10, o3, no2, so2, co } }   // pollutants in µg/m³
+ *   alerts:     { location, alerts: [{ event, headline, severity, areas,
+ *                 effective, expires, description, instruction }] }
+ *
+ * Locations are "CITY, REGION" strings. Every method also accepts an options
+ * object whose optional `signal` (an AbortSignal) cancels network requests.
+ * Providers throw an Error when the data cannot be retrieved or an operation
+ * is not supported.
+ */
+
+import { createWeatherApiProvider } from './weatherapi.js';
+import { createOpenMeteoProvider } from './open-meteo.js';
+import { createFixtureProvider } from './fixture.js';
+
+/**
+ * Create the weather provider selected in the configuration
+ *
+ * @param {Object} weatherConfig - The `weatherApi` section of config.js
+ * @returns {Object} Weather provider
+ * @throws {Error} If the configured provider is unknown
+ */
+export function createWeatherProvider(weatherConfig) {
+    const providerName = weatherConfig.provider || "weatherapi";
+
+    switch (providerName) {
+        case "weatherapi":
+            return createWeatherApiProvider({
+                apiKey: weatherConfig.apiKey,
+                baseUrl: weatherConfig.baseUrl
+            });
+        case "open-meteo":
+            return createOpenMeteoProvider(weatherConfig.openMeteo || {});
+        case "fixture":
+            return createFixtureProvider({ path: weatherConfig.fixturePath });
+        default:
+            throw new Error(`Unknown weatherApi.provider "${providerName}". Use "weatherapi", "open-meteo" or "fixture".`);
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Open-Meteo Provider
+ *
+ * Reads weather data from Open-Meteo-style APIs (https://open-meteo.com/),
+ * which need no API key. Locations are resolved to coordinates with the
+ * geocoding API first. The base URLs can point at a self-hosted instance.
+ * Open-Meteo does not publish weather alerts.
+ */
+
+import { celsiusToFahrenheit, kphToMph, mmToInches, usAqiToEpaIndex, AIR_QUALITY_CATEGORIES } from './units.js';
+
+/**
+ * Text descriptions of the WMO weather interpretation codes used by Open-Meteo
+ */
+const WEATHER_CODES = {
+    0: "Clear sky",
+    1: "Mainly clear",
+    2: "Partly cloudy",
+    3: "Overcast",
+    45: "Fog",
+    48: "Depositing rime fog",
+    51: "Light drizzle",
+    53: "Moderate drizzle",
+    55: "Dense drizzle",
+    56: "Light freezing drizzle",
+    57: "Dense freezing drizzle",
+    61: "Slight rain",
+    63: "Moderate rain",
+    65: "Heavy rain",
+    66: "Light freezing rain",
+    67: "Heavy freezing rain",
+    71: "Slight snow fall",
+    73: "Moderate snow fall",
+    75: "Heavy snow fall",
+    77: "Snow grains",
+    80: "Slight rain showers",
+    81: "Moderate rain showers",
+    82: "Violent rain showers",
+    85: "Slight snow showers",
+    86: "Heavy snow showers",
+    95: "Thunderstorm",
+    96: "Thunderstorm with slight hail",
+    99: "Thunderstorm with heavy hail"
+};
+
+/**
+ * Daily variables requested for forecasts and history
+ */
+const DAILY_VARIABLES = "weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max";
+
+/**
+ * Create a weather provider backed by an Open-Meteo-style API
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Forecast API base URL
+ * @param {string} [options.geocodingUrl] - Geocoding API base URL
+ * @param {string} [options.archiveUrl] - Historical weather API base URL
+ * @param {string} [options.airQualityUrl] - Air quality API base URL
+ * @returns {Object} Weather provider
+ */
+export function createOpenMeteoProvider({
+    baseUrl = "https://api.open-meteo.com/v1",
+    geocodingUrl = "https://geocoding-api.open-meteo.com/v1",
+    archiveUrl = "https://archive-api.open-meteo.com/v1",
+    airQualityUrl = "https://air-quality-api.open-meteo.com/v1"
+} = {}) {
+    /**
+     * Fetch and parse a JSON response
+     *
+     * @param {string} url - URL to fetch
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} The parsed response
+     */
+    async function request(url, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Open-Meteo API error (${response.status}): ${await response.text()}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Resolve "CITY, REGION" to coordinates
+     *
+     * The geocoding API only searches by name, so the region part is used
+     * to pick the best of the matching places.
+     *
+     * @param {string} location - Location to resolve
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} { name, latitude, longitude }
+     */
+    async function geocode(location, signal) {
+        const [name, ...qualifiers] = location.split(",").map(part => part.trim().toLowerCase());
+        const query = new URLSearchParams({ name, count: "10", language: "en", format: "json" });
+        const { results = [] } = await request(`${geocodingUrl}/search?${query}`, signal);
+
+        const matchesQualifiers = place => qualifiers.every(qualifier =>
+            [place.admin1, place.country, place.country_code]
+                .some(field => field?.toLowerCase().startsWith(qualifier)));
+        const place = results.find(matchesQualifiers) || results[0];
+
+        if (!place) {
+            throw new Error(`No matching location found for "${location}"`);
+        }
+        return {
+            name: [place.name, place.admin1 || place.country].filter(Boolean).join(", "),
+            latitude: place.latitude,
+            longitude: place.longitude
+        };
+    }
+
+    /**
+     * Fetch weather variables for a place
+     *
+     * @param {string} url - API endpoint URL
+     * @param {Object} place - Geocoded place
+     * @param {Object} params - Query parameters
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} The parsed response
+     */
+    function requestForPlace(url, place, params, signal) {
+        const query = new URLSearchParams({
+            latitude: place.latitude,
+            longitude: place.longitude,
+            timezone: "auto",
+            ...params
+        });
+        return request(`${url}?${query}`, signal);
+    }
+
+    /**
+     * Normalize the daily arrays of a response into days
+     *
+     * @param {Object} daily - The `daily` object of a response
+     * @returns {Object[]} Normalized days
+     */
+    function toDays(daily) {
+        return daily.time.map((date, index) => ({
+            date,
+            condition: WEATHER_CODES[daily.weather_code[index]] || "Unknown",
+            maxC: daily.temperature_2m_max[index],
+            maxF: celsiusToFahrenheit(daily.temperature_2m_max[index]),
+            minC: daily.temperature_2m_min[index],
+            minF: celsiusToFahrenheit(daily.temperature_2m_min[index]),
+            chanceOfRain: daily.precipitation_probability_max?.[index] ?? null,
+            precipitationMm: daily.precipitation_sum[index],
+            precipitationIn: mmToInches(daily.precipitation_sum[index])
+        }));
+    }
+
+    return {
+        name: "open-meteo",
+
+        async getCurrent(location, { signal } = {}) {
+            const place = await geocode(location, signal);
+            const { current } = await requestForPlace(`${baseUrl}/forecast`, place, {
+                current: "temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m",
+                wind_speed_unit: "kmh"
+            }, signal);
+
+            return {
+                location: place.name,
+                condition: WEATHER_CODES[current.weather_code] || "Unknown",
+                temperatureC: current.temperature_2m,
+                temperatureF: celsiusToFahrenheit(current.temperature_2m),
+                humidity: current.relative_humidity_2m,
+                windKph: current.wind_speed_10m,
+                windMph: kphToMph(current.wind_speed_10m)
+            };
+        },
+
+        async getForecast(location, days, { signal } = {}) {
+            const place = await geocode(location, signal);
+            const { daily } = await requestForPlace(`${baseUrl}/forecast`, place, {
+                daily: DAILY_VARIABLES,
+                forecast_days: days
+            }, signal);
+
+            return { location: place.name, days: toDays(daily) };
+        },
+
+        async getHourly(location, hours, { signal } = {}) {
+            const place = await geocode(location, signal);
+            const { hourly } = await requestForPlace(`${baseUrl}/forecast`, place, {
+                hourly: "temperature_2m,relative_humidity_2m,weather_code,precipitation_probability,precipitation,wind_speed_10m",
+                forecast_hours: hours,
+                wind_speed_unit: "kmh"
+            }, signal);
+
+            return {
+                location: place.name,
+                hours: hourly.time.map((time, index) => ({
+                    time: time.replace("T", " "),
+                    condition: WEATHER_CODES[hourly.weather_code[index]] || "Unknown",
+                    temperatureC: hourly.temperature_2m[index],
+                    temperatureF: celsiusToFahrenheit(hourly.temperature_2m[index]),
+                    chanceOfRain: hourly.precipitation_probability[index],
+                    precipitationMm: hourly.precipitation[index],
+                    precipitationIn: mmToInches(hourly.precipitation[index]),
+                    windKph: hourly.wind_speed_10m[index],
+                    windMph: kphToMph(hourly.wind_speed_10m[index]),
+                    humidity: hourly.relative_humidity_2m[index]
+                }))
+            };
+        },
+
+        async getHistory(location, date, { signal } = {}) {
+            const place = await geocode(location, signal);
+            const { daily } = await requestForPlace(`${archiveUrl}/archive`, place, {
+                // The archive has no precipitation probability
+                daily: DAILY_VARIABLES.replace(",precipitation_probability_max", ""),
+                start_date: date,
+                end_date: date
+            }, signal);
+
+            return { location: place.name, ...toDays(daily)[0] };
+        },
+
+        async getAirQuality(location, { signal } = {}) {
+            const place = await geocode(location, signal);
+            const { current } = await requestForPlace(`${airQualityUrl}/air-quality`, place, {
+                current: "us_aqi,pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide"
+            }, signal);
+            const usEpaIndex = usAqiToEpaIndex(current.us_aqi);
+
+            return {
+                location: place.name,
+                usEpaIndex,
+                category: AIR_QUALITY_CATEGORIES[usEpaIndex],
+                pollutants: {
+                    pm2_5: current.pm2_5,
+                    pm10: current.pm10,
+                    o3: current.ozone,
+                    no2: current.nitrogen_dioxide,
+                    so2: current.sulphur_dioxide,
+                    co: current.carbon_monoxide
+                }
+            };
+        },
+
+        async getAlerts() {
+            throw new Error("Weather alerts are not available from the open-meteo provider");
+        }
+    };
+}
@@ -0,0 +1,68 @@
+/**
+ * Unit Conversions
+ *
+ * Helpers for providers that only report metric values, and for the US EPA
+ * air quality index.
+ */
+
+/**
+ * US EPA air quality index categories, by index (1-6)
+ */
+export const AIR_QUALITY_CATEGORIES = {
+    1: "Good",
+    2: "Moderate",
+    3: "Unhealthy for sensitive groups",
+    4: "Unhealthy",
+    5: "Very unhealthy",
+    6: "Hazardous"
+};
+
+/**
+ * Convert a temperature from Celsius to Fahrenheit
+ *
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F, rounded to one decimal
+ */
+export function celsiusToFahrenheit(celsius) {
+    return round(celsius * 9 / 5 + 32);
+}
+
+/**
+ * Convert a speed from km/h to mph
+ *
+ * @param {number} kph - Speed in km/h
+ * @returns {number} Speed in mph, rounded to one decimal
+ */
+export function kphToMph(kph) {
+    return round(kph / 1.609344);
+}
+
+/**
+ * Convert a precipitation amount from millimetres to inches
+ *
+ * @param {number} mm - Amount in mm
+ * @returns {number} Amount in inches, rounded to two decimals
+ */
+export function mmToInches(mm) {
+    return Math.round(mm / 25.4 * 100) / 100;
+}
+
+/**
+ * Convert a US AQI value (0-500) to the US EPA index (1-6)
+ *
+ * @param {number} aqi - US AQI value
+ * @returns {number} US EPA index
+ */
+export function usAqiToEpaIndex(aqi) {
+    const upperBounds = [50, 100, 150, 200, 300];
+    const index = upperBounds.findIndex(bound => aqi <= bound);
+    return index === -1 ? 6 : index + 1;
+}
+
+/**
+ * @param {number} value - Value to round
+ * @returns {number} The value rounded to one decimal
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,171 @@
+/**
+ * WeatherAPI.com Provider
+ *
+ * Reads weather data from https://www.weatherapi.com/ (requires a free API key).
+ * Note that the free plan only returns forecasts for up to 3 days and history
+ * for the last 7 days.
+ */
+
+import { AIR_QUALITY_CATEGORIES } from './units.js';
+
+/**
+ * Create a weather provider backed by WeatherAPI.com
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - WeatherAPI.com API key
+ * @param {string} options.baseUrl - API base URL, e.g. "https://api.weatherapi.com/v1"
+ * @returns {Object} Weather provider
+ */
+export function createWeatherApiProvider({ apiKey, baseUrl }) {
+    /**
+     * Call a WeatherAPI.com endpoint
+     *
+     * @param {string} endpoint - Endpoint name, e.g. "current.json"
+     * @param {Object} params - Query parameters
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} The parsed response
+     */
+    async function request(endpoint, params, signal) {
+        // Check if API key has been configured
+        if (!apiKey) {
+            throw new Error("Weather API key not configured. See README.md for setup instructions.");
+        }
+
+        const query = new URLSearchParams({ key: apiKey, ...params });
+        const response = await fetch(`${baseUrl}/${endpoint}?${query}`, { signal });
+
+        if (!response.ok) {
+            throw new Error(`Weather API error (${response.status}): ${await response.text()}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Normalize a WeatherAPI.com forecastday
+     *
+     * @param {Object} forecastDay - Entry of forecast.forecastday
+     * @returns {Object} Normalized day
+     */
+    function toDay({ date, day }) {
+        return {
+            date,
+            condition: day.condition.text,
+            maxC: day.maxtemp_c,
+            maxF: day.maxtemp_f,
+            minC: day.mintemp_c,
+            minF: day.mintemp_f,
+            chanceOfRain: day.daily_chance_of_rain ?? null,
+            precipitationMm: day.totalprecip_mm,
+            precipitationIn: day.totalprecip_in
+        };
+    }
+
+    /**
+     * @param {Object} location - The location object of a response
+     * @returns {string} "CITY, REGION"
+     */
+    function locationName(location) {
+        return location.name + ", " + location.region;
+    }
+
+    return {
+        name: "weatherapi",
+
+        async getCurrent(location, { signal } = {}) {
+            const data = await request("current.json", { q: location, aqi: "no" }, signal);
+
+            return {
+                location: locationName(data.location),
+                condition: data.current.condition.text,
+                temperatureC: data.current.temp_c,
+                temperatureF: data.current.temp_f,
+                humidity: data.current.humidity,
+                windKph: data.current.wind_kph,
+                windMph: data.current.wind_mph
+            };
+        },
+
+        async getForecast(location, days, { signal } = {}) {
+            const data = await request("forecast.json", { q: location, days, aqi: "no", alerts: "no" }, signal);
+
+            return {
+                location: locationName(data.location),
+                days: data.forecast.forecastday.map(toDay)
+            };
+        },
+
+        async getHourly(location, hours, { signal } = {}) {
+            // Hours are returned per day, starting at midnight of today
+            const days = Math.ceil(hours / 24) + 1;
+            const data = await request("forecast.json", { q: location, days, aqi: "no", alerts: "no" }, signal);
+            const currentHourEpoch = data.location.localtime_epoch - 3600;
+
+            return {
+                location: locationName(data.location),
+                hours: data.forecast.forecastday
+                    .flatMap(day => day.hour)
+                    .filter(hour => hour.time_epoch > currentHourEpoch)
+                    .slice(0, hours)
+                    .map(hour => ({
+                        time: hour.time,
+                        condition: hour.condition.text,
+                        temperatureC: hour.temp_c,
+                        temperatureF: hour.temp_f,
+                        chanceOfRain: hour.chance_of_rain,
+                        precipitationMm: hour.precip_mm,
+                        precipitationIn: hour.precip_in,
+                        windKph: hour.wind_kph,
+                        windMph: hour.wind_mph,
+                        humidity: hour.humidity
+                    }))
+            };
+        },
+
+        async getHistory(location, date, { signal } = {}) {
+            const data = await request("history.json", { q: location, dt: date }, signal);
+
+            return {
+                location: locationName(data.location),
+                ...toDay(data.forecast.forecastday[0])
+            };
+        },
+
+        async getAirQuality(location, { signal } = {}) {
+            const data = await request("current.json", { q: location, aqi: "yes" }, signal);
+            const airQuality = data.current.air_quality;
+            const usEpaIndex = airQuality["us-epa-index"];
+
+            return {
+                location: locationName(data.location),
+                usEpaIndex,
+                category: AIR_QUALITY_CATEGORIES[usEpaIndex],
+                pollutants: {
+                    pm2_5: airQuality.pm2_5,
+                    pm10: airQuality.pm10,
+                    o3: airQuality.o3,
+                    no2: airQuality.no2,
+                    so2: airQuality.so2,
+                    co: airQuality.co
+                }
+            };
+        },
+
+        async getAlerts(location, { signal } = {}) {
+            const data = await request("forecast.json", { q: location, days: 1, aqi: "no", alerts: "yes" }, signal);
+
+            return {
+                location: locationName(data.location),
+                alerts: (data.alerts?.alert || []).map(alert => ({
+                    event: alert.event,
+                    headline: alert.headline,
+                    severity: alert.severity,
+                    areas: alert.areas,
+                    effective: alert.effective,
+                    expires: alert.expires,
+                    description: alert.desc,
+                    instruction: alert.instruction
+                }))
+            };
+        }
+    };
+}
@@ -0,0 +1,629 @@
+/**
+ * Amazon Bedrock LLM Examples - Chat Transcript Helpers
+ *
+ * Shared by the example pages to keep a server-side conversation session
+ * (see /api/sessions) and to render the conversation as a chat-style
+ * transcript. The requests are made with the client in client.js, and
+ * createChatPage wires a chat page's controls to one of its functions.
+ * The session id is kept in sessionStorage so a page reload restores the conversation.
+ */
+
+import { streamChat, createSession, getSession, deleteSession, listModels, submitToolApproval } from './client.js';
+import { addMarkdown } from './markdown.js';
+
+/**
+ * Returns the id of the page's conversation session, creating one if needed
+ *
+ * @param {string} storageKey - sessionStorage key for this page's session id
+ * @returns {Promise<string>} The session id
+ */
+export async function getOrCreateSession(storageKey) {
+    const existingId = sessionStorage.getItem(storageKey);
+    if (existingId) {
+        return existingId;
+    }
+
+    const session = await createSession();
+    sessionStorage.setItem(storageKey, session.id);
+    return session.id;
+}
+
+/**
+ * Renders the history of the page's session, if it still exists on the server
+ *
+ * @param {string} storageKey - sessionStorage key for this page's session id
+ * @param {HTMLElement} transcript - The transcript container
+ */
+export async function restoreSession(storageKey, transcript) {
+    const sessionId = sessionStorage.getItem(storageKey);
+    if (!sessionId) {
+        return;
+    }
+
+    const session = await getSession(sessionId);
+    if (!session) {
+        // The server was restarted or the session was deleted
+        sessionStorage.removeItem(storageKey);
+        return;
+    }
+
+    renderSessionMessages(transcript, session.messages);
+}
+
+/**
+ * Deletes the page's session and clears the transcript
+ *
+ * @param {string} storageKey - sessionStorage key for this page's session id
+ * @param {HTMLElement} transcript - The transcript container
+ */
+export async function startNewConversation(storageKey, transcript) {
+    const sessionId = sessionStorage.getItem(storageKey);
+    sessionStorage.removeItem(storageKey);
+    transcript.innerHTML = '';
+
+    if (sessionId) {
+        await deleteSession(sessionId);
+    }
+}
+
+/**
+ * Adds a chat message bubble to the transcript
+ *
+ * @param {HTMLElement} transcript - The transcript container
+ * @param {string} role - "user" or "assistant"
+ * @param {string} [text] - Initial text of the message
+ * @returns {HTMLElement} The message element
+ */
+export function addChatMessage(transcript, role, text) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${role}`;
+
+    const roleLabel = document.createElement('p');
+    roleLabel.className = 'message-role';
+    roleLabel.textContent = role === 'user' ? 'You' : 'Assistant';
+    messageDiv.appendChild(roleLabel);
+
+    if (text) {
+        addParagraph(messageDiv).textContent = text;
+    }
+
+    transcript.appendChild(messageDiv);
+    messageDiv.scrollIntoView({ block: 'end' });
+    return messageDiv;
+}
+
+/**
+ * Adds an empty text paragraph to a message
+ *
+ * @param {HTMLElement} message - The message element
+ * @returns {HTMLElement} The paragraph element
+ */
+function addParagraph(message) {
+    const paragraph = document.createElement('p');
+    message.appendChild(paragraph);
+    return paragraph;
+}
+
+/**
+ * Creates a collapsible card for a tool call or result
+ *
+ * All text is set as text content, so tool names, arguments and results
+ * are never interpreted as HTML.
+ *
+ * @param {string} className - "tool-call", "tool-response" or "tool-error"
+ * @param {string} title - Bold title of the card
+ * @param {string} summary - Text shown next to the title while the card is collapsed
+ * @param {HTMLElement} body - Details shown when the card is expanded
+ * @param {boolean} [open] - Whether the card starts expanded
+ * @returns {HTMLElement} The card element
+ */
+function createToolCard(className, title, summary, body, open = false) {
+    const card = document.createElement('details');
+    card.className = `tool-card ${className}`;
+    card.open = open;
+
+    const summaryElement = document.createElement('summary');
+    const titleElement = document.createElement('strong');
+    titleElement.textContent = title;
+    summaryElement.append(titleElement, ` ${summary}`);
+
+    card.append(summaryElement, body);
+    return card;
+}
+
+/**
+ * @param {*} value - Tool arguments or result, or raw text
+ * @returns {HTMLElement} A preformatted block showing the value as JSON
+ */
+function createJsonBlock(value) {
+    const pre = document.createElement('pre');
+    pre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return pre;
+}
+
+/**
+ * Displays a tool call in a message
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {string} name - The tool name
+ * @param {Object} input - The tool input
+ */
+export function renderToolCall(container, name, input) {
+    const card = name === 'weather'
+        ? createToolCard('tool-call', 'Weather Tool Called:', `Checking weather for ${input.location}`, createJsonBlock(input))
+        : createToolCard('tool-call', 'Tool Called:', name, createJsonBlock(input));
+    container.appendChild(card);
+}
+
+/**
+ * Displays a tool result in a message
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {string} name - The tool name
+ * @param {Object} result - The tool result
+ * @param {string} [cache] - How the server's tool cache was used ("hit", "miss" or "coalesced")
+ */
+export function renderToolResult(container, name, result, cache) {
+    let card;
+    if (name === 'weather' && !result.error) {
+        // Format the weather data nicely
+        const temperature = `${result.temperature}°${result.unit === 'celsius' ? 'C' : 'F'}`;
+        const list = document.createElement('ul');
+        for (const [label, value] of [
+            ['Location', result.location],
+            ['Temperature', temperature],
+            ['Condition', result.condition],
+            ['Humidity', result.humidity],
+            ['Wind', result.wind]
+        ]) {
+            const item = document.createElement('li');
+            const labelElement = document.createElement('strong');
+            labelElement.textContent = `${label}:`;
+            item.append(labelElement, ` ${value}`);
+            list.appendChild(item);
+        }
+        card = createToolCard('tool-response', 'Weather Data:', `${result.location}, ${temperature}, ${result.condition}`, list);
+    } else if (result.error) {
+        // Failed tool calls start expanded
+        card = createToolCard('tool-response', 'Tool Response:', `${name} failed: ${result.error}`, createJsonBlock(result), true);
+    } else {
+        // Show any other tool result as JSON
+        card = createToolCard('tool-response', 'Tool Response:', name, createJsonBlock(result));
+    }
+
+    if (cache === 'hit' || cache === 'coalesced') {
+        const cacheLabel = document.createElement('span');
+        cacheLabel.className = 'cache-status';
+        cacheLabel.textContent = ' (cached)';
+        card.querySelector('summary').appendChild(cacheLabel);
+    }
+    container.appendChild(card);
+}
+
+/**
+ * Displays a malformed tool call that was sent back to the model to correct
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {Object} data - The toolError message ({ toolError, toolName, toolArgs, attempt, maxRetries })
+ */
+export function renderToolError(container, data) {
+    const retryText = data.attempt <= data.maxRetries
+        ? `asking the model to retry (attempt ${data.attempt} of ${data.maxRetries})`
+        : 'no retries left';
+
+    container.appendChild(createToolCard('tool-error', `Invalid ${data.toolName} tool call:`,
+        `${data.toolError} (${retryText})`, createJsonBlock(data.toolArgs), true));
+}
+
+/**
+ * Labels of the outcomes of a tool approval
+ */
+const TOOL_APPROVAL_OUTCOMES = {
+    approved: 'Approved',
+    edited: 'Approved with edited arguments',
+    denied: 'Denied',
+    timedOut: 'Not approved in time - denied'
+};
+
+/**
+ * Displays a tool call waiting for approval, with its arguments in an
+ * editable field and buttons to approve or deny it
+ *
+ * Approving with changed arguments submits an "edit" decision. The
+ * controls are disabled once the toolApproval message for the call
+ * arrives (see updateToolApproval).
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {string} runId - The id of the run making the call
+ * @param {Object} data - The toolApprovalRequired message ({ toolApprovalRequired, approvalId, toolArgs, expiresAt })
+ */
+export function renderToolApproval(container, runId, data) {
+    const approvalDiv = document.createElement('div');
+    approvalDiv.className = 'tool-approval';
+    approvalDiv.dataset.approvalId = data.approvalId;
+
+    const heading = document.createElement('p');
+    const title = document.createElement('strong');
+    title.textContent = 'Approval required:';
+    heading.append(title, ' ', `the model wants to call ${data.toolApprovalRequired}. ` +
+        `Edit the arguments if needed, then approve or deny the call before ${new Date(data.expiresAt).toLocaleTimeString()}.`);
+
+    const argsField = document.createElement('textarea');
+    argsField.rows = 4;
+    argsField.value = JSON.stringify(JSON.parse(data.toolArgs), null, 2);
+
+    const status = document.createElement('p');
+    status.className = 'approval-status';
+
+    const approveButton = document.createElement('button');
+    approveButton.textContent = 'Approve';
+    const denyButton = document.createElement('button');
+    denyButton.textContent = 'Deny';
+    const buttons = document.createElement('div');
+    buttons.className = 'button-container';
+    buttons.append(approveButton, denyButton);
+
+    const submit = async (decision) => {
+        status.textContent = '';
+        const body = { decision };
+        if (decision === 'approve') {
+            let input;
+            try {
+                input = JSON.parse(argsField.value);
+            } catch {
+                status.textContent = 'The arguments are not valid JSON.';
+                return;
+            }
+            if (JSON.stringify(input) !== JSON.stringify(JSON.parse(data.toolArgs))) {
+                body.decision = 'edit';
+                body.input = input;
+            }
+        }
+
+        approveButton.disabled = denyButton.disabled = true;
+        try {
+            await submitToolApproval(runId, data.approvalId, body);
+        } catch (error) {
+            status.textContent = error.message;
+            approveButton.disabled = denyButton.disabled = false;
+        }
+    };
+    approveButton.addEventListener('click', () => submit('approve'));
+    denyButton.addEventListener('click', () => submit('deny'));
+
+    approvalDiv.append(heading, argsField, buttons, status);
+    container.appendChild(approvalDiv);
+}
+
+/**
+ * Shows the outcome of a tool approval and disables its controls
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {Object} data - The toolApproval message ({ toolApproval, approvalId, toolName, toolArgs })
+ */
+export function updateToolApproval(container, data) {
+    const approvalDiv = [...container.querySelectorAll('.tool-approval')]
+        .find(element => element.dataset.approvalId === data.approvalId);
+    if (!approvalDiv) {
+        return;
+    }
+    approvalDiv.querySelectorAll('textarea, button').forEach(control => {
+        control.disabled = true;
+    });
+    approvalDiv.querySelector('.approval-status').textContent = TOOL_APPROVAL_OUTCOMES[data.toolApproval];
+    approvalDiv.classList.add(`approval-${data.toolApproval}`);
+}
+
+/**
+ * Displays the metrics of a completed request below its response
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {Object} metrics - The request metrics (see /api/metrics)
+ */
+export function renderMetrics(container, metrics) {
+    const parts = [
+        `first token ${metrics.timeToFirstTokenMs} ms`,
+        `total ${metrics.latencyMs} ms`
+    ];
+    if (metrics.toolCalls.length > 0) {
+        parts.push(`tools ${metrics.toolTimeMs} ms`);
+    }
+    parts.push(`${metrics.inputTokens} in / ${metrics.outputTokens} out tokens`);
+    if (metrics.estimatedCost !== null) {
+        parts.push(`~$${metrics.estimatedCost.toFixed(6)}`);
+    }
+
+    const metricsDiv = document.createElement('div');
+    metricsDiv.className = 'metrics';
+    metricsDiv.textContent = parts.join(' · ');
+    container.appendChild(metricsDiv);
+}
+
+/**
+ * Renders session messages as a transcript
+ *
+ * Assistant turns and tool results between two user messages are shown
+ * together in one assistant message, like a live response.
+ *
+ * @param {HTMLElement} transcript - The transcript container
+ * @param {Object[]} messages - Messages in the session format
+ */
+export function renderSessionMessages(transcript, messages) {
+    let assistantMessage = null;
+
+    for (const message of messages) {
+        if (message.role === 'user') {
+            addChatMessage(transcript, 'user', message.text);
+            assistantMessage = null;
+            continue;
+        }
+
+        assistantMessage ??= addChatMessage(transcript, 'assistant');
+        if (message.role === 'assistant') {
+            if (message.text) {
+                addMarkdown(assistantMessage, message.text);
+            }
+            (message.toolCalls || []).forEach(toolCall =>
+                renderToolCall(assistantMessage, toolCall.name, toolCall.input));
+        } else {
+            renderToolResult(assistantMessage, message.name, message.result);
+        }
+    }
+}
+
+/**
+ * Adds an error message to the transcript
+ *
+ * Errors reported by the server come with the trace id of the request,
+ * which is shown so the request can be looked up in the server logs.
+ *
+ * @param {HTMLElement} transcript - The transcript container
+ * @param {string} message - The error message
+ * @param {string} [traceId] - Trace id of the failed request
+ */
+export function addChatError(transcript, message, traceId) {
+    const errorParagraph = document.createElement('p');
+    errorParagraph.className = 'error';
+    errorParagraph.textContent = `Error: ${message}`;
+    if (traceId) {
+        const trace = document.createElement('span');
+        trace.className = 'trace-id';
+        trace.textContent = `Trace ID: ${traceId}`;
+        errorParagraph.appendChild(trace);
+    }
+    transcript.appendChild(errorParagraph);
+}
+
+/**
+ * Adds the model and inference parameter controls to a page
+ *
+ * The allowed models and the default parameters come from /api/models.
+ * Use readSettings to add the chosen values to a request.
+ *
+ * @param {HTMLElement} container - Element to add the controls to
+ */
+export async function createSettingsControls(container) {
+    const { models, defaultModelId, inference, maxStopSequences } = await listModels();
+
+    const details = document.createElement('details');
+    details.innerHTML = `<summary>Model and parameters</summary>
+        <div class="settings-grid">
+            <label>Model <select name="modelId"></select></label>
+            <label>Temperature <input name="temperature" type="number" min="0" max="1" step="0.05"></label>
+            <label>Top P <input name="topP" type="number" min="0" max="1" step="0.05"></label>
+            <label>Max tokens <input name="maxTokens" type="number" min="1" max="2048" step="1"></label>
+            <label>Stop sequences (comma-separated, up to ${maxStopSequences}, \\n for a line break)
+                <input name="stopSequences" type="text"></label>
+        </div>`;
+
+    const modelSelect = details.querySelector('[name="modelId"]');
+    for (const model of models) {
+        modelSelect.add(new Option(model.name, model.id, false, model.id === defaultModelId));
+    }
+    details.querySelector('[name="temperature"]').value = inference.temperature;
+    details.querySelector('[name="topP"]').value = inference.topP;
+    details.querySelector('[name="maxTokens"]').value = inference.maxTokens;
+    details.querySelector('[name="stopSequences"]').value = inference.stopSequences
+        .map(sequence => sequence.replace(/\n/g, '\\n'))
+        .join(', ');
+
+    container.appendChild(details);
+}
+
+/**
+ * Reads the model and inference parameter controls
+ *
+ * @param {HTMLElement} container - Element holding the controls
+ * @returns {Object} The { modelId, inference } fields of a generation request,
+ *   or an empty object if the controls have not been loaded
+ */
+export function readSettings(container) {
+    const field = name => container.querySelector(`[name="${name}"]`);
+    if (!field('modelId')) {
+        return {};
+    }
+
+    return {
+        modelId: field('modelId').value,
+        inference: {
+            temperature: Number(field('temperature').value),
+            topP: Number(field('topP').value),
+            maxTokens: Number(field('maxTokens').value),
+            stopSequences: field('stopSequences').value
+                .split(',')
+                .map(sequence => sequence.trim().replace(/\\n/g, '\n'))
+                .filter(Boolean)
+        }
+    };
+}
+
+/**
+ * Wires the controls of a chat page to the server
+ *
+ * The page provides the #prompt field, the #generateButton and
+ * #newConversationButton buttons, and the #settings and #response
+ * containers. The conversation is restored after a reload, and each prompt
+ * is sent with the page's session and settings. The response is shown in
+ * the transcript as its events arrive: text, tool calls and results,
+ * approvals, malformed tool calls, metrics and errors. While a response is
+ * generated, the generate button stops it.
+ *
+ * @param {Object} options
+ * @param {string} options.sessionKey - sessionStorage key for the page's session id
+ * @param {Function} [options.generate] - Client function sending the request,
+ *   streamChat (default) or callTools
+ * @param {string} [options.endpoint] - Streaming endpoint, for streamChat
+ * @param {Function} [options.readRequest] - Returns extra fields of the request
+ * @param {string} [options.placeholder] - Text shown until the response arrives
+ */
+export function createChatPage({ sessionKey, generate = streamChat, endpoint, readRequest = () => ({}), placeholder }) {
+    const promptElement = document.getElementById('prompt');
+    const responseElement = document.getElementById('response');
+    const settingsElement = document.getElementById('settings');
+    const generateButton = document.getElementById('generateButton');
+
+    // Controller of the response being generated
+    let currentStream = null;
+
+    // Restore the conversation after a page reload, and load the model controls
+    restoreSession(sessionKey, responseElement);
+    createSettingsControls(settingsElement).catch((error) => {
+        addChatError(responseElement, error.message);
+    });
+
+    const stop = () => {
+        currentStream?.abort();
+        currentStream = null;
+        generateButton.textContent = 'Generate Response';
+        generateButton.disabled = false;
+    };
+
+    generateButton.addEventListener('click', async () => {
+        // If a response is being generated, stop it
+        if (currentStream) {
+            stop();
+            return;
+        }
+
+        const prompt = promptElement.value.trim();
+        if (!prompt) {
+            addChatError(responseElement, 'Please enter a prompt.');
+            return;
+        }
+
+        generateButton.disabled = true;
+        let assistantMessage = null;
+        try {
+            const sessionId = await getOrCreateSession(sessionKey);
+
+            // Add the prompt and the assistant message to the transcript
+            addChatMessage(responseElement, 'user', prompt);
+            assistantMessage = addChatMessage(responseElement, 'assistant', placeholder);
+            promptElement.value = '';
+
+            currentStream = new AbortController();
+            generateButton.textContent = 'Stop';
+            generateButton.disabled = false;
+
+            const request = { prompt, sessionId, ...readSettings(settingsElement), ...readRequest() };
+            await generate(request, createTranscriptCallbacks(responseElement, assistantMessage, placeholder), {
+                endpoint,
+                signal: currentStream.signal
+            });
+        } catch (error) {
+            // Clicking "Stop" aborts the request; the client cancels the run
+            if (error.name !== 'AbortError') {
+                removeEmptyMessage(assistantMessage, placeholder);
+                addChatError(responseElement, error.message, error.traceId);
+            }
+        }
+        stop();
+    });
+
+    document.getElementById('newConversationButton').addEventListener('click', async () => {
+        stop();
+        await startNewConversation(sessionKey, responseElement);
+    });
+}
+
+/**
+ * Creates the client callbacks that show a response in an assistant message
+ *
+ * @param {HTMLElement} transcript - The transcript container
+ * @param {HTMLElement} assistantMessage - The assistant message element
+ * @param {string} [placeholder] - Text the message shows until the first event
+ * @returns {Object} Callbacks for streamChat or callTools
+ */
+function createTranscriptCallbacks(transcript, assistantMessage, placeholder) {
+    // Id of the run, for approving tool calls
+    let runId = null;
+    let responseText = null;
+
+    // Text generated after a tool card goes below it
+    const appendText = (text) => {
+        responseText ??= addMarkdown(assistantMessage);
+        responseText.append(text);
+    };
+    const clearPlaceholder = () => {
+        if (placeholder) {
+            assistantMessage.querySelector('p:not(.message-role)')?.remove();
+            placeholder = null;
+        }
+    };
+
+    return {
+        run: (data) => {
+            runId = data.runId;
+        },
+        text: (data) => {
+            clearPlaceholder();
+            appendText(data.text);
+        },
+        toolApprovalRequired: (data) => {
+            // Tool call waiting for approval - show the approve/edit/deny controls
+            clearPlaceholder();
+            renderToolApproval(assistantMessage, runId, data);
+            responseText = null;
+        },
+        toolApproval: (data) => {
+            // The approval was decided - a denied call gets no tool response
+            updateToolApproval(assistantMessage, data);
+        },
+        toolCall: (data) => {
+            clearPlaceholder();
+            renderToolCall(assistantMessage, data.toolCall, JSON.parse(data.toolArgs));
+            responseText = null;
+        },
+        toolError: (data) => {
+            // Malformed tool call - the model is asked to correct it
+            clearPlaceholder();
+            renderToolError(assistantMessage, data);
+            responseText = null;
+        },
+        toolResponse: (data) => {
+            renderToolResult(assistantMessage, data.toolName, data.toolResponse, data.cache);
+            responseText = null;
+        },
+        metrics: (data) => {
+            // Token usage and timing of the completed request
+            renderMetrics(assistantMessage, data.metrics);
+        },
+        error: (data) => {
+            removeEmptyMessage(assistantMessage, placeholder);
+            addChatError(transcript, data.error, data.traceId);
+        }
+    };
+}
+
+/**
+ * Removes an assistant message that has nothing but its placeholder
+ *
+ * @param {HTMLElement|null} message - The assistant message element
+ * @param {string} [placeholder] - The placeholder text, if still shown
+ */
+function removeEmptyMessage(message, placeholder) {
+    const content = [...(message?.children ?? [])].filter(child => !child.classList.contains('message-role'));
+    if (message && content.every(child => child.textContent === placeholder)) {
+        message.remove();
+    }
+}
@@ -0,0 +1,457 @@
+/**
+ * Amazon Bedrock LLM Examples - Client
+ *
+ * ES module for calling the example server, used by the pages and by Node
+ * scripts alike (it only needs fetch, so it runs in Node 18+ unchanged):
+ *
+ *   import { streamChat } from './client.js';
+ *
+ *   const result = await streamChat({ prompt: "What's the weather in Paris?" }, {
+ *       text: (data) => process.stdout.write(data.text),
+ *       toolCall: (data) => console.log(`calling ${data.toolCall}`)
+ *   }, { baseUrl: 'http://localhost:3000' });
+ *
+ * The callbacks are called with the data of each event as the server sends
+ * it (see the README for every event type). Each function also resolves
+ * with a summary of the whole response, so scripts can ignore the events.
+ * In the browser, baseUrl can be left out to call the page's own server.
+ */
+
+/**
+ * Number of times a dropped stream is resumed before giving up
+ */
+const MAX_STREAM_RECONNECTS = 5;
+
+/**
+ * Delay before resuming a dropped stream, in milliseconds
+ */
+const STREAM_RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Error of a request the server rejected (e.g. an invalid request) or
+ * could not answer
+ */
+export class ClientError extends Error {
+    /**
+     * @param {string} message - Error message from the server
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status
+     * @param {string} [details.traceId] - Trace id of the request, to look it up in the server logs
+     */
+    constructor(message, { status, traceId } = {}) {
+        super(message);
+        this.name = 'ClientError';
+        this.status = status;
+        this.traceId = traceId;
+    }
+}
+
+/**
+ * @typedef {Object} ChatCallbacks
+ * Functions receiving the data of each event type; all are optional
+ * @property {Function} [run] - { runId, traceId }: the run started
+ * @property {Function} [status] - { status }: a progress message of the server, not part of the answer
+ * @property {Function} [text] - { text }: a chunk of the answer
+ * @property {Function} [toolCall] - { toolCall, toolArgs }: a tool is called (toolArgs is JSON)
+ * @property {Function} [toolResponse] - { toolResponse, toolName, cache }: a tool returned
+ * @property {Function} [toolError] - { toolError, toolName, toolArgs, attempt, maxRetries }:
+ *   a malformed tool call was sent back to the model
+ * @property {Function} [toolApprovalRequired] - { toolApprovalRequired, approvalId, toolArgs, expiresAt }:
+ *   a tool call waits for approval (see submitToolApproval)
+ * @property {Function} [toolApproval] - { toolApproval, approvalId, toolName, toolArgs }: it was decided
+ * @property {Function} [metrics] - { metrics }: token usage, latency and cost of the request
+ * @property {Function} [comparison] - { comparison }: summary of a comparison (compareApproaches)
+ * @property {Function} [done] - { done }: the response is complete
+ * @property {Function} [error] - { error, traceId }: the generation failed
+ */
+
+/**
+ * @typedef {Object} ChatResult
+ * @property {string|null} runId - Id of the stream run (null for callTools)
+ * @property {string|null} traceId - Trace id of the request
+ * @property {string} text - The answer text
+ * @property {Object[]} toolCalls - { name, input, result, cache } of each tool call
+ * @property {Object|null} metrics - Metrics of the request
+ * @property {string|null} error - Error message if the generation failed
+ */
+
+/**
+ * Streams a response from one of the streaming endpoints
+ *
+ * The request is a generation request (prompt or messages, sessionId,
+ * system prompt, model, inference parameters, tools). It is sent as a
+ * resumable request: when the connection drops, the request is repeated with
+ * the id of the last event received and the server resumes the run where it
+ * left off. Aborting the signal stops reading and cancels the run on the server.
+ *
+ * A generation that fails once streaming has started is reported with the
+ * error callback and in the result; a request the server rejects throws.
+ *
+ * @param {Object} request - Generation request
+ * @param {ChatCallbacks} [callbacks] - Event callbacks
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Streaming endpoint (default /api/generate/stream-tools)
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @param {AbortSignal} [options.signal] - Stops the response
+ * @returns {Promise<ChatResult>} Summary of the response
+ * @throws {ClientError} When the server rejects the request
+ */
+export async function streamChat(request, callbacks = {}, { endpoint = '/api/generate/stream-tools', baseUrl, signal } = {}) {
+    const result = { runId: null, traceId: null, text: '', toolCalls: [], metrics: null, error: null };
+    const summarize = {
+        run: (data) => {
+            result.runId = data.runId;
+            result.traceId = data.traceId;
+        },
+        text: (data) => {
+            result.text += data.text;
+        },
+        toolCall: (data) => {
+            result.toolCalls.push({ name: data.toolCall, input: JSON.parse(data.toolArgs), result: null, cache: null });
+        },
+        toolResponse: (data) => {
+            const call = result.toolCalls.findLast(toolCall => toolCall.name === data.toolName && !toolCall.result);
+            if (call) {
+                call.result = data.toolResponse;
+                call.cache = data.cache;
+            }
+        },
+        metrics: (data) => {
+            result.metrics = data.metrics;
+        },
+        comparison: (data) => {
+            result.comparison = data.comparison;
+        },
+        error: (data) => {
+            result.error = data.error;
+        }
+    };
+
+    let finished = false;
+    try {
+        await readEventStream(resolveUrl(endpoint, baseUrl), { ...request, resumable: true }, (event, data) => {
+            // Events of the approaches of a comparison are only passed on
+            if (!data.approach) {
+                finished ||= event === 'done' || event === 'error';
+                summarize[event]?.(data);
+            }
+            callbacks[event]?.(data);
+        }, signal);
+        return result;
+    } catch (error) {
+        // Stopped before the end: cancel the generation on the server
+        if (signal?.aborted && result.runId && !finished) {
+            cancelRun(result.runId, { baseUrl }).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+/**
+ * Gets a response from the non-streaming Converse API endpoint
+ *
+ * The callbacks are called with the same events as a stream, once the
+ * response has arrived: each tool call and its result, the answer text,
+ * the metrics and done (or error).
+ *
+ * @param {Object} request - Generation request
+ * @param {ChatCallbacks} [callbacks] - Event callbacks
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<ChatResult>} The response, with the iterations, stopReason
+ *   and trace of the tool use loop
+ * @throws {ClientError} When the server rejects the request
+ */
+export async function callTools(request, callbacks = {}, { baseUrl, signal } = {}) {
+    const response = await fetch(resolveUrl('/api/generate/tools', baseUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+        signal
+    });
+    const data = await response.json().catch(() => ({}));
+    const traceId = data.traceId || response.headers.get('X-Trace-Id');
+
+    // A failed generation is reported like a failed stream
+    if (response.status >= 500 && data.error) {
+        callbacks.error?.({ error: data.error, traceId });
+        return { runId: null, traceId, text: '', toolCalls: [], metrics: null, error: data.error };
+    }
+    if (!response.ok) {
+        throw new ClientError(data.error || `Request failed (${response.status})`, { status: response.status, traceId });
+    }
+
+    for (const { name, input, result, cache } of data.toolCalls) {
+        callbacks.toolCall?.({ toolCall: name, toolArgs: JSON.stringify(input) });
+        callbacks.toolResponse?.({ toolResponse: result, toolName: name, cache });
+    }
+    callbacks.text?.({ text: data.response });
+    callbacks.metrics?.({ metrics: data.metrics });
+    callbacks.done?.({ done: true });
+
+    return {
+        ...data,
+        runId: null,
+        traceId,
+        text: data.response,
+        toolCalls: data.toolCalls.map(({ name, input, result, cache }) => ({ name, input, result, cache })),
+        error: null
+    };
+}
+
+/**
+ * Streams several approaches side by side with /api/compare
+ *
+ * The events of the approaches carry the `approach` they belong to, and
+ * the stream ends with a comparison event summarizing each approach.
+ *
+ * @param {Object} request - Generation request, with an optional `approaches` list
+ * @param {ChatCallbacks} [callbacks] - Event callbacks
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @param {AbortSignal} [options.signal] - Stops the comparison
+ * @returns {Promise<Object>} { runId, traceId, comparison, error }, where comparison
+ *   is the summary of each approach, or null if the comparison failed
+ * @throws {ClientError} When the server rejects the request
+ */
+export async function compareApproaches(request, callbacks = {}, { baseUrl, signal } = {}) {
+    const { runId, traceId, comparison = null, error } =
+        await streamChat(request, callbacks, { endpoint: '/api/compare', baseUrl, signal });
+    return { runId, traceId, comparison, error };
+}
+
+/**
+ * Cancels a stream run on the server
+ *
+ * streamChat does this when its signal is aborted; aborting the request of a
+ * resumable run alone leaves the run generating for a grace period, in case
+ * the client reconnects.
+ *
+ * @param {string} runId - The id received in the stream's run event
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<void>}
+ */
+export async function cancelRun(runId, { baseUrl } = {}) {
+    await request(`/api/runs/${runId}/cancel`, { method: 'POST' }, baseUrl);
+}
+
+/**
+ * Approves, edits or denies a tool call waiting for approval
+ *
+ * @param {string} runId - Id of the run making the call
+ * @param {string} approvalId - The id of the toolApprovalRequired event
+ * @param {Object} decision - { decision: "approve" | "edit" | "deny", input }, with
+ *   the edited tool arguments as input for "edit"
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<void>}
+ * @throws {ClientError} When the call no longer waits or the input is invalid
+ */
+export async function submitToolApproval(runId, approvalId, decision, { baseUrl } = {}) {
+    await request(`/api/runs/${runId}/approvals/${approvalId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(decision)
+    }, baseUrl);
+}
+
+/**
+ * Creates a conversation session
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<Object>} The session ({ id, ... })
+ */
+export async function createSession({ baseUrl } = {}) {
+    return request('/api/sessions', { method: 'POST' }, baseUrl);
+}
+
+/**
+ * Gets a conversation session with its messages
+ *
+ * @param {string} sessionId - Session id
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<Object|null>} The session, or null if it doesn't exist (any more)
+ */
+export async function getSession(sessionId, { baseUrl } = {}) {
+    try {
+        return await request(`/api/sessions/${sessionId}`, {}, baseUrl);
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Deletes a conversation session
+ *
+ * @param {string} sessionId - Session id
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(sessionId, { baseUrl } = {}) {
+    await request(`/api/sessions/${sessionId}`, { method: 'DELETE' }, baseUrl);
+}
+
+/**
+ * Lists the models a request may select and the default inference parameters
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<Object>} { models, defaultModelId, inference, maxStopSequences }
+ */
+export async function listModels({ baseUrl } = {}) {
+    return request('/api/models', {}, baseUrl);
+}
+
+/**
+ * Gets the active server configuration, with secrets redacted
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL, required outside the browser
+ * @returns {Promise<Object>} { file, settings }, with the { path, value, source } of each setting
+ */
+export async function getConfig({ baseUrl } = {}) {
+    return request('/api/config', {}, baseUrl);
+}
+
+/**
+ * @param {string} path - API path
+ * @param {string} [baseUrl] - Server URL
+ * @returns {string} The URL to fetch
+ */
+function resolveUrl(path, baseUrl) {
+    return baseUrl ? new URL(path, baseUrl).href : path;
+}
+
+/**
+ * Sends a request to a JSON endpoint
+ *
+ * @param {string} path - API path
+ * @param {Object} init - fetch options
+ * @param {string} [baseUrl] - Server URL
+ * @returns {Promise<Object|null>} The response body, or null if it is empty
+ * @throws {ClientError} When the response is not successful
+ */
+async function request(path, init, baseUrl) {
+    const response = await fetch(resolveUrl(path, baseUrl), init);
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+        throw new ClientError(data?.error || `Request failed (${response.status})`, {
+            status: response.status,
+            traceId: data?.traceId || response.headers.get('X-Trace-Id')
+        });
+    }
+    return data;
+}
+
+/**
+ * POSTs a request to a streaming endpoint and passes each event to a function,
+ * resuming the stream when the connection drops
+ *
+ * @param {string} url - Streaming endpoint URL
+ * @param {Object} body - Request body
+ * @param {Function} onEvent - Called with (event, data) for every event
+ * @param {AbortSignal} [signal] - Stops reading the stream
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(url, body, onEvent, signal) {
+    let lastEventId = null;
+
+    for (let reconnects = 0; ; reconnects++) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (lastEventId) {
+                headers['Last-Event-ID'] = lastEventId;
+            }
+
+            const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+            if (!response.ok) {
+                const { error, traceId } = await response.json().catch(() => ({}));
+                throw new ClientError(error || `Request failed (${response.status})`, {
+                    status: response.status,
+                    traceId: traceId || response.headers.get('X-Trace-Id')
+                });
+            }
+
+            for await (const message of readSSEMessages(response.body)) {
+                lastEventId = message.id || lastEventId;
+                onEvent(message.event || 'message', JSON.parse(message.data));
+            }
+            return;
+        } catch (error) {
+            // fetch reports dropped connections as TypeErrors; anything else is final
+            const dropped = error instanceof TypeError && !signal?.aborted;
+            if (!dropped || !lastEventId || reconnects >= MAX_STREAM_RECONNECTS) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, STREAM_RECONNECT_DELAY_MS));
+        }
+    }
+}
+
+/**
+ * Reads the messages of a Server-Sent Events response body
+ *
+ * @param {ReadableStream} stream - Response body
+ * @returns {AsyncGenerator<Object>} Messages ({ id, event, data }) that carry data
+ */
+async function* readSSEMessages(stream) {
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return;
+            }
+
+            // Messages are separated by a blank line
+            buffer += value;
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const message = parseSSEMessage(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (message.data !== undefined) {
+                    yield message;
+                }
+            }
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Parses the fields of one Server-Sent Events message
+ *
+ * @param {string} text - The message lines
+ * @returns {Object} { id, event, data }
+ */
+function parseSSEMessage(text) {
+    const message = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf(':');
+        // Skip comments (lines starting with a colon) and fields without values
+        if (separator <= 0) {
+            continue;
+        }
+
+        const field = line.slice(0, separator);
+        const value = line.slice(separator + 1).replace(/^ /, '');
+        if (field === 'data') {
+            message.data = message.data === undefined ? value : `${message.data}\n${value}`;
+        } else if (field === 'id' || field === 'event') {
+            message[field] = value;
+        }
+    }
+    return message;
+}
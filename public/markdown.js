@@ -0,0 +1,296 @@
+/**
+ * Amazon Bedrock LLM Examples - Markdown Rendering
+ *
+ * Renders the Markdown the model answers with (headings, lists, tables,
+ * code blocks, emphasis, links) as HTML, also while the answer is still
+ * streaming in. Used by chat.js and the pages.
+ *
+ * Model and tool output is never trusted: text is HTML-escaped before any
+ * Markdown syntax is turned into tags, only the tags below are produced,
+ * and links are only created for http, https and mailto URLs.
+ */
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ *
+ * @param {*} text - The text
+ * @returns {string} The escaped text
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[character]);
+}
+
+/**
+ * Patterns of the lines that start a block
+ */
+const MARKDOWN_BLOCKS = {
+    fence: /^\s*(`{3,}|~{3,})\s*([\w+-]*)/,
+    heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+    rule: /^\s*([-*_])(\s*\1){2,}\s*$/,
+    listItem: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+    quote: /^\s*>\s?(.*)$/,
+    tableDivider: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+};
+
+/**
+ * Renders Markdown as HTML
+ *
+ * Unfinished syntax at the end of a streamed answer renders sensibly: an
+ * unclosed code block shows what has arrived as code, and an unclosed
+ * emphasis marker is shown as text until its closing marker arrives.
+ *
+ * @param {string} markdown - The Markdown text
+ * @returns {string} Safe HTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        let match;
+
+        if (!line.trim()) {
+            index++;
+        } else if ((match = MARKDOWN_BLOCKS.fence.exec(line))) {
+            // Code block, up to the closing fence or the end of the text
+            const fence = match[1];
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+                code.push(lines[index++]);
+            }
+            index++;
+            const language = match[2] ? ` class="language-${escapeHtml(match[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if ((match = MARKDOWN_BLOCKS.heading.exec(line))) {
+            const level = match[1].length;
+            html.push(`<h${level}>${renderInlineMarkdown(match[2])}</h${level}>`);
+            index++;
+        } else if (MARKDOWN_BLOCKS.rule.test(line)) {
+            html.push('<hr>');
+            index++;
+        } else if (MARKDOWN_BLOCKS.listItem.test(line)) {
+            index = renderMarkdownList(lines, index, html);
+        } else if (MARKDOWN_BLOCKS.quote.test(line)) {
+            const quoted = [];
+            while (index < lines.length && (match = MARKDOWN_BLOCKS.quote.exec(lines[index]))) {
+                quoted.push(match[1]);
+                index++;
+            }
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+        } else if (line.includes('|') && MARKDOWN_BLOCKS.tableDivider.test(lines[index + 1] || '')) {
+            index = renderMarkdownTable(lines, index, html);
+        } else {
+            // Paragraph, up to a blank line or the start of another block
+            const paragraph = [line];
+            index++;
+            while (index < lines.length && lines[index].trim() && !startsMarkdownBlock(lines, index)) {
+                paragraph.push(lines[index++]);
+            }
+            html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+        }
+    }
+    return html.join('');
+}
+
+/**
+ * @param {string[]} lines - Lines of the text
+ * @param {number} index - Index of a line
+ * @returns {boolean} True if the line starts a block other than a paragraph
+ */
+function startsMarkdownBlock(lines, index) {
+    const line = lines[index];
+    return MARKDOWN_BLOCKS.fence.test(line) ||
+        MARKDOWN_BLOCKS.heading.test(line) ||
+        MARKDOWN_BLOCKS.rule.test(line) ||
+        MARKDOWN_BLOCKS.listItem.test(line) ||
+        MARKDOWN_BLOCKS.quote.test(line) ||
+        (line.includes('|') && MARKDOWN_BLOCKS.tableDivider.test(lines[index + 1] || ''));
+}
+
+/**
+ * Renders a list starting at a line, including lists nested in it
+ *
+ * Lines indented below an item without a marker continue the item's text.
+ *
+ * @param {string[]} lines - Lines of the text
+ * @param {number} index - Index of the list's first line
+ * @param {string[]} html - Receives the HTML of the list
+ * @returns {number} Index of the first line after the list
+ */
+function renderMarkdownList(lines, index, html) {
+    const [, indent, marker] = MARKDOWN_BLOCKS.listItem.exec(lines[index]);
+    const ordered = /\d/.test(marker);
+    const start = ordered && parseInt(marker, 10) !== 1 ? ` start="${parseInt(marker, 10)}"` : '';
+    const items = [];
+
+    while (index < lines.length) {
+        const match = MARKDOWN_BLOCKS.listItem.exec(lines[index]);
+        if (!match || match[1].length < indent.length) {
+            break;
+        }
+        if (match[1].length > indent.length) {
+            // A nested list belongs to the previous item
+            const nested = [];
+            index = renderMarkdownList(lines, index, nested);
+            items[items.length - 1] += nested.join('');
+            continue;
+        }
+        if (/\d/.test(match[2]) !== ordered) {
+            break;
+        }
+
+        const text = [match[3]];
+        index++;
+        while (index < lines.length && /^\s+\S/.test(lines[index]) && !MARKDOWN_BLOCKS.listItem.test(lines[index])) {
+            text.push(lines[index++].trim());
+        }
+        items.push(text.map(renderInlineMarkdown).join('<br>'));
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    html.push(`<${tag}${start}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`);
+    return index;
+}
+
+/**
+ * Renders a table starting at its header row
+ *
+ * @param {string[]} lines - Lines of the text
+ * @param {number} index - Index of the header row
+ * @param {string[]} html - Receives the HTML of the table
+ * @returns {number} Index of the first line after the table
+ */
+function renderMarkdownTable(lines, index, html) {
+    const cells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    const alignments = cells(lines[index + 1]).map(cell =>
+        cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : (cell.startsWith(':') ? 'left' : null));
+    const row = (line, tag) => `<tr>${cells(line).map((cell, column) => {
+        const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderInlineMarkdown(cell)}</${tag}>`;
+    }).join('')}</tr>`;
+
+    const header = row(lines[index], 'th');
+    const rows = [];
+    index += 2;
+    while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push(row(lines[index++], 'td'));
+    }
+    html.push(`<table><thead>${header}</thead><tbody>${rows.join('')}</tbody></table>`);
+    return index;
+}
+
+/**
+ * Renders the inline Markdown of one line: code spans, links, bold,
+ * italic and strikethrough
+ *
+ * @param {string} text - The line
+ * @returns {string} Safe HTML
+ */
+function renderInlineMarkdown(text) {
+    // Code spans are kept as they are; everything else is escaped first
+    return text.split(/(`[^`]+`)/).map((part, index) => {
+        if (index % 2 === 1) {
+            return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        }
+        return escapeHtml(part)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (link, label, url) => /^(https?:|mailto:)/i.test(url)
+                ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+                : label)
+            .replace(/(\*\*|__)(?=\S)(.+?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)(.+?\S)~~/g, '<del>$1</del>');
+    }).join('');
+}
+
+/**
+ * Finds where the finished blocks of a streamed text end
+ *
+ * Blocks end at a blank line outside a code block. The text before that
+ * point won't change as more text arrives, so it only has to be rendered once.
+ *
+ * @param {string} text - The text so far
+ * @param {number} from - Offset of a block start to search from
+ * @returns {number} Offset after the last blank line that ends a block, or `from`
+ */
+function findFinishedMarkdown(text, from) {
+    let boundary = from;
+    let fence = null;
+    let offset = from;
+
+    // Only complete lines are considered; the last line may still grow
+    for (let end = text.indexOf('\n', offset); end !== -1; end = text.indexOf('\n', offset)) {
+        const line = text.slice(offset, end);
+        const match = MARKDOWN_BLOCKS.fence.exec(line);
+        if (fence) {
+            if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+        } else if (match) {
+            fence = match[1];
+        } else if (!line.trim()) {
+            boundary = end + 1;
+        }
+        offset = end + 1;
+    }
+    return boundary;
+}
+
+/**
+ * Adds a Markdown block to a message that renders text as it streams in
+ *
+ * Finished blocks are rendered once; only the block still being written is
+ * rendered again, at most once per animation frame.
+ *
+ * @param {HTMLElement} container - The message element
+ * @param {string} [text] - Initial text
+ * @returns {Object} { element, append(text), text }
+ */
+export function addMarkdown(container, text = '') {
+    const element = document.createElement('div');
+    element.className = 'markdown';
+    const finished = document.createElement('div');
+    const current = document.createElement('div');
+    element.append(finished, current);
+    container.appendChild(element);
+
+    let source = '';
+    let finishedLength = 0;
+    let frame = null;
+
+    const render = () => {
+        frame = null;
+        const boundary = findFinishedMarkdown(source, finishedLength);
+        if (boundary > finishedLength) {
+            finished.insertAdjacentHTML('beforeend', renderMarkdown(source.slice(finishedLength, boundary)));
+            finishedLength = boundary;
+        }
+        current.innerHTML = renderMarkdown(source.slice(finishedLength));
+    };
+
+    const block = {
+        element,
+        append(chunk) {
+            source += chunk;
+            frame ??= requestAnimationFrame(render);
+        },
+        get text() {
+            return source;
+        }
+    };
+
+    if (text) {
+        source = text;
+        render();
+    }
+    return block;
+}
@@ -0,0 +1,464 @@
+/**
+ * Command-Line Client
+ *
+ * Sends prompts to the examples of a running server from a terminal or a
+ * script, with the client in public/client.js. Streamed text is printed as
+ * it arrives, with the tool calls and their results in between:
+ *
+ *   npm run cli -- "What's the weather in Paris?"
+ *   npm run cli -- --endpoint tools "Will it rain in Chicago tomorrow?"
+ *   echo "What's the weather in Paris?" | npm run cli -- --ndjson | jq -c 'select(.event == "toolCall")'
+ *   npm run cli
+ *
+ * Without a prompt (and with a terminal as input), it starts an interactive
+ * session: each prompt continues the conversation, the up and down arrows
+ * recall earlier prompts, and Ctrl+C stops the response being generated.
+ * Type /help for its commands.
+ *
+ * Tool calls that need approval (see lib/tool-approvals.js) are shown with
+ * their arguments, and the user approves, edits or denies them at a prompt.
+ * Without a terminal to ask, e.g. with piped input, they are denied.
+ *
+ * With --ndjson, every event is written to stdout as one JSON object per
+ * line ({"event":"text","text":"..."}), in the event format of the
+ * streaming endpoints; the non-streaming tools endpoint reports its tool
+ * calls, answer and metrics as the same events.
+ *
+ * Options:
+ *   --url <url>            Server URL (default http://localhost:3000)
+ *   --endpoint <name>      tools, stream, stream-tools (default) or converse-stream
+ *   --model <id>           Model id (default: the server's default model)
+ *   --system <text>        System prompt
+ *   --tools <list>         Comma-separated tools the model may use (default: all)
+ *   --session <id>         Continue an existing conversation session
+ *   --require-approval     Ask before running any tool call (stream-tools only)
+ *   --ndjson               Write the events as NDJSON
+ *   --help, -h             Show the usage
+ *
+ * The exit code is 1 when the arguments are invalid or the request fails,
+ * and 130 when it is stopped.
+ */
+
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline/promises';
+import { streamChat, callTools, createSession, deleteSession, submitToolApproval } from '../public/client.js';
+
+/**
+ * Endpoints the prompts can be sent to, by name
+ */
+const ENDPOINTS = {
+    "tools": "/api/generate/tools",
+    "stream": "/api/generate/stream",
+    "stream-tools": "/api/generate/stream-tools",
+    "converse-stream": "/api/generate/converse-stream"
+};
+
+/**
+ * Event types of a response
+ */
+const EVENT_TYPES = [
+    "run", "status", "text", "toolCall", "toolResponse", "toolError",
+    "toolApprovalRequired", "toolApproval", "metrics", "done", "error"
+];
+
+/**
+ * How the outcome of each tool approval is shown
+ */
+const TOOL_APPROVAL_OUTCOMES = {
+    approved: "approved",
+    edited: "approved with edited arguments",
+    denied: "denied",
+    timedOut: "not approved in time - denied"
+};
+
+const REPL_HELP = `Commands:
+  /new               Start a new conversation
+  /endpoint <name>   Switch to another endpoint (${Object.keys(ENDPOINTS).join(", ")})
+  /help              Show this help
+  /exit              Quit (or press Ctrl+D)`;
+
+const USAGE = `Usage: npm run cli -- [options] [prompt]
+
+Sends the prompt (or the piped input) to a running server and prints the
+response. Without a prompt, starts an interactive session.
+
+Options:
+  --url <url>            Server URL (default http://localhost:3000)
+  --endpoint <name>      ${Object.keys(ENDPOINTS).join(", ")} (default stream-tools)
+  --model <id>           Model id (default: the server's default model)
+  --system <text>        System prompt
+  --tools <list>         Comma-separated tools the model may use (default: all)
+  --session <id>         Continue an existing conversation session
+  --require-approval     Ask before running any tool call (stream-tools only)
+  --ndjson               Write the events as NDJSON
+  --help, -h             Show this help`;
+
+/**
+ * Command-line options, for parseArgs
+ */
+const OPTIONS = {
+    url: { type: "string", default: "http://localhost:3000" },
+    endpoint: { type: "string", default: "stream-tools" },
+    model: { type: "string" },
+    system: { type: "string" },
+    tools: { type: "string" },
+    session: { type: "string" },
+    "require-approval": { type: "boolean", default: false },
+    ndjson: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Styles text for the terminal, when stdout is one
+ */
+const style = process.stdout.isTTY
+    ? { dim: text => `\x1b[2m${text}\x1b[0m`, red: text => `\x1b[31m${text}\x1b[0m` }
+    : { dim: text => text, red: text => text };
+
+/**
+ * Create the callbacks that print the events of a response
+ *
+ * @param {boolean} ndjson - Write every event as a JSON line instead of text
+ * @returns {Object} Client callbacks
+ */
+function createPrinter(ndjson) {
+    if (ndjson) {
+        return Object.fromEntries(EVENT_TYPES.map(event => [
+            event,
+            data => process.stdout.write(JSON.stringify({ event, ...data }) + "\n")
+        ]));
+    }
+
+    // Tool calls and results go on lines of their own between the text
+    let atLineStart = true;
+    const write = (text) => {
+        if (text) {
+            process.stdout.write(text);
+            atLineStart = text.endsWith("\n");
+        }
+    };
+    const endLine = () => write(atLineStart ? "" : "\n");
+    const writeLine = (text) => {
+        endLine();
+        write(`${text}\n`);
+    };
+
+    return {
+        text: data => write(data.text),
+        toolCall: data => writeLine(style.dim(`→ ${data.toolCall} ${data.toolArgs}`)),
+        toolResponse: (data) => {
+            const cached = data.cache === "hit" || data.cache === "coalesced" ? " (cached)" : "";
+            writeLine(style.dim(`← ${data.toolName}${cached} ${JSON.stringify(data.toolResponse)}`));
+        },
+        toolError: data => writeLine(style.dim(
+            `✗ invalid ${data.toolName} call: ${data.toolError} (attempt ${data.attempt} of ${data.maxRetries})`)),
+        toolApprovalRequired: data => writeLine(`? ${data.toolApprovalRequired} ${data.toolArgs} needs approval`),
+        toolApproval: data => writeLine(style.dim(`${data.toolName} call ${TOOL_APPROVAL_OUTCOMES[data.toolApproval]}`)),
+        metrics: (data) => {
+            endLine();
+            process.stderr.write(style.dim(formatMetrics(data.metrics)) + "\n");
+        },
+        done: endLine,
+        error: (data) => {
+            endLine();
+            printError(data.error, data.traceId);
+        }
+    };
+}
+
+/**
+ * @param {Object} metrics - The metrics of a request
+ * @returns {string} A one-line summary of the timing, tokens and cost
+ */
+function formatMetrics(metrics) {
+    const parts = [`first token ${metrics.timeToFirstTokenMs} ms`, `total ${metrics.latencyMs} ms`];
+    if (metrics.toolCalls.length > 0) {
+        parts.push(`tools ${metrics.toolTimeMs} ms`);
+    }
+    parts.push(`${metrics.inputTokens} in / ${metrics.outputTokens} out tokens`);
+    if (metrics.estimatedCost !== null) {
+        parts.push(`~$${metrics.estimatedCost.toFixed(6)}`);
+    }
+    return parts.join(" · ");
+}
+
+/**
+ * Print an error, as an error event in NDJSON mode
+ *
+ * @param {string} message - Error message
+ * @param {string} [traceId] - Trace id of the failed request
+ * @param {boolean} [ndjson] - Whether the events are written as NDJSON
+ */
+function printError(message, traceId, ndjson = false) {
+    if (ndjson) {
+        process.stdout.write(JSON.stringify({ event: "error", error: message, traceId }) + "\n");
+    } else {
+        process.stderr.write(style.red(`Error: ${message}${traceId ? ` (trace id ${traceId})` : ""}`) + "\n");
+    }
+}
+
+/**
+ * Ask the user to decide a tool call waiting for approval
+ *
+ * @param {Object} data - Data of the toolApprovalRequired event
+ * @param {Function|null} ask - Asks a question and resolves with the answer;
+ *   null when there is no terminal to ask
+ * @returns {Promise<Object>} The decision for submitToolApproval
+ */
+async function decideToolApproval(data, ask) {
+    if (!ask) {
+        process.stderr.write(`Denied the ${data.toolApprovalRequired} call: tool calls can only be approved from a terminal\n`);
+        return { decision: "deny" };
+    }
+
+    for (;;) {
+        const answer = (await ask("Run it? [y]es, [n]o or [e]dit the arguments: ")).trim().toLowerCase();
+        if (answer === "y" || answer === "yes") {
+            return { decision: "approve" };
+        }
+        if (answer === "n" || answer === "no") {
+            return { decision: "deny" };
+        }
+        if (answer === "e" || answer === "edit") {
+            try {
+                return { decision: "edit", input: JSON.parse(await ask("Arguments (JSON): ")) };
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) {
+                    throw error;
+                }
+                process.stderr.write("The arguments are not valid JSON.\n");
+            }
+        }
+    }
+}
+
+/**
+ * Send a prompt and print the response
+ *
+ * @param {string} prompt - The prompt
+ * @param {Object} options - Command-line options, with the endpoint name and
+ *   conversation session to use
+ * @param {AbortSignal} signal - Stops the response
+ * @param {Function|null} ask - Asks the user a question, to decide tool approvals
+ * @returns {Promise<boolean>} False if the request failed
+ */
+async function send(prompt, options, signal, ask) {
+    const request = {
+        prompt,
+        sessionId: options.session,
+        modelId: options.model,
+        system: options.system,
+        tools: options.tools?.split(",").map(tool => tool.trim()).filter(Boolean),
+        requireApproval: options["require-approval"] || undefined
+    };
+    const callbacks = createPrinter(options.ndjson);
+
+    // Tool calls waiting for approval are decided while the run waits
+    let runId = null;
+    const { run: printRun, toolApprovalRequired: printApproval } = callbacks;
+    callbacks.run = (data) => {
+        runId = data.runId;
+        printRun?.(data);
+    };
+    callbacks.toolApprovalRequired = (data) => {
+        printApproval(data);
+        decideToolApproval(data, ask)
+            .then(decision => submitToolApproval(runId, data.approvalId, decision, { baseUrl: options.url }))
+            .catch((error) => {
+                if (!signal.aborted) {
+                    printError(error.message, error.traceId, options.ndjson);
+                }
+            });
+    };
+    const clientOptions = { endpoint: ENDPOINTS[options.endpoint], baseUrl: options.url, signal };
+
+    try {
+        const result = options.endpoint === "tools"
+            ? await callTools(request, callbacks, clientOptions)
+            : await streamChat(request, callbacks, clientOptions);
+        return !result.error;
+    } catch (error) {
+        if (error.name === "AbortError") {
+            throw error;
+        }
+        printError(error.message, error.traceId, options.ndjson);
+        return false;
+    }
+}
+
+/**
+ * Send one prompt and exit
+ *
+ * @param {string} prompt - The prompt
+ * @param {Object} options - Command-line options
+ */
+async function runOnce(prompt, options) {
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+
+    // With the prompt in the arguments, the terminal is free to ask for approvals
+    const ask = !process.stdin.isTTY ? null : async (query) => {
+        const rl = createInterface({ input: process.stdin, output: options.ndjson ? process.stderr : process.stdout });
+        rl.on("SIGINT", () => controller.abort());
+        try {
+            return await rl.question(query, { signal: controller.signal });
+        } finally {
+            rl.close();
+        }
+    };
+
+    try {
+        const succeeded = await send(prompt, options, controller.signal, ask);
+        process.exitCode = succeeded ? 0 : 1;
+    } catch (error) {
+        if (error.name !== "AbortError") {
+            throw error;
+        }
+        process.exitCode = 130;
+    }
+}
+
+/**
+ * Run the interactive session until the user quits
+ *
+ * A new conversation session is created unless --session is given, and
+ * deleted when the user quits or starts a new conversation.
+ *
+ * @param {Object} options - Command-line options
+ */
+async function runRepl(options) {
+    // In NDJSON mode stdout only carries events
+    const terminal = options.ndjson ? process.stderr : process.stdout;
+    // The endpoint and session change during the session
+    const settings = { ...options };
+    let ownSession = false;
+
+    const newConversation = async () => {
+        if (ownSession) {
+            await deleteSession(settings.session, { baseUrl: options.url }).catch(() => {});
+        }
+        settings.session = (await createSession({ baseUrl: options.url })).id;
+        ownSession = true;
+    };
+    if (!settings.session) {
+        await newConversation();
+    }
+
+    const rl = createInterface({ input: process.stdin, output: terminal, prompt: "> ", historySize: 100 });
+    let current = null;
+
+    // Ctrl+C stops the response being generated, or quits at the prompt
+    rl.on("SIGINT", () => {
+        if (current) {
+            current.abort();
+        } else {
+            rl.close();
+        }
+    });
+
+    terminal.write(`Sending prompts to ${ENDPOINTS[settings.endpoint]} at ${options.url}. Type /help for commands.\n`);
+    rl.prompt();
+
+    for await (const input of rl) {
+        const line = input.trim();
+        const [command, argument] = line.split(/\s+/);
+
+        if (!line) {
+            // Nothing to send
+        } else if (command === "/exit" || command === "/quit") {
+            break;
+        } else if (command === "/help") {
+            terminal.write(REPL_HELP + "\n");
+        } else if (command === "/new") {
+            await newConversation();
+            terminal.write("Started a new conversation.\n");
+        } else if (command === "/endpoint") {
+            if (ENDPOINTS[argument]) {
+                settings.endpoint = argument;
+                terminal.write(`Sending prompts to ${ENDPOINTS[argument]}.\n`);
+            } else {
+                terminal.write(`Unknown endpoint. Use one of: ${Object.keys(ENDPOINTS).join(", ")}\n`);
+            }
+        } else if (line.startsWith("/")) {
+            terminal.write(`Unknown command: ${command}\n${REPL_HELP}\n`);
+        } else {
+            current = new AbortController();
+            const { signal } = current;
+            try {
+                await send(line, settings, signal, query => rl.question(query, { signal }));
+            } catch (error) {
+                if (error.name !== "AbortError") {
+                    throw error;
+                }
+                terminal.write("\nStopped.\n");
+            }
+            current = null;
+        }
+        rl.prompt();
+    }
+
+    rl.close();
+    if (ownSession) {
+        await deleteSession(settings.session, { baseUrl: options.url }).catch(() => {});
+    }
+}
+
+/**
+ * @returns {Promise<string>} Everything written to stdin
+ */
+async function readStdin() {
+    let text = "";
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text;
+}
+
+/**
+ * Print a usage error with the usage and fail
+ *
+ * @param {string} message - What is wrong with the arguments
+ */
+function printUsageError(message) {
+    process.stderr.write(`${style.red(`Error: ${message}`)}\n\n${USAGE}\n`);
+    process.exitCode = 1;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({ allowPositionals: true, options: OPTIONS });
+    } catch (error) {
+        return printUsageError(error.message);
+    }
+    const { values: options, positionals } = args;
+
+    if (options.help) {
+        process.stdout.write(USAGE + "\n");
+        return;
+    }
+    if (!ENDPOINTS[options.endpoint]) {
+        return printUsageError(`Unknown endpoint: ${options.endpoint}. Use one of: ${Object.keys(ENDPOINTS).join(", ")}`);
+    }
+
+    try {
+        // The prompt comes from the arguments or piped input; without either
+        // the prompts are read interactively
+        const prompt = positionals.length > 0
+            ? positionals.join(" ")
+            : !process.stdin.isTTY ? (await readStdin()).trim() : null;
+
+        if (prompt === null) {
+            await runRepl(options);
+        } else if (!prompt) {
+            throw new Error("The prompt is empty");
+        } else {
+            await runOnce(prompt, options);
+        }
+    } catch (error) {
+        printError(error.message, error.traceId, options.ndjson);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,100 @@
+/**
+ * Tool Calling Evaluation Runner
+ *
+ * Runs every case of a dataset through the Converse API and sentinel
+ * phrase pipelines and reports how accurately the model calls tools:
+ * precision and recall of tool invocations, the argument match rate,
+ * sentinel parse failures and answers given without calling a tool
+ * (see lib/eval.js for the scoring).
+ *
+ * The cases are sent to the /api/compare endpoint of a running server with
+ * the client in public/client.js, so they use the server's model client and
+ * system prompts. Start the server with the real Bedrock client to evaluate
+ * the model, or with `bedrock.client: "mock"` to check the harness offline:
+ *
+ *   npm start
+ *   npm run eval -- --dataset fixtures/eval-weather.json --output report.json
+ *
+ * Options:
+ *   --dataset <path>       Dataset file (default fixtures/eval-weather.json)
+ *   --url <url>            Server URL (default http://localhost:3000)
+ *   --approaches <list>    Comma-separated approaches (default tools,stream-tools)
+ *   --model <id>           Model id to evaluate (default: the server's default model)
+ *   --output <path>        Also write the full report as JSON
+ *
+ * The exit code is 1 when a case could not be run.
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { scoreCase, buildReport, formatReport } from '../lib/eval.js';
+import { compareApproaches } from '../public/client.js';
+
+const { values: options } = parseArgs({
+    options: {
+        dataset: { type: "string", default: "fixtures/eval-weather.json" },
+        url: { type: "string", default: "http://localhost:3000" },
+        approaches: { type: "string", default: "tools,stream-tools" },
+        model: { type: "string" },
+        output: { type: "string" }
+    }
+});
+
+/**
+ * Run one case through the approaches
+ *
+ * @param {Object} testCase - The dataset case
+ * @param {string[]} approaches - The approaches to run
+ * @returns {Promise<Object[]>} The comparison summary of each approach
+ */
+async function runCase(testCase, approaches) {
+    const { prompt, messages, system, tools } = testCase;
+    const { comparison, error } = await compareApproaches(
+        { prompt, messages, system, tools, modelId: options.model, approaches },
+        {},
+        { baseUrl: options.url }
+    );
+    if (!comparison) {
+        throw new Error(error || "The comparison ended without a summary");
+    }
+    return comparison;
+}
+
+async function main() {
+    const dataset = JSON.parse(await readFile(options.dataset, 'utf-8'));
+    const approaches = options.approaches.split(",").map(approach => approach.trim()).filter(Boolean);
+    const results = [];
+
+    for (const [index, testCase] of dataset.cases.entries()) {
+        process.stderr.write(`[${index + 1}/${dataset.cases.length}] ${testCase.id}\n`);
+        let summaries;
+        try {
+            summaries = await runCase(testCase, approaches);
+        } catch (error) {
+            // Record the failure for every approach and carry on with the next case
+            summaries = approaches.map(approach => ({
+                approach,
+                toolCalls: [],
+                invalidToolCalls: [],
+                answer: "",
+                error: error.message
+            }));
+        }
+        results.push(...summaries.map(summary => scoreCase(testCase, summary)));
+    }
+
+    const report = buildReport(results);
+    console.log(formatReport(report));
+    if (options.output) {
+        await writeFile(options.output, JSON.stringify({ dataset: options.dataset, ...report }, null, 2));
+        console.log(`\nFull report written to ${options.output}`);
+    }
+    if (results.some(result => result.error)) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+});
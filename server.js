@@ -1,13 +1,15 @@
 /**
  * Amazon Bedrock LLM Examples with Streaming and Tool Use
  * 
- * This server demonstrates three approaches to working with Amazon Bedrock's Llama 3 model:
+ * This server demonstrates four approaches to working with Amazon Bedrock's Llama 3 model:
  * 1. Tool use with the Converse API (non-streaming)
  * 2. Streaming responses with Server-Sent Events
  * 3. Combining streaming with tool use via sentinel phrases
+ * 4. Combining streaming with native tool use via the ConverseStream API
  * 
  * Each approach is implemented as a separate endpoint with clear documentation
- * to help you understand when and how to use each technique.
+ * to help you understand when and how to use each technique. The comparison
+ * endpoint runs several approaches side by side on the same prompt.
  */
 
 // ============================================================================
@@ -15,15 +17,56 @@
 // ============================================================================
 
 import express from 'express';
+import { performance } from 'node:perf_hooks';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
 import cors from 'cors';
-import { fromIni } from '@aws-sdk/credential-providers';
+import { loadConfig, describeConfig, ConfigError } from './lib/config.js';
+import { createModelClient } from './lib/model-client.js';
+import { createDefaultToolRegistry } from './lib/tools/index.js';
 import { 
-    BedrockRuntimeClient, 
-    InvokeModelWithResponseStreamCommand, 
-    InvokeModelCommand, 
-    ConverseCommand 
-} from '@aws-sdk/client-bedrock-runtime';
-import { config } from './config.js';
+    SessionStore, 
+    createToolCallId, 
+    toConverseMessages, 
+    fromConverseMessages 
+} from './lib/sessions.js';
+import { renderPrompt } from './lib/prompt-templates.js';
+import { listModels } from './lib/models.js';
+import { SentinelParser } from './lib/sentinel-parser.js';
+import { StreamRunStore, formatSSEMessage, parseEventId } from './lib/stream-runs.js';
+import { 
+    parseGenerateRequest, 
+    toLlamaParameters, 
+    toConverseInferenceConfig, 
+    DEFAULT_INFERENCE, 
+    MAX_STOP_SEQUENCES 
+} from './lib/generate-request.js';
+import { StopSequenceFilter } from './lib/stop-sequences.js';
+import { RequestMetrics, MetricsStore, usageFromInvokeChunk } from './lib/metrics.js';
+import { ComparisonLane } from './lib/comparison.js';
+import { createLogger } from './lib/logger.js';
+import { ToolApprovalStore, APPROVAL_DECISIONS } from './lib/tool-approvals.js';
+
+/**
+ * Settings from the defaults, config.js, environment variables and
+ * command-line flags (see lib/config.js). Invalid settings stop the server
+ * before it starts, with a list of the problems.
+ */
+let loadedConfig;
+try {
+    loadedConfig = await loadConfig({
+        args: process.argv.slice(2),
+        env: process.env,
+        defaultFile: fileURLToPath(new URL('./config.js', import.meta.url))
+    });
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
+const { config } = loadedConfig;
 
 // ============================================================================
 // EXPRESS SERVER SETUP
@@ -32,93 +75,381 @@ import { config } from './config.js';
 const app = express();
 const port = config.server.port;
 
+/**
+ * Structured JSON logger, configured by the logging section of config.js
+ * (levels, JSONL files and redaction, see lib/logger.js)
+ */
+const logger = createLogger(config.logging);
+logger.info("config.loaded", { file: loadedConfig.file });
+for (const warning of loadedConfig.warnings) {
+    logger.warn("config.warning", { warning });
+}
+
+/**
+ * Request tracing middleware
+ * 
+ * Gives every API request a trace id and a logger that adds the id to each
+ * record. The id is returned in the X-Trace-Id header, in the run message
+ * of streams and with errors, so a failure shown in the UI can be looked
+ * up in the logs.
+ */
+function traceRequest(req, res, next) {
+    req.traceId = randomUUID();
+    req.log = logger.child({ traceId: req.traceId });
+    res.setHeader('X-Trace-Id', req.traceId);
+
+    const startedAt = performance.now();
+    req.log.info("request.start", { method: req.method, path: req.baseUrl + req.path });
+    res.on('close', () => {
+        req.log.info("request.end", { status: res.statusCode, durationMs: Math.round(performance.now() - startedAt) });
+    });
+    next();
+}
+
 // Middleware setup
 app.use(express.json());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Run-Id', 'X-Trace-Id'] }));
 app.use(express.static('public'));
+app.use('/api', traceRequest);
 
 // ============================================================================
 // AWS BEDROCK CLIENT SETUP
 // ============================================================================
 
 /**
- * Configure AWS SDK v3 Bedrock client
+ * Configure the model client
+ * 
+ * By default this is the Bedrock runtime, using the AWS credentials of the
+ * profile in bedrock.profile, or the default credential chain. Set
+ * bedrock.client to "mock" in config.js to replay the scripted responses in
+ * bedrock.mockScript instead, without AWS credentials (see
+ * lib/model-client.js and lib/mock-model-client.js)
+ */
+const modelClient = await createModelClient(config.bedrock);
+
+/**
+ * Models a request may select, with the prompt template used to render
+ * chat messages for their InvokeModel requests
+ * 
+ * The first is the default model, bedrock.modelId. More are allowed with
+ * bedrock.models in config.js. Prompt templates are detected from the model
+ * id unless set with promptTemplate (see lib/models.js and lib/prompt-templates.js)
+ */
+const MODELS = listModels(config.bedrock);
+const DEFAULT_MODEL = MODELS[0];
+
+/**
+ * Inference parameters for requests that don't set them, from bedrock.inference in config.js
+ */
+const DEFAULT_REQUEST_INFERENCE = { ...DEFAULT_INFERENCE, ...config.bedrock.inference };
+
+// ============================================================================
+// TOOL REGISTRY
+// ============================================================================
+
+/**
+ * Registry of the tools available to the model
  * 
- * This uses the AWS credentials from your default profile
- * and enables credential refresh for long-running applications
+ * Each tool is declared once and exposed both as a Converse API toolSpec
+ * and as a sentinel tag pair for the streaming endpoint (see lib/tools/).
+ * When tools.cache is enabled in config.js, results are cached per tool
+ * and arguments, and concurrent identical calls share one request.
  */
-const bedrockClient = new BedrockRuntimeClient({
-    region: config.bedrock.region,
-    credentials: fromIni({ 
-        profile: 'default',
-        refreshWithoutReauth: true
-    })
+const toolRegistry = createDefaultToolRegistry({
+    weather: config.weatherApi,
+    cache: config.tools.cache,
+    approval: config.tools.approval
 });
 
+/**
+ * Tool calls waiting for the user's approval (see lib/tool-approvals.js)
+ */
+const toolApprovals = new ToolApprovalStore({
+    timeoutMs: config.tools.approval.timeoutSeconds * 1000
+});
+
+/**
+ * Check whether a tool call must be approved by the user before it runs,
+ * because the tool requires approval or the request asks for approval of
+ * every tool call
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True if the call needs approval
+ */
+function requiresApproval(request, toolName) {
+    return request.requireApproval || toolRegistry.requiresApproval(toolName);
+}
+
+/**
+ * Only the sentinel streaming endpoint can ask for approval, so the other
+ * approaches don't offer tools whose calls need it to the model
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @returns {string[]} The enabled tools that can run without approval
+ */
+function toolsWithoutApproval(request) {
+    return request.tools.filter(name => !requiresApproval(request, name));
+}
+
+/**
+ * Maximum number of tool calls the model may make while answering one prompt
+ * 
+ * Once reached, the model is asked to answer with the results it already has.
+ */
+const MAX_TOOL_ITERATIONS = config.tools.maxIterations;
+const TOOL_LIMIT_MESSAGE = "The tool call limit has been reached. Answer the question with the tool results you already have.";
+
+/**
+ * Maximum number of malformed sentinel tool calls the model may correct
+ * while answering one prompt
+ */
+const MAX_TOOL_RETRIES = config.tools.maxRetries;
+
 // ============================================================================
-// UTILITY FUNCTIONS
+// CONVERSATION SESSIONS
 // ============================================================================
 
 /**
- * Weather API Tool Implementation
+ * Server-side conversation sessions
  * 
- * This function demonstrates how to implement a tool that can be called
- * by the LLM during conversation.
+ * Every endpoint accepts an optional sessionId. The session history is
+ * reconstructed into the request, and the new turns are appended to the
+ * session once the response is complete (see lib/sessions.js)
+ */
+const sessionStore = new SessionStore();
+
+/**
+ * Look up the session referenced by a request
  * 
- * @param {string} location - City name or location
- * @param {string} unit - Temperature unit ('celsius' or 'fahrenheit')
- * @returns {Object} Weather data including temperature, condition, etc.
+ * @param {string} [sessionId] - Session id from the request, if any
+ * @returns {Object} Result containing:
+ *   - session: The session, or null when no sessionId was given
+ *   - history: The messages of the session so far
+ *   - error: Set when the sessionId does not match an existing session
  */
-async function getWeatherData(location, unit = 'fahrenheit') {
-    // Check if API key has been configured
-    const apiKey = config.weatherApi.apiKey;
-    if (apiKey === "YOUR_WEATHER_API_KEY") {
-        console.error("Weather API key not configured. Please update config.js");
-        return { error: "Weather API key not configured. See README.md for setup instructions." };
+function getRequestSession(sessionId) {
+    if (!sessionId) {
+        return { session: null, history: [] };
     }
     
-    try {
-        // Call the weather API
-        const response = await fetch(`${config.weatherApi.baseUrl}/current.json?key=${apiKey}&q=${encodeURIComponent(location)}&aqi=no`);
-        
-        if (!response.ok) {
-            throw new Error(`Weather API error (${response.status}): ${await response.text()}`);
-        }
-        
-        const data = await response.json();
-        
-        // Format and return the weather data
-        return {
-            temperature: unit === "fahrenheit" ? data.current.temp_f : data.current.temp_c,
-            condition: data.current.condition.text,
-            location: data.location.name + ", " + data.location.region,
-            humidity: data.current.humidity + "%",
-            wind: unit === "fahrenheit" ? data.current.wind_mph + " mph" : data.current.wind_kph + " km/h",
-            unit: unit
-        };
+    const session = sessionStore.get(sessionId);
+    if (!session) {
+        return { error: `Session not found: ${sessionId}` };
+    }
+    return { session, history: session.messages };
+}
+
+/**
+ * Append the turns of a completed request to its session, if any
+ * 
+ * @param {Object|null} session - The request session
+ * @param {Object[]} turns - New messages in the neutral session format
+ */
+function saveSessionTurns(session, turns) {
+    if (session) {
+        sessionStore.append(session.id, turns);
+    }
+}
+
+// ============================================================================
+// GENERATION REQUESTS
+// ============================================================================
+
+/**
+ * Convert the query parameters of a GET streaming request to request fields
+ * 
+ * Query values are strings, so resumable=true becomes a boolean; any other
+ * value is left for the validation to reject.
+ * 
+ * @param {Object} query - Express query parameters
+ * @returns {Object} The request fields
+ */
+function readGenerateQuery(query) {
+    const { resumable, ...fields } = query;
+    if (resumable === undefined) {
+        return fields;
+    }
+    return { ...fields, resumable: { "true": true, "false": false }[resumable] ?? resumable };
+}
+
+/**
+ * Read the generation request of an endpoint
+ * 
+ * POST requests carry a JSON body with the prompt or messages, system prompt,
+ * model, inference parameters and enabled tools; GET requests (used with
+ * EventSource) carry the prompt, sessionId, modelId and resumable as query
+ * parameters (see lib/generate-request.js)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} [body] - Request fields, when they are not the whole body or query
+ * @returns {Object} Result containing:
+ *   - prompt, system, inference, tools, resumable: The validated request
+ *   - model: The selected model ({ id, name, promptTemplate })
+ *   - session: The session, or null when no sessionId was given
+ *   - history: The conversation before the prompt, from the session or the request
+ *   - error, status: Set when the request is invalid
+ */
+function readGenerateRequest(req, body = req.method === 'GET' ? readGenerateQuery(req.query) : req.body) {
+    const request = parseGenerateRequest(body, {
+        toolNames: toolRegistry.list().map(tool => tool.name),
+        modelIds: MODELS.map(model => model.id),
+        defaultInference: DEFAULT_REQUEST_INFERENCE
+    });
+    if (request.error) {
+        req.log.warn("request.invalid", { error: request.error });
+        return { error: request.error, status: 400 };
     }
-    catch (error) {
-        console.error("Weather API error:", error.message);
-        return { error: error.message || 'Error fetching weather data' };
+
+    const { session, history, error } = getRequestSession(request.sessionId);
+    if (error) {
+        req.log.warn("request.invalid", { error });
+        return { error, status: 404 };
+    }
+
+    req.log.info("generation.request", {
+        modelId: request.modelId,
+        prompt: request.prompt,
+        system: request.system,
+        messageCount: history.length + request.messages.length,
+        sessionId: request.sessionId,
+        inference: request.inference,
+        tools: request.tools
+    });
+    return {
+        ...request,
+        model: MODELS.find(model => model.id === request.modelId),
+        session,
+        history: [...history, ...request.messages]
+    };
+}
+
+// ============================================================================
+// REQUEST METRICS
+// ============================================================================
+
+/**
+ * Token usage, latency and estimated cost of the completed requests
+ * 
+ * Every generation request records its metrics (see lib/metrics.js), sends
+ * them to the client with the response and adds them to these per-endpoint
+ * totals, served at /api/metrics. Costs use the metrics.prices table in config.js.
+ */
+const metricsStore = new MetricsStore({ recentLimit: config.metrics.recentRequests });
+
+/**
+ * Start recording the metrics of a generation request
+ * 
+ * @param {string} endpoint - Path of the endpoint that generates the response
+ * @param {Object} model - The model of the request
+ * @param {Logger} log - Logger of the request, which also logs its model calls
+ * @returns {RequestMetrics} The request's metrics
+ */
+function startRequestMetrics(endpoint, model, log) {
+    return new RequestMetrics({
+        endpoint,
+        modelId: model.id,
+        price: config.metrics.prices[model.id],
+        log
+    });
+}
+
+/**
+ * Complete the metrics of a request and add them to the totals
+ * 
+ * @param {RequestMetrics} metrics - The request's metrics
+ * @returns {Object} Summary of the request's metrics, for the client
+ */
+function finishRequestMetrics(metrics) {
+    const summary = metrics.finish();
+    metricsStore.record(summary);
+    return summary;
+}
+
+/**
+ * Call a tool, measuring and logging the call
+ * 
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input from the model
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the tool call
+ * @param {Logger} options.log - Logger of the request
+ * @returns {Promise<Object>} { result, cache, durationMs }
+ */
+async function callToolTimed(name, input, { signal, log }) {
+    log.info("tool.call", { tool: name, input });
+    const startedAt = performance.now();
+    const { result, cache } = await toolRegistry.call(name, input, { signal });
+    const durationMs = Math.round(performance.now() - startedAt);
+
+    // Tools report failures as { error } results for the model to read
+    if (result?.error) {
+        log.warn("tool.result", { tool: name, cache, durationMs, error: result.error });
+    } else {
+        log.info("tool.result", { tool: name, cache, durationMs });
     }
+    return { result, cache, durationMs };
 }
 
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Resumable stream runs
+ * 
+ * Every streaming generation is a run with a bounded event log, so a client
+ * whose connection drops can reconnect with Last-Event-ID and resume the
+ * answer where it left off (see lib/stream-runs.js). A run without clients
+ * is cancelled after a grace period when the request asked for a resumable
+ * run, and at once otherwise; POST /api/runs/:id/cancel cancels it at any time.
+ */
+const streamRuns = new StreamRunStore({
+    maxEvents: config.streams.maxEvents,
+    graceMs: config.streams.resumeGraceMs,
+    retentionMs: config.streams.retentionMs
+});
+
+/**
+ * SSE event types, by the key that identifies each kind of message
+ */
+const SSE_EVENT_TYPES = {
+    runId: "run",
+    status: "status",
+    text: "text",
+    toolApprovalRequired: "toolApprovalRequired",
+    toolApproval: "toolApproval",
+    toolCall: "toolCall",
+    toolResponse: "toolResponse",
+    toolError: "toolError",
+    metrics: "metrics",
+    comparison: "comparison",
+    done: "done",
+    error: "error"
+};
+
 /**
  * Server-Sent Events (SSE) Helper
  * 
- * Sends a message to the client using the SSE protocol
+ * Sends a message to the clients of a stream run using the SSE protocol.
+ * The message gets a resumable event id and a typed event name derived
+ * from its content, e.g. { text: "..." } is sent as a "text" event
  * 
- * @param {Object} res - Express response object
+ * @param {StreamRun} run - Stream run of the request
  * @param {Object} data - Data to send as JSON
  */
-function sendSSEMessage(res, data) {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+function sendSSEMessage(run, data) {
+    const key = Object.keys(SSE_EVENT_TYPES).find(candidate => candidate in data);
+    const type = SSE_EVENT_TYPES[key] || "message";
+    run.log.debug("sse.event", { type, data });
+    run.send(type, data);
 }
 
 /**
  * Setup SSE Connection
  * 
- * Configures the response headers for SSE and sends an initial connection message
+ * Configures the response headers for SSE and tells the client how soon
+ * to reconnect when the connection drops
  * 
  * @param {Object} res - Express response object
  */
@@ -126,16 +457,146 @@ function setupSSEConnection(res) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
-
-    // Send initial message to confirm connection
-    sendSSEMessage(res, { text: "Connection established. Generating response..." });
+    res.write('retry: 2000\n\n');
     
-    // Flush the response to ensure the client receives the initial message
+    // Flush the response to ensure the client receives the headers
     if (typeof res.flush === 'function') {
         res.flush();
     }
 }
 
+/**
+ * Start a stream run for a streaming request
+ * 
+ * Sets up the SSE connection, attaches the response to a new run and sends
+ * the run id (also returned in the X-Run-Id header) with the request's
+ * trace id, and a status message that is not part of the answer
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @returns {StreamRun} The new run, logging with the request's logger
+ */
+function startStreamRun(req, res, request) {
+    const run = streamRuns.create({ log: req.log, resumable: request.resumable });
+    res.setHeader('X-Run-Id', run.id);
+    setupSSEConnection(res);
+    run.attach(res);
+
+    sendSSEMessage(run, { runId: run.id, traceId: req.traceId });
+    sendSSEMessage(run, { status: "Connection established. Generating response..." });
+    return run;
+}
+
+/**
+ * Log a failed generation, report it to the clients of its run with the
+ * trace id and end the run
+ * 
+ * @param {Object} req - Express request object
+ * @param {StreamRun|null} run - Stream run, or null if the stream was not started yet
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ */
+function sendStreamError(req, run, res, error) {
+    req.log.error("request.failed", { error });
+    const message = { error: 'Failed to generate response: ' + error.message, traceId: req.traceId };
+    if (!run) {
+        return res.status(500).json(message);
+    }
+    sendSSEMessage(run, message);
+    run.finish();
+}
+
+/**
+ * Handle a streaming generation request
+ * 
+ * Validates the request, starts a stream run and streams the response
+ * with one of the examples, then ends the run with a done message. A
+ * failed generation ends the run with an error message instead.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} streamResponse - The example, called with
+ *   (request, run, endpoint) to stream its response to the run
+ */
+async function handleStreamRequest(req, res, streamResponse) {
+    let run = null;
+    try {
+        // Validate the request and look up its session
+        const request = readGenerateRequest(req);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+
+        // Set up Server-Sent Events connection as a stream run, which is
+        // cancelled when the client stops it or disconnects (and, for a
+        // resumable run, does not come back)
+        run = startStreamRun(req, res, request);
+        await streamResponse(request, run, req.route.path);
+
+        // Signal completion
+        sendSSEMessage(run, { done: true });
+        run.finish();
+    } catch (error) {
+        // The run logs its own cancellation
+        if (run?.signal.aborted) {
+            return;
+        }
+        sendStreamError(req, run, res, error);
+    }
+}
+
+/**
+ * Stream resumption middleware
+ * 
+ * When an EventSource reconnects, it repeats the original request with a
+ * Last-Event-ID header. Instead of starting the generation over, the run
+ * named in the event id replays the events the client missed and the
+ * connection continues with the live stream
+ */
+function resumeStreamRun(req, res, next) {
+    const lastEventId = req.get('Last-Event-ID');
+    if (!lastEventId) {
+        return next();
+    }
+
+    setupSSEConnection(res);
+    const { runId, sequence } = parseEventId(lastEventId) || {};
+    const run = runId && streamRuns.get(runId);
+    req.log.info("stream.resume", { runId, afterSequence: sequence, found: Boolean(run) });
+    if (!run || !run.attach(res, sequence)) {
+        res.end(formatSSEMessage({
+            event: "error",
+            data: { error: "The stream can no longer be resumed. Please send your prompt again." }
+        }));
+    }
+}
+
+/**
+ * Request Cancellation
+ * 
+ * Creates an AbortSignal that fires when the client disconnects before the
+ * response is complete. The signal is passed to the Bedrock requests and
+ * the tool calls, so a disconnected client stops consuming tokens and
+ * weather API quota immediately. Streaming requests use the signal of
+ * their stream run instead, which survives brief disconnects of resumable runs.
+ * 
+ * This listens for the response's 'close' event rather than the request's:
+ * since Node.js 16 the request emits 'close' as soon as its body has been read.
+ * 
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} Signal that is aborted when the client disconnects
+ */
+function createRequestAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
 // ============================================================================
 // SENTINEL PHRASE DETECTION FOR TOOL USE
 // ============================================================================
@@ -143,91 +604,32 @@ function setupSSEConnection(res) {
 /**
  * Sentinel phrases for tool use detection
  * 
- * These markers are used to identify when the model wants to call a tool
- * and when tool results are being provided back to the model
+ * Each registered tool has its own pair of markers, e.g. <CALL_WEATHER> and
+ * </CALL_WEATHER>, used to identify when the model wants to call that tool.
+ * Tool results are provided back to the model between <WEATHER_RESULT> tags.
  */
-const WEATHER_SENTINEL_START = "<CALL_WEATHER>";
-const WEATHER_SENTINEL_END = "</CALL_WEATHER>";
-const WEATHER_RESULT_START = "<WEATHER_RESULT>";
-const WEATHER_RESULT_END = "</WEATHER_RESULT>";
-const MAX_SENTINEL_LENGTH = Math.max(
-    WEATHER_SENTINEL_START.length,
-    WEATHER_SENTINEL_END.length
-);
+const SENTINEL_TAGS = toolRegistry.sentinelTags().map(({ name, callStart, callEnd }) => ({
+    name,
+    start: callStart,
+    end: callEnd
+}));
 
 /**
- * Sentinel Phrase Detection
+ * Maximum number of characters held back while waiting for a closing sentinel tag
+ */
+const SENTINEL_MAX_HOLD = config.tools.sentinelMaxHold;
+
+/**
+ * Create a parser that detects the sentinel phrases of every registered tool
  * 
- * Scans the buffer for complete sentinel phrases that indicate tool use requests.
- * This function also manages the text buffer to ensure we don't emit text that's
- * part of an incomplete sentinel phrase.
- *
- * @param {string} buffer - The running text buffer from the LLM
- * @returns {Object} Result containing:
- *   - emitted: Text safe to send to the client
- *   - buffer: Updated buffer with any partial sentinel phrases
- *   - match: Tool call payload if a complete sentinel was found, otherwise null
- */
-function checkForSentinelPhrases(buffer) {
-    // Look for a complete tool call: <CALL_WEATHER>...payload...</CALL_WEATHER>
-    const startIndex = buffer.indexOf(WEATHER_SENTINEL_START);
-    if (startIndex !== -1) {
-        const endIndex = buffer.indexOf(
-            WEATHER_SENTINEL_END,
-            startIndex + WEATHER_SENTINEL_START.length
-        );
-        
-        if (endIndex !== -1) {
-            // Extract the JSON payload between the sentinel tags
-            const jsonText = buffer.slice(
-                startIndex + WEATHER_SENTINEL_START.length,
-                endIndex
-            );
-            
-            // Parse the payload (safely)
-            let payload = null;
-            try { 
-                payload = JSON.parse(jsonText); 
-            } catch (e) {
-                console.error("Failed to parse sentinel payload:", e);
-            }
-            
-            // Remove the entire sentinel span from the buffer
-            const newBuffer = buffer.slice(0, startIndex) + 
-                              buffer.slice(endIndex + WEATHER_SENTINEL_END.length);
-            
-            return { 
-                emitted: "", 
-                buffer: newBuffer, 
-                match: payload 
-            };
-        }
-        
-        // Found start tag but not end tag yet - hold all text while looking for end tag
-        return { 
-            emitted: "", 
-            buffer, 
-            match: null 
-        };
-    }
-
-    // No sentinel start tag found - emit text except for a safety buffer
-    // (in case a sentinel tag is starting to emerge at the end)
-    if (buffer.length > MAX_SENTINEL_LENGTH) {
-        const safeLength = buffer.length - MAX_SENTINEL_LENGTH;
-        return {
-            emitted: buffer.slice(0, safeLength),
-            buffer: buffer.slice(safeLength),
-            match: null
-        };
-    }
-
-    // Buffer is too empty to safely emit anything yet
-    return { 
-        emitted: "", 
-        buffer, 
-        match: null 
-    };
+ * The parser withholds only text that could be the start of a sentinel
+ * phrase, so everything else can be sent to the client immediately
+ * (see lib/sentinel-parser.js)
+ * 
+ * @returns {SentinelParser} A new parser for one model stream
+ */
+function createSentinelParser() {
+    return new SentinelParser({ tags: SENTINEL_TAGS, maxHold: SENTINEL_MAX_HOLD });
 }
 
 // ============================================================================
@@ -237,25 +639,58 @@ function checkForSentinelPhrases(buffer) {
 /**
  * Invoke Bedrock Llama 3 with streaming
  * 
- * Creates and sends a streaming request to Bedrock
+ * Renders the chat messages with the chat template of the request's model,
+ * then creates and sends a streaming request to Bedrock
  * 
- * @param {string} promptText - The prompt to send to the model
+ * @param {Object[]} messages - Chat messages ({ role, content }) to send to the model
+ * @param {Object} request - Generation request with the model and inference parameters
+ * @param {AbortSignal} [signal] - Cancels the request and the stream
  * @returns {Promise} Stream response from Bedrock
  */
-async function invokeStream(promptText) {
-    const command = new InvokeModelWithResponseStreamCommand({
-        modelId: config.bedrock.modelId,
+async function invokeStream(messages, { model, inference }, signal) {
+    return modelClient.invokeModelStream({
+        modelId: model.id,
         contentType: "application/json",
         accept: "application/json",
         body: JSON.stringify({
-            prompt: `<s>[INST] \n${promptText} \n[/INST]`,
-            temperature: 0.7,
-            top_p: 0.9,
-            max_gen_len: 1024
+            prompt: renderPrompt(messages, model.promptTemplate),
+            ...toLlamaParameters(inference)
         })
+    }, { signal });
+}
+
+/**
+ * Reconstruct session history into Llama 3 chat messages
+ * 
+ * Tool calls are rendered with the sentinel phrases of the tool, and tool
+ * results become "tool" turns, so the model sees previous tool use in
+ * the same format it is asked to produce.
+ * 
+ * @param {Object[]} history - Messages in the neutral session format
+ * @returns {Object[]} Chat messages ({ role, content }) for invokeStream
+ */
+function toLlamaChatMessages(history) {
+    return history.map(message => {
+        if (message.role === "user") {
+            return { role: "user", content: message.text };
+        }
+        
+        if (message.role === "tool") {
+            const sentinels = toolRegistry.get(message.name)?.sentinels;
+            const result = JSON.stringify(message.result);
+            return {
+                role: "tool",
+                content: sentinels ? `${sentinels.resultStart}${result}${sentinels.resultEnd}` : result
+            };
+        }
+
+        const toolCalls = (message.toolCalls || []).map(({ name, input }) => {
+            const callSentinels = toolRegistry.get(name)?.sentinels;
+            const args = JSON.stringify(input);
+            return callSentinels ? `${callSentinels.callStart}${args}${callSentinels.callEnd}` : args;
+        });
+        return { role: "assistant", content: (message.text || "") + toolCalls.join("") };
     });
-    
-    return bedrockClient.send(command);
 }
 
 /**
@@ -265,49 +700,115 @@ async function invokeStream(promptText) {
  * and sending text to the client via SSE
  *
  * @param {Object} streamResponse - Bedrock streaming response
- * @param {Object} res - Express response object for SSE
- * @param {Function} onMatch - Callback for when a tool call is detected
- * @returns {Promise<Object|null>} The matched tool payload or null
+ * @param {StreamRun} run - Stream run receiving the SSE messages;
+ *   consuming stops when the run is cancelled
+ * @param {Object} options
+ * @param {Function} options.onMatch - Callback for when a tool call is detected;
+ *   return true to stop consuming the stream, or false to send the call
+ *   to the client as text and continue
+ * @param {string[]} [options.stopSequences] - Stop consuming the stream at the first of these
+ * @param {RequestMetrics} options.metrics - Metrics of the request; the model call
+ *   must have been started, and is ended when consuming stops
+ * @returns {Promise<Object>} Result containing:
+ *   - match: The matched { tool, payload, raw } or null. Malformed tool
+ *     calls are matched as { tool, raw, error } instead of being dropped
+ *   - text: All text sent to the client from this stream
  */
-async function consumeStream(streamResponse, res, onMatch) {
-    let buffer = "";
+async function consumeStream(streamResponse, run, { onMatch, stopSequences = [], metrics }) {
+    const parser = createSentinelParser();
+    const stopFilter = new StopSequenceFilter(stopSequences);
+    const textDecoder = new TextDecoder('utf-8');
+    let sentText = "";
+
+    /**
+     * Send text to the client
+     * 
+     * @param {string} text - Text that is safe to show
+     */
+    const sendText = (text) => {
+        if (text) {
+            metrics.markFirstToken();
+            sendSSEMessage(run, { text });
+            sentText += text;
+        }
+    };
+
+    /**
+     * Handle parser events: send text to the client and report tool calls
+     * 
+     * @param {Object[]} events - Events from the sentinel parser
+     * @returns {Object|null} The accepted tool call match, if any
+     */
+    const handleEvents = (events) => {
+        for (const event of events) {
+            // Nothing after a stop sequence is used
+            if (stopFilter.stopped) {
+                break;
+            }
+            if (event.type === "text") {
+                // Send safe text to the client, up to any stop sequence
+                sendText(stopFilter.feed(event.text));
+            } else {
+                // Text held back as a possible stop sequence is complete before a tool call
+                sendText(stopFilter.flush());
+
+                // We found a tool call (or a malformed one), notify the callback
+                const match = event.type === "error"
+                    ? { tool: event.name, raw: event.raw, error: event.error }
+                    : { tool: event.name, payload: event.payload, raw: event.raw };
+                if (event.type === "error") {
+                    run.log.warn("sentinel.error", { tool: event.name, raw: event.raw, error: event.error });
+                } else {
+                    run.log.info("sentinel.toolCall", { tool: event.name, payload: event.payload });
+                }
+                if (onMatch(match)) {
+                    return match;
+                }
+
+                // A call that is not run is part of the answer, rather than vanishing
+                sendText(stopFilter.feed(event.source ?? ""));
+            }
+        }
+        return null;
+    };
     
-    for await (const part of streamResponse.body) {
-        // Skip empty chunks
-        if (!part.chunk?.bytes) continue;
-        
-        // Decode and parse the chunk
-        const textDecoder = new TextDecoder('utf-8');
-        const chunkText = textDecoder.decode(part.chunk.bytes);
-        const parsedChunk = JSON.parse(chunkText);
-        const text = parsedChunk.generation || parsedChunk.completion || "";
-        
-        // Add to our running buffer
-        buffer += text;
+    try {
+        for await (const part of streamResponse.body) {
+            // Stop reading as soon as the run is cancelled
+            run.signal.throwIfAborted();
 
-        // Check for sentinel phrases and manage the buffer
-        const { emitted, buffer: newBuffer, match } = checkForSentinelPhrases(buffer);
-        buffer = newBuffer;
+            // Skip empty chunks
+            if (!part.chunk?.bytes) continue;
+            
+            // Decode and parse the chunk, and record the token counts it reports
+            const chunkText = textDecoder.decode(part.chunk.bytes);
+            let text;
+            try {
+                const parsedChunk = JSON.parse(chunkText);
+                text = parsedChunk.generation || parsedChunk.completion || "";
+                metrics.updateModelCall(usageFromInvokeChunk(parsedChunk));
+            } catch (parseError) {
+                // If parsing fails, use the raw text
+                run.log.warn("model.chunkParseFailed", { error: parseError.message });
+                text = chunkText;
+            }
 
-        // Send any safe text to the client
-        if (emitted) {
-            sendSSEMessage(res, { text: emitted });
+            // Feed the parser and handle the resulting text and tool calls
+            const match = handleEvents(parser.feed(text));
+            if (match || stopFilter.stopped) {
+                return { match, text: sentText };
+            }
         }
         
-        // If we found a tool call, notify the callback
-        if (match) {
-            if (onMatch(match)) {
-                return match;
-            }
+        // Send any remaining text held by the parser and the stop sequence filter
+        const match = handleEvents(parser.flush());
+        if (!match) {
+            sendText(stopFilter.flush());
         }
+        return { match, text: sentText };
+    } finally {
+        metrics.endModelCall();
     }
-    
-    // Send any remaining text in the buffer
-    if (buffer) {
-        sendSSEMessage(res, { text: buffer });
-    }
-    
-    return null;
 }
 
 // ============================================================================
@@ -329,20 +830,23 @@ app.get('/api/health', (req, res) => {
 app.get('/api/check-credentials', async (req, res) => {
     try {
         // Try to invoke the model with a minimal prompt
-        const command = new InvokeModelCommand({
-            modelId: config.bedrock.modelId,
-            body: JSON.stringify({ prompt: "<s>[INST] Hello [/INST]", max_gen_len: 1 }),
+        await modelClient.invokeModel({
+            modelId: DEFAULT_MODEL.id,
+            body: JSON.stringify({ 
+                prompt: renderPrompt([{ role: "user", content: "Hello" }], DEFAULT_MODEL.promptTemplate), 
+                max_gen_len: 1 
+            }),
             contentType: 'application/json'
         });
         
-        await bedrockClient.send(command);
-        
         // If no error was thrown, credentials are valid
         res.json({ 
             valid: true,
-            modelId: config.bedrock.modelId
+            modelId: DEFAULT_MODEL.id
         });
     } catch (error) {
+        req.log.warn("credentials.invalid", { error });
+
         // Provide helpful error information based on error type
         const helpMessage = {
             'UnrecognizedClientException': 'AWS credentials are invalid or expired. Check your ~/.aws/credentials file.',
@@ -352,148 +856,408 @@ app.get('/api/check-credentials', async (req, res) => {
         res.json({ 
             valid: false, 
             error: error.message,
-            modelId: config.bedrock.modelId,
+            modelId: DEFAULT_MODEL.id,
             help: helpMessage
         });
     }
 });
 
+/**
+ * Configuration endpoint
+ * Lists the active settings and the layer each one came from (default,
+ * config.js, an environment variable or a flag), for the index page.
+ * Secrets such as the weather API key are redacted.
+ */
+app.get('/api/config', (req, res) => {
+    res.json(describeConfig(loadedConfig));
+});
+
+/**
+ * Models endpoint
+ * Lists the models a request may select, with the default inference
+ * parameters, for the pages' model and parameter controls
+ */
+app.get('/api/models', (req, res) => {
+    res.json({
+        models: MODELS.map(({ id, name }) => ({ id, name })),
+        defaultModelId: DEFAULT_MODEL.id,
+        inference: DEFAULT_REQUEST_INFERENCE,
+        maxStopSequences: MAX_STOP_SEQUENCES
+    });
+});
+
+/**
+ * Metrics endpoint
+ * Token usage, latency and estimated cost per endpoint, and the most recent requests
+ */
+app.get('/api/metrics', (req, res) => {
+    res.json(metricsStore.snapshot());
+});
+
 // ============================================================================
-// API ENDPOINT: EXAMPLE 1 - NON-STREAMING WITH TOOL USE (CONVERSE API)
+// API ENDPOINTS: CONVERSATION SESSIONS
 // ============================================================================
 
 /**
- * Create a tool configuration object for the weather tool
- * 
- * This defines the tool interface for the Converse API
- * 
- * @returns {Object} Tool configuration for the Converse API
+ * Create a session
+ * Body: { title } (optional)
  */
-function createWeatherToolConfig() {
-    return {
-        tools: [
-            {
-                toolSpec: {
-                    name: "weather",
-                    description: "Get current weather information for a location",
-                    inputSchema: {
-                        json: {
-                            type: "object",
-                            properties: { 
-                                location: { 
-                                    type: "string",
-                                    description: "The city and state/country"
-                                },
-                                unit: {
-                                    type: "string",
-                                    enum: ["celsius", "fahrenheit"],
-                                    description: "Temperature unit"
-                                }
-                            },
-                            required: ["location"]
-                        }
-                    }
-                }
-            }
-        ]
-    };
-}
+app.post('/api/sessions', (req, res) => {
+    const session = sessionStore.create({ title: req.body?.title });
+    res.status(201).json(session);
+});
 
 /**
- * EXAMPLE 1: Non-streaming endpoint with tool use
+ * List sessions
+ * Returns session summaries without their messages
+ */
+app.get('/api/sessions', (req, res) => {
+    res.json({ sessions: sessionStore.list() });
+});
+
+/**
+ * Get a session with its full message history
+ */
+app.get('/api/sessions/:id', (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    res.json(session);
+});
+
+/**
+ * Append messages to a session
+ * Body: { messages: [...] } or a single message, in the session format
+ * ({ role: "user", text }, { role: "assistant", text, toolCalls }, { role: "tool", ... })
+ */
+app.post('/api/sessions/:id/messages', (req, res) => {
+    if (!sessionStore.get(req.params.id)) {
+        return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+
+    try {
+        const messages = Array.isArray(req.body?.messages) ? req.body.messages : [req.body];
+        res.json(sessionStore.append(req.params.id, messages));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a session
+ */
+app.delete('/api/sessions/:id', (req, res) => {
+    if (!sessionStore.delete(req.params.id)) {
+        return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    res.status(204).end();
+});
+
+// ============================================================================
+// API ENDPOINTS: STREAM RUNS
+// ============================================================================
+
+/**
+ * Cancel a stream run
+ * Used by the "Stop Stream" buttons, as a resumable run is otherwise kept
+ * alive for a grace period after its client disconnects
+ */
+app.post('/api/runs/:id/cancel', (req, res) => {
+    const run = streamRuns.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    run.cancel();
+    res.status(204).end();
+});
+
+/**
+ * Decide a tool call waiting for approval
  * 
- * This endpoint demonstrates how to use the Converse API to enable
- * tool use with Bedrock models. The flow is:
+ * The body is { decision: "approve" | "edit" | "deny", input }, where
+ * input holds the edited tool arguments of an "edit" decision. The run
+ * waiting for the decision then resumes (see lib/tool-approvals.js).
+ */
+app.post('/api/runs/:id/approvals/:approvalId', (req, res) => {
+    const approval = toolApprovals.get(req.params.approvalId);
+    if (!approval || approval.runId !== req.params.id) {
+        return res.status(404).json({ error: `No tool call waiting for approval: ${req.params.approvalId}` });
+    }
+
+    const { decision, input } = req.body ?? {};
+    if (!APPROVAL_DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: `decision must be one of: ${APPROVAL_DECISIONS.join(", ")}` });
+    }
+    if (decision === "edit") {
+        const inputErrors = input && typeof input === "object" && !Array.isArray(input)
+            ? toolRegistry.validate(approval.tool, input)
+            : ["input must be an object"];
+        if (inputErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid input: ${inputErrors.join("; ")}` });
+        }
+    }
+
+    req.log.info("tool.approvalDecided", { runId: req.params.id, approvalId: approval.id, tool: approval.tool, decision });
+    toolApprovals.decide(approval.id, decision, input);
+    res.status(204).end();
+});
+
+// ============================================================================
+// API ENDPOINT: EXAMPLE 1 - NON-STREAMING WITH TOOL USE (CONVERSE API)
+// ============================================================================
+
+/**
+ * Execute every tool use requested in an assistant turn
  * 
- * 1. Send initial request with user prompt and tool definition
- * 2. If model wants to use tool, execute the tool and get result
- * 3. Send tool result back to model to complete the response
+ * The model may request several tools in a single turn, so all toolUse
+ * blocks are executed concurrently and their results are returned together
+ * in one user turn, in the same order as the requests.
  * 
- * This approach does not use streaming, so the response is only
- * sent to the client after the entire process is complete.
+ * Tool uses with an entry in `rejected` are not executed; the model gets
+ * the given error result instead. Neither are tools the model was not
+ * offered: the model may name any registered tool, including one the
+ * request did not enable or one whose calls need an approval that the
+ * Converse examples can't ask for.
+ * 
+ * @param {Object[]} content - Content blocks of the assistant message
+ * @param {Object} options
+ * @param {string[]} options.tools - Names of the tools offered to the model
+ * @param {AbortSignal} options.signal - Cancels the tool calls
+ * @param {Logger} options.log - Logger of the request
+ * @param {RequestMetrics} options.metrics - Records the tool calls and their duration
+ * @param {Map<string, Object>} [options.rejected] - Error results of the tool
+ *   uses that must not run, by toolUseId
+ * @returns {Promise<Object>} Result containing:
+ *   - toolCalls: { toolUseId, name, input, result, cache, durationMs } for each executed tool
+ *   - message: User turn with one toolResult block per tool use
  */
-app.post('/api/generate/tools', async (req, res) => {
-    try {
-        const { prompt } = req.body;
+async function executeConverseToolUses(content, { tools, signal, log, metrics, rejected = new Map() }) {
+    const toolUses = content
+        .filter(block => block.toolUse)
+        .map(block => block.toolUse);
 
-        // Validate input
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
+    const rejections = new Map(rejected);
+    for (const { toolUseId, name } of toolUses) {
+        if (!rejections.has(toolUseId) && !tools.includes(name)) {
+            log.warn("tool.notOffered", { tool: name });
+            rejections.set(toolUseId, createToolNotOfferedResult(name));
         }
+    }
 
-        // Create tool configuration
-        const toolConfig = createWeatherToolConfig();
+    const startedAt = performance.now();
+    const toolCalls = await Promise.all(toolUses
+        .filter(({ toolUseId }) => !rejections.has(toolUseId))
+        .map(async ({ toolUseId, name, input }) => ({
+            toolUseId,
+            name,
+            input,
+            ...await callToolTimed(name, input, { signal, log })
+        })));
+    metrics.recordToolCalls(
+        toolCalls.map(({ name, cache, durationMs }) => ({ name, cache, durationMs })),
+        performance.now() - startedAt
+    );
 
-        // First user turn with the prompt
-        const userTurn = [
-            {
-                role: "user",
-                content: [{ text: prompt }]
-            }
-        ];
-        
-        // STEP 1: First request to Bedrock with tool definition
-        const firstResponse = await bedrockClient.send(
-            new ConverseCommand({
-                modelId: config.bedrock.modelId,
-                messages: userTurn,
-                toolConfig
+    // The results are returned in the order of the requests
+    const results = new Map(toolCalls.map(({ toolUseId, result }) => [toolUseId, result]));
+    return {
+        toolCalls,
+        message: {
+            role: "user",              // toolResults are wrapped in a user turn
+            content: toolUses.map(({ toolUseId }) => {
+                const result = rejections.get(toolUseId) ?? results.get(toolUseId);
+                return {
+                    toolResult: {
+                        toolUseId,
+                        content: [{ json: result }],
+                        status: result.error ? "error" : "success"
+                    }
+                };
             })
-        );
+        }
+    };
+}
 
-        // If model doesn't use the tool, return the response directly
-        if (firstResponse.stopReason !== "tool_use") {
-            return res.json({
-                response: firstResponse.output.message.content[0].text,
-                toolUsed: false
-            });
+/**
+ * Create the tool result of a call to a tool the model was not offered
+ * 
+ * @param {string} toolName - Tool name
+ * @returns {Object} Error result telling the model not to call the tool
+ */
+function createToolNotOfferedResult(toolName) {
+    return {
+        error: `Tool not available: ${toolName}`,
+        instructions: `Do not call ${toolName}. Answer the question with the tools you were given.`
+    };
+}
+
+/**
+ * Extract the text of a Converse API message
+ * 
+ * @param {Object} message - Converse API message
+ * @returns {string} The concatenated text blocks
+ */
+function getMessageText(message) {
+    return message.content
+        .filter(block => block.text)
+        .map(block => block.text)
+        .join("");
+}
+
+/**
+ * Remove the tool uses from an assistant message
+ * 
+ * Tool uses requested after the last allowed round are never run. A toolUse
+ * block without a matching toolResult makes the conversation invalid for
+ * the Converse API, so the message is kept with its text only.
+ * 
+ * @param {Object} message - Converse API assistant message
+ * @returns {Object} The message without toolUse blocks
+ */
+function withoutToolUses(message) {
+    return { ...message, content: message.content.filter(block => !block.toolUse) };
+}
+
+/**
+ * Create the Converse API request fields that come from a generation request
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @returns {Object} Model id, system prompt, inferenceConfig and the toolConfig
+ *   of the enabled tools that don't need approval, to combine with the
+ *   messages of each request
+ */
+function createConverseRequest(request) {
+    const { model, system, inference } = request;
+    const tools = toolsWithoutApproval(request);
+    return {
+        modelId: model.id,
+        ...(system && { system: [{ text: system }] }),
+        inferenceConfig: toConverseInferenceConfig(inference),
+        // The Converse API rejects a toolConfig without tools
+        ...(tools.length > 0 && { toolConfig: toolRegistry.toConverseToolConfig(tools) })
+    };
+}
+
+/**
+ * EXAMPLE 1: Non-streaming tool use
+ * 
+ * This demonstrates how to use the Converse API to enable
+ * tool use with Bedrock models. The flow is:
+ * 
+ * 1. Send initial request with the session history (if any), the user prompt
+ *    and the definitions of the enabled tools
+ * 2. If model wants to use tools, execute all of them concurrently
+ * 3. Send the tool results back to the model
+ * 4. Repeat steps 2-3 until the model stops asking for tools
+ *    (up to MAX_TOOL_ITERATIONS rounds) and return the final response
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the model requests and tool calls
+ * @param {Logger} options.log - Logger of the request
+ * @param {string} options.endpoint - Endpoint recorded in the request metrics
+ * @returns {Promise<Object>} The final response with the full tool use trace:
+ *   { response, toolUsed, toolCalls, iterations, stopReason, trace, sessionId, metrics }
+ */
+async function converseWithTools(request, { signal, log, endpoint }) {
+    const { prompt, session, history } = request;
+    const metrics = startRequestMetrics(endpoint, request.model, log);
+
+    // Create the request fields shared by every Converse call, including
+    // the tool configuration of the enabled tools
+    const converseRequest = createConverseRequest(request);
+    const offeredTools = toolsWithoutApproval(request);
+
+    // The conversation starts with the session history and the user prompt,
+    // and grows with every tool use and tool result turn
+    const messages = toConverseMessages([...history, { role: "user", text: prompt }]);
+    const requestStart = messages.length;
+    const toolCalls = [];
+    let iterations = 0;
+
+    // Every Converse call records its token usage and latency
+    const converse = async () => {
+        metrics.startModelCall("converse");
+        const response = await modelClient.converse({
+            ...converseRequest,  // Include the same toolConfig in every request
+            messages
+        }, { signal });
+        metrics.updateModelCall(response.usage || {});
+        metrics.endModelCall();
+        return response;
+    };
+    
+    // STEP 1: First request to Bedrock with tool definitions
+    let response = await converse();
+
+    while (response.stopReason === "tool_use" && iterations < MAX_TOOL_ITERATIONS) {
+        iterations++;
+
+        // STEP 2: Model wants to use one or more tools
+        const assistantMessage = response.output.message;
+        const { toolCalls: turnCalls, message: toolResultMessage } =
+            await executeConverseToolUses(assistantMessage.content, { tools: offeredTools, signal, log, metrics });
+        toolCalls.push(...turnCalls);
+
+        // On the last allowed round, ask the model to answer with what it has
+        if (iterations === MAX_TOOL_ITERATIONS) {
+            toolResultMessage.content.push({ text: TOOL_LIMIT_MESSAGE });
         }
 
-        // STEP 2: Model wants to use the weather tool
-        const toolUse = firstResponse.output.message.content[0].toolUse;
-        const toolInput = toolUse.input;
-        const toolUseId = toolUse.toolUseId;
-        
-        // Execute the weather tool with the provided input
-        const weatherData = await getWeatherData(
-            toolInput.location || toolInput.city, 
-            toolInput.unit || "fahrenheit"
-        );
-
-        // STEP 3: Send the tool result back to the model
-        const secondResponse = await bedrockClient.send(
-            new ConverseCommand({
-                modelId: config.bedrock.modelId,
-                messages: [
-                    ...userTurn,                   // original user question
-                    firstResponse.output.message,  // tool_use "assistant" turn
-                    {
-                        role: "user",              // toolResult is wrapped in a user turn
-                        content: [
-                            {
-                                toolResult: {
-                                    toolUseId,
-                                    content: [{ json: weatherData }]
-                                }
-                            }
-                        ]
-                    }
-                ],
-                toolConfig  // Include the same toolConfig in the second request
-            })
-        );
-
-        // Return the final response with tool use information
-        return res.json({
-            response: secondResponse.output.message.content[0].text,
-            toolUsed: true,
-            weatherData,
-            location: toolInput.location || toolInput.city
-        });
+        // STEP 3: Send the tool results back to the model
+        messages.push(assistantMessage, toolResultMessage);
+        response = await converse();
+    }
+
+    // STEP 4: Save the new turns and return the final response
+    // with the full tool use trace. Tools requested past the limit are
+    // not run, so their requests are dropped
+    let finalMessage = response.output.message;
+    if (response.stopReason === "tool_use") {
+        log.warn("tool.limitReached", { maxIterations: MAX_TOOL_ITERATIONS });
+        finalMessage = withoutToolUses(finalMessage);
+    }
+    messages.push(finalMessage);
+    saveSessionTurns(session, [
+        { role: "user", text: prompt },
+        ...fromConverseMessages(messages.slice(requestStart))
+    ]);
+    return {
+        response: getMessageText(finalMessage),
+        toolUsed: toolCalls.length > 0,
+        toolCalls,
+        iterations,
+        stopReason: response.stopReason,
+        trace: messages,
+        sessionId: session?.id,
+        metrics: finishRequestMetrics(metrics)
+    };
+}
+
+/**
+ * Example 1 endpoint
+ * 
+ * This approach does not use streaming, so the response is only
+ * sent to the client after the entire process is complete.
+ */
+app.post('/api/generate/tools', async (req, res) => {
+    const signal = createRequestAbortSignal(res);
+    try {
+        // Validate the request and look up its session
+        const request = readGenerateRequest(req);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+        return res.json(await converseWithTools(request, { signal, log: req.log, endpoint: req.route.path }));
         
     } catch (error) {
-        console.error('Error generating response with tools:', error);
-        return res.status(500).json({ error: 'Failed to generate response: ' + error.message });
+        if (signal.aborted) {
+            req.log.info("request.cancelled", { reason: "client disconnected" });
+            return;
+        }
+        req.log.error("request.failed", { error });
+        return res.status(500).json({ error: 'Failed to generate response: ' + error.message, traceId: req.traceId });
     }
 });
 
@@ -502,161 +1266,704 @@ app.post('/api/generate/tools', async (req, res) => {
 // ============================================================================
 
 /**
- * EXAMPLE 2: Simple streaming endpoint
+ * EXAMPLE 2: Simple streaming
  * 
- * This endpoint demonstrates how to stream responses from Bedrock
+ * This demonstrates how to stream responses from Bedrock
  * using Server-Sent Events (SSE). This is the simplest approach
- * for streaming and doesn't include tool use.
+ * for streaming and doesn't include tool use. Streaming endpoints accept
+ * a POST with a JSON body, read with fetch, or a GET for EventSource.
  * 
  * The flow is:
- * 1. Set up SSE connection
- * 2. Send streaming request to Bedrock
+ * 1. Set up SSE connection (see handleStreamRequest)
+ * 2. Send streaming request to Bedrock with the session history (if any)
  * 3. Forward each chunk to the client as it arrives
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {StreamRun} run - Stream run receiving the SSE messages
+ * @param {string} endpoint - Endpoint recorded in the request metrics
  */
-app.get('/api/generate/stream', async (req, res) => {
+async function streamText(request, run, endpoint) {
+    const { prompt, session, history, system, model, inference } = request;
+    const metrics = startRequestMetrics(endpoint, model, run.log);
+    const { signal } = run;
+
+    // Create request body for Llama 3, with the system prompt and the history
+    // as previous turns rendered with the model's chat template
+    const requestBody = {
+        prompt: renderPrompt([
+            ...(system ? [{ role: "system", content: system }] : []),
+            ...toLlamaChatMessages(history),
+            { role: "user", content: prompt }
+        ], model.promptTemplate),
+        ...toLlamaParameters(inference)
+    };
+
+    // Create and send the streaming request to Bedrock
+    metrics.startModelCall("invokeModelStream");
+    const streamResponse = await modelClient.invokeModelStream({
+        modelId: model.id,
+        body: JSON.stringify(requestBody),
+        contentType: 'application/json',
+        accept: 'application/json',
+    }, { signal });
+    let responseText = "";
+    
+    // The Llama request body has no stop sequences, so they are applied
+    // to the streamed text
+    const stopFilter = new StopSequenceFilter(inference.stopSequences);
+    const sendText = (text) => {
+        if (text) {
+            metrics.markFirstToken();
+            sendSSEMessage(run, { text });
+            responseText += text;
+        }
+    };
+    
+    // Process the chunks as they arrive, until the client disconnects
+    // or a stop sequence is reached
     try {
-        const { prompt } = req.query;
-
-        // Validate input
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
-
-        // Set up Server-Sent Events connection
-        setupSSEConnection(res);
-
-        // Create request body for Llama 3
-        const requestBody = {
-            prompt: `<s>[INST] \n${prompt} \n[/INST]`,
-            temperature: 0.7,
-            top_p: 0.9,
-            max_gen_len: 1024
-        };
-
-        // Create and send the streaming request to Bedrock
-        const streamCommand = new InvokeModelWithResponseStreamCommand({
-            modelId: config.bedrock.modelId,
-            body: JSON.stringify(requestBody),
-            contentType: 'application/json',
-            accept: 'application/json',
-        });
-        
-        const streamResponse = await bedrockClient.send(streamCommand);
-        
-        // Process the chunks as they arrive
         for await (const chunk of streamResponse.body) {
+            signal.throwIfAborted();
             if (chunk.chunk?.bytes) {
                 // Decode binary chunk to text
                 const textDecoder = new TextDecoder('utf-8');
                 const chunkText = textDecoder.decode(chunk.chunk.bytes);
-                
+            
                 try {
                     // Parse the chunk JSON and send the generation to the client
                     const parsedChunk = JSON.parse(chunkText);
-                    sendSSEMessage(res, { text: parsedChunk.generation });
+                    metrics.updateModelCall(usageFromInvokeChunk(parsedChunk));
+                    sendText(stopFilter.feed(parsedChunk.generation || ""));
                 } catch (parseError) {
                     // If parsing fails, send the raw text
-                    console.error('Parse error:', parseError.message);
-                    sendSSEMessage(res, { text: chunkText });
+                    run.log.warn("model.chunkParseFailed", { error: parseError.message });
+                    sendText(stopFilter.feed(chunkText));
+                }
+                if (stopFilter.stopped) {
+                    break;
                 }
             }
         }
-        
-        // Signal completion
-        sendSSEMessage(res, { done: true });
-        res.end();
-        
-    } catch (error) {
-        console.error('Error generating streaming response:', error);
-        sendSSEMessage(res, { error: 'Failed to generate response: ' + error.message });
-        res.end();
+        sendText(stopFilter.flush());
+    } finally {
+        metrics.endModelCall();
     }
-});
+    
+    // Save the exchange to the session
+    saveSessionTurns(session, [
+        { role: "user", text: prompt },
+        { role: "assistant", text: responseText }
+    ]);
+    
+    // Send the request metrics
+    sendSSEMessage(run, { metrics: finishRequestMetrics(metrics) });
+}
+
+/**
+ * Example 2 endpoint
+ */
+function generateStream(req, res) {
+    return handleStreamRequest(req, res, streamText);
+}
+
+app.get('/api/generate/stream', resumeStreamRun, generateStream);
+app.post('/api/generate/stream', resumeStreamRun, generateStream);
 
 // ============================================================================
 // API ENDPOINT: EXAMPLE 3 - STREAMING WITH TOOL USE
 // ============================================================================
 
+/**
+ * Create the tool result that reports a malformed tool call back to the model
+ * 
+ * @param {string} toolName - Tool name
+ * @param {string} callError - What is wrong with the call
+ * @param {boolean} canRetry - Whether the model may call the tool again
+ * @returns {Object} Error result with instructions to retry (or to stop
+ *   calling the tool once the retries are used up)
+ */
+function createToolErrorResult(toolName, callError, canRetry) {
+    return {
+        error: `Invalid tool call: ${callError}`,
+        instructions: canRetry
+            ? `Call ${toolName} again with a valid JSON object that matches its input schema.`
+            : `Do not call ${toolName} again. Answer the question with the information you already have.`
+    };
+}
+
+/**
+ * Create the chat messages that report a malformed sentinel tool call
+ * back to the model
+ * 
+ * The malformed call is kept in the assistant turn so the model can see
+ * what it sent, and the error is returned as the tool result together
+ * with instructions to retry (or to stop calling tools once the retries
+ * are used up).
+ * 
+ * @param {Object} match - The malformed call ({ tool, raw })
+ * @param {string} text - Text the model generated before the call
+ * @param {string} callError - What is wrong with the call
+ * @param {boolean} canRetry - Whether the model may call the tool again
+ * @returns {Object[]} Assistant and tool chat messages
+ */
+function createToolErrorMessages(match, text, callError, canRetry) {
+    const { callStart, callEnd, resultStart, resultEnd } = toolRegistry.get(match.tool).sentinels;
+    const errorResult = createToolErrorResult(match.tool, callError, canRetry);
+    return [
+        { role: "assistant", content: `${text}${callStart}${match.raw}${callEnd}` },
+        { role: "tool", content: `${resultStart}${JSON.stringify(errorResult)}${resultEnd}` }
+    ];
+}
+
+/**
+ * Pause a run until the user approves, edits or denies a tool call
+ * 
+ * Sends a toolApprovalRequired message with the approval id the decision
+ * is submitted for, then a toolApproval message with the outcome
+ * ("approved", "edited", "denied" or "timedOut") once it is decided.
+ * 
+ * @param {StreamRun} run - Stream run making the call
+ * @param {string} toolName - Tool name
+ * @param {Object} input - Tool input from the model
+ * @returns {Promise<Object>} { approved, input }, with the input to run the
+ *   tool with, or { approved: false, result } with the tool result that
+ *   tells the model the call was not approved
+ * @throws {Error} The run's abort reason when the run is cancelled
+ */
+async function requestToolApproval(run, toolName, input) {
+    const approval = toolApprovals.create({ runId: run.id, tool: toolName, input, signal: run.signal });
+    sendSSEMessage(run, {
+        toolApprovalRequired: toolName,
+        approvalId: approval.id,
+        toolArgs: JSON.stringify(input),
+        expiresAt: new Date(approval.expiresAt).toISOString()
+    });
+
+    const { decision, input: approvedInput } = await approval.decision;
+    const outcome = { approve: "approved", edit: "edited", deny: "denied", timeout: "timedOut" }[decision];
+    run.log.info("tool.approval", { tool: toolName, approvalId: approval.id, outcome });
+    sendSSEMessage(run, {
+        toolApproval: outcome,
+        approvalId: approval.id,
+        toolName,
+        toolArgs: JSON.stringify(approvedInput)
+    });
+
+    if (decision === "approve" || decision === "edit") {
+        return { approved: true, input: approvedInput };
+    }
+    return {
+        approved: false,
+        result: {
+            error: decision === "timeout"
+                ? `The user did not approve the ${toolName} call in time, so it was not run.`
+                : `The user denied the ${toolName} call, so it was not run.`,
+            instructions: `Do not call ${toolName} again for this question. Answer with the information you already have.`
+        }
+    };
+}
+
 /**
  * EXAMPLE 3: Streaming with tool use via sentinel phrases
  * 
- * This endpoint demonstrates how to combine streaming with tool use
- * by detecting special sentinel phrases in the model's output.
+ * This demonstrates how to combine streaming with tool use
+ * by detecting special sentinel phrases in the model's output. Only the
+ * tools enabled by the request are described to the model and executed.
  * 
  * The flow is:
- * 1. Set up SSE connection
- * 2. Send first streaming request with system prompt that defines sentinel phrases
- * 3. Detect tool call in the stream and execute the tool
- * 4. Send second streaming request with the tool result
+ * 1. Set up SSE connection (see handleStreamRequest)
+ * 2. Send a streaming request with system prompt that defines sentinel phrases,
+ *    followed by the session history (if any) and the user prompt
+ * 3. Detect tool call in the stream, validate it against the tool's schema
+ *    and execute the tool. Malformed calls are reported to the client and sent
+ *    back to the model to correct (up to MAX_TOOL_RETRIES times, which don't
+ *    count as tool calls). Calls that need approval wait for the user to
+ *    approve, edit or deny them first
+ * 4. Append the tool call and its result to the prompt and stream again,
+ *    repeating steps 3-4 for every further tool call (up to MAX_TOOL_ITERATIONS).
+ *    Calls after that, or of tools the request doesn't enable, are streamed as text
  * 5. Stream the final response to the client
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {StreamRun} run - Stream run receiving the SSE messages
+ * @param {string} endpoint - Endpoint recorded in the request metrics
  */
-app.get('/api/generate/stream-tools', async (req, res) => {
-    try {
-        const { prompt } = req.query;
+async function streamWithSentinelTools(request, run, endpoint) {
+    const { prompt, session, history, system, inference, tools } = request;
+    const metrics = startRequestMetrics(endpoint, request.model, run.log);
+    const { signal } = run;
 
-        // Validate input
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
+    // Generate the system prompt that instructs the model how to use
+    // the sentinel phrases of the enabled tools, followed by the
+    // request's own system prompt
+    const systemPrompt = [
+        tools.length > 0 ? toolRegistry.buildSentinelSystemPrompt(tools) : null,
+        system
+    ].filter(Boolean).join("\n\n");
 
-        // Set up Server-Sent Events connection
-        setupSSEConnection(res);
+    // The chat starts with the session history and the user prompt, and
+    // grows with every tool call and result. The new turns are also kept
+    // in the session format so they can be saved once the answer is complete
+    const chatMessages = [
+        ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+        ...toLlamaChatMessages(history),
+        { role: "user", content: prompt }
+    ];
+    const turns = [{ role: "user", text: prompt }];
 
-        // Define system prompt that instructs the model how to use sentinel phrases
-        const systemPrompt = 
-            `You are a helpful assistant that can check the weather. When the user asks about weather in a location, 
-    respond ONLY with ${WEATHER_SENTINEL_START}{"location":"CITY_NAME, STATE_NAME"}${WEATHER_SENTINEL_END} inside the USA 
-    or ${WEATHER_SENTINEL_START}{"location":"CITY_NAME, REGION_NAME"}${WEATHER_SENTINEL_END} outside of the USA and wait for the result.
-    When you receive weather data in the format ${WEATHER_RESULT_START}{...}${WEATHER_RESULT_END}, use that data to answer the user's question. 
-    You may call the weather tool at most once per query. After you see the ${WEATHER_RESULT_END} tag, do not issue any further ${WEATHER_SENTINEL_START}.`;
+    // Corrections of malformed calls are counted separately from tool calls
+    let toolCallCount = 0;
+    let retries = 0;
 
-        // STEP 1: First prompt → invoke → consume until tool‐call
-        const firstPrompt = `System: ${systemPrompt} \nUser: ${prompt}`;
-        const firstResp = await invokeStream(firstPrompt);
+    /**
+     * Check a call against the tool's input schema
+     *
+     * @param {Object} match - Tool call match from consumeStream
+     * @returns {string|null} Why the call is malformed, or null
+     */
+    const findCallError = match => match.error ||
+        toolRegistry.validate(match.tool, match.payload).join("; ") ||
+        null;
+
+    /**
+     * Report a malformed call to the client and the log
+     *
+     * @param {Object} match - Tool call match from consumeStream
+     * @param {string} callError - Why the call is malformed
+     */
+    const reportCallError = (match, callError) => {
+        retries++;
+        run.log.warn("tool.invalidCall", { tool: match.tool, toolArgs: match.raw, error: callError, attempt: retries });
+        sendSSEMessage(run, {
+            toolError: callError,
+            toolName: match.tool,
+            toolArgs: match.raw,
+            attempt: retries,
+            maxRetries: MAX_TOOL_RETRIES
+        });
+    };
+
+    for (;;) {
+        // STEP 2: Prompt → invoke → consume until tool‐call or completion
+        const toolsAllowed = toolCallCount < MAX_TOOL_ITERATIONS && retries <= MAX_TOOL_RETRIES;
+        metrics.startModelCall("invokeModelStream");
+        const streamResponse = await invokeStream(toolsAllowed
+            ? chatMessages
+            : [...chatMessages, { role: "system", content: TOOL_LIMIT_MESSAGE }], request, signal);
         
         // Process the stream until we detect a tool call
-        const callPayload = await consumeStream(
-            firstResp, 
-            res, 
-            // Stop as soon as we see the tool request
-            payload => Boolean(payload?.location)
-        );
-
-        // STEP 2: If no tool was requested, close out
-        if (!callPayload) {
-            sendSSEMessage(res, { done: true });
-            return res.end();
-        }
-
-        // STEP 3: Update the UI and invoke the tool 
-        sendSSEMessage(res, {
-            toolCall: "weather",
-            toolArgs: JSON.stringify(callPayload)
+        const { match, text } = await consumeStream(streamResponse, run, {
+            // Stop as soon as we see a request for an enabled tool,
+            // unless the tool call limit has been reached. A malformed call
+            // that is not run any more is still reported
+            onMatch: match => {
+                if (!tools.includes(match.tool)) {
+                    return false;
+                }
+                if (!toolsAllowed) {
+                    const callError = findCallError(match);
+                    if (callError) {
+                        reportCallError(match, callError);
+                    }
+                }
+                return toolsAllowed;
+            },
+            stopSequences: inference.stopSequences,
+            metrics
         });
-        
-        // Call the weather API
-        const weatherData = await getWeatherData(callPayload.location, callPayload.unit);
-        sendSSEMessage(res, { toolResponse: weatherData });
 
-        // STEP 4: Second prompt → invoke → consume to completion
-        const followUp = `System: ${systemPrompt} \nUser: ${prompt} \n${WEATHER_RESULT_START} \n${JSON.stringify(weatherData)} \n${WEATHER_RESULT_END}`;
-        const secondResp = await invokeStream(followUp);
+        // No tool was requested: this was the final answer
+        if (!match) {
+            turns.push({ role: "assistant", text });
+            break;
+        }
+
+        // Check the payload against the tool's input schema
+        const callError = findCallError(match);
+        if (callError) {
+            // Report the malformed call and ask the model to correct it
+            reportCallError(match, callError);
+            chatMessages.push(...createToolErrorMessages(match, text, callError, retries <= MAX_TOOL_RETRIES));
+            if (text) {
+                turns.push({ role: "assistant", text });
+            }
+            continue;
+        }
+
+        // STEP 3: Wait for approval if the call needs it, then update the
+        // UI and invoke the tool
+        const toolName = match.tool;
+        const approval = requiresApproval(request, toolName)
+            ? await requestToolApproval(run, toolName, match.payload)
+            : { approved: true, input: match.payload };
+        const callPayload = approval.input ?? match.payload;
+        let toolResult = approval.result;
+
+        if (approval.approved) {
+            sendSSEMessage(run, {
+                toolCall: toolName,
+                toolArgs: JSON.stringify(callPayload)
+            });
+
+            // Execute the requested tool
+            const call = await callToolTimed(toolName, callPayload, { signal, log: run.log });
+            toolResult = call.result;
+            metrics.recordToolCalls([{ name: toolName, cache: call.cache, durationMs: call.durationMs }], call.durationMs);
+            sendSSEMessage(run, { toolResponse: toolResult, toolName, cache: call.cache });
+        }
+
+        // STEP 4: Feed the tool call and its result back to the model
+        const toolCallId = createToolCallId();
+        const toolTurns = [
+            { role: "assistant", text, toolCalls: [{ id: toolCallId, name: toolName, input: callPayload }] },
+            { role: "tool", toolCallId, name: toolName, result: toolResult }
+        ];
+        turns.push(...toolTurns);
+        chatMessages.push(...toLlamaChatMessages(toolTurns));
+        toolCallCount++;
+    }
+
+    // Save the new turns to the session
+    saveSessionTurns(session, turns);
+
+    // STEP 5: Send the request metrics
+    sendSSEMessage(run, { metrics: finishRequestMetrics(metrics) });
+}
+
+/**
+ * Example 3 endpoint
+ */
+function generateStreamWithTools(req, res) {
+    return handleStreamRequest(req, res, streamWithSentinelTools);
+}
+
+app.get('/api/generate/stream-tools', resumeStreamRun, generateStreamWithTools);
+app.post('/api/generate/stream-tools', resumeStreamRun, generateStreamWithTools);
+
+// ============================================================================
+// API ENDPOINT: EXAMPLE 4 - STREAMING WITH NATIVE TOOL USE (CONVERSESTREAM API)
+// ============================================================================
+
+/**
+ * Process a ConverseStream response
+ * 
+ * Forwards text deltas to the client as they arrive and reassembles the
+ * assistant message, including toolUse blocks whose JSON input arrives
+ * as a series of string fragments.
+ * 
+ * @param {Object} streamResponse - Bedrock ConverseStream response
+ * @param {StreamRun} run - Stream run receiving the SSE messages;
+ *   consuming stops when the run is cancelled
+ * @param {RequestMetrics} metrics - Metrics of the request; the model call
+ *   must have been started, and is ended when consuming stops
+ * @returns {Promise<Object>} Result containing:
+ *   - message: The complete assistant message, ready to append to the conversation
+ *   - stopReason: Why the model stopped ("tool_use", "end_turn", ...)
+ *   - invalidToolUses: { toolUseId, name, raw, error } for each tool use
+ *     whose input is not a JSON object; its input in the message is empty
+ */
+async function consumeConverseStream(streamResponse, run, metrics) {
+    const blocks = [];
+    let stopReason = null;
+
+    try {
+        for await (const event of streamResponse.stream) {
+            run.signal.throwIfAborted();
+
+            if (event.contentBlockStart?.start?.toolUse) {
+                // A tool use block starts with its id and name; the input follows as deltas
+                const { toolUseId, name } = event.contentBlockStart.start.toolUse;
+                blocks[event.contentBlockStart.contentBlockIndex] = { toolUse: { toolUseId, name, inputJson: "" } };
+            } else if (event.contentBlockDelta) {
+                const { contentBlockIndex, delta } = event.contentBlockDelta;
+            
+                if (delta.text) {
+                    // Text is sent to the client immediately
+                    blocks[contentBlockIndex] ??= { text: "" };
+                    blocks[contentBlockIndex].text += delta.text;
+                    metrics.markFirstToken();
+                    sendSSEMessage(run, { text: delta.text });
+                } else if (delta.toolUse) {
+                    // Tool input JSON is accumulated until the block is complete
+                    blocks[contentBlockIndex].toolUse.inputJson += delta.toolUse.input;
+                }
+            } else if (event.messageStop) {
+                stopReason = event.messageStop.stopReason;
+            } else if (event.metadata?.usage) {
+                // Token usage arrives in the last event of the stream
+                metrics.updateModelCall(event.metadata.usage);
+            }
+        }
+    } finally {
+        metrics.endModelCall();
+    }
+
+    // Parse the reassembled tool inputs. Malformed input is reported, so
+    // the model can be asked to correct it, rather than failing the request
+    const invalidToolUses = [];
+    const content = blocks.filter(Boolean).map(block => {
+        if (!block.toolUse) {
+            return block;
+        }
+        const { inputJson, ...toolUse } = block.toolUse;
+        const { input, error } = parseToolInput(inputJson);
+        if (error) {
+            run.log.warn("tool.invalidInput", { tool: toolUse.name, raw: inputJson, error });
+            invalidToolUses.push({ ...toolUse, raw: inputJson, error });
+        }
+        return { toolUse: { ...toolUse, input } };
+    });
+
+    return {
+        message: { role: "assistant", content },
+        stopReason,
+        invalidToolUses
+    };
+}
+
+/**
+ * Parse the input JSON of a streamed tool use
+ * 
+ * @param {string} inputJson - The reassembled input
+ * @returns {Object} { input }, or { input: {}, error } when the input is not a JSON object
+ */
+function parseToolInput(inputJson) {
+    if (!inputJson) {
+        return { input: {} };
+    }
+    let input;
+    try {
+        input = JSON.parse(inputJson);
+    } catch (error) {
+        return { input: {}, error: `Invalid JSON input: ${error.message}` };
+    }
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return { input: {}, error: "Tool input must be a JSON object" };
+    }
+    return { input };
+}
+
+/**
+ * EXAMPLE 4: Streaming with native tool use via the ConverseStream API
+ * 
+ * This demonstrates Bedrock's native protocol for combining
+ * streaming with tool use, as an alternative to sentinel phrases.
+ * It emits the same SSE messages as Example 3.
+ * 
+ * The flow is:
+ * 1. Set up SSE connection (see handleStreamRequest)
+ * 2. Send a ConverseStream request with the session history (if any),
+ *    the user prompt and the definitions of the enabled tools
+ * 3. Stream text deltas to the client and reassemble tool use requests
+ * 4. If the model stopped to use tools, execute them, append the results
+ *    and stream again (up to MAX_TOOL_ITERATIONS rounds). Tool uses with
+ *    malformed input are reported to the client and sent back to the model
+ *    to correct (up to MAX_TOOL_RETRIES times)
+ * 5. Stream the final response to the client
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {StreamRun} run - Stream run receiving the SSE messages
+ * @param {string} endpoint - Endpoint recorded in the request metrics
+ */
+async function streamWithConverseTools(request, run, endpoint) {
+    const { prompt, session, history } = request;
+    const metrics = startRequestMetrics(endpoint, request.model, run.log);
+    const { signal } = run;
+
+    // Create the request fields shared by every ConverseStream call, and
+    // start the conversation from the history and the user prompt
+    const converseRequest = createConverseRequest(request);
+    const offeredTools = toolsWithoutApproval(request);
+    const messages = toConverseMessages([...history, { role: "user", text: prompt }]);
+    const requestStart = messages.length;
+    let retries = 0;
+
+    for (let iteration = 0; ; iteration++) {
+        // STEP 2: Stream the next assistant turn
+        metrics.startModelCall("converseStream");
+        const streamResponse = await modelClient.converseStream({
+            ...converseRequest,
+            messages
+        }, { signal });
         
-        // Process the second stream to completion
-        await consumeStream(
-            secondResp,
-            res,
-            // Return false: we never expect another tool call
-            () => false
-        );
-
-        // STEP 5: Final close
-        sendSSEMessage(res, { done: true });
-        res.end();
+        // STEP 3: Forward text and reassemble tool use requests
+        const { message, stopReason, invalidToolUses } = await consumeConverseStream(streamResponse, run, metrics);
+
+        // Tools requested past the limit are not run, so their requests are dropped
+        if (stopReason === "tool_use" && iteration >= MAX_TOOL_ITERATIONS) {
+            run.log.warn("tool.limitReached", { maxIterations: MAX_TOOL_ITERATIONS });
+            messages.push(withoutToolUses(message));
+            break;
+        }
+        messages.push(message);
+        if (stopReason !== "tool_use") {
+            break;
+        }
+
+        // Report tool uses with malformed input and ask the model to correct them
+        const rejected = new Map();
+        for (const { toolUseId, name, raw, error } of invalidToolUses) {
+            retries++;
+            sendSSEMessage(run, {
+                toolError: error,
+                toolName: name,
+                toolArgs: raw,
+                attempt: retries,
+                maxRetries: MAX_TOOL_RETRIES
+            });
+            rejected.set(toolUseId, createToolErrorResult(name, error, retries <= MAX_TOOL_RETRIES));
+        }
+
+        // STEP 4: Update the UI with the calls that run, execute the tools
+        // and send the results back
+        const runnable = ({ toolUse }) => toolUse && !rejected.has(toolUse.toolUseId) && offeredTools.includes(toolUse.name);
+        for (const { toolUse } of message.content.filter(runnable)) {
+            sendSSEMessage(run, {
+                toolCall: toolUse.name,
+                toolArgs: JSON.stringify(toolUse.input)
+            });
+        }
+
+        const { toolCalls, message: toolResultMessage } =
+            await executeConverseToolUses(message.content, { tools: offeredTools, signal, log: run.log, metrics, rejected });
+        for (const { name, result, cache } of toolCalls) {
+            sendSSEMessage(run, { toolResponse: result, toolName: name, cache });
+        }
+
+        // On the last allowed round, ask the model to answer with what it has
+        if (iteration + 1 === MAX_TOOL_ITERATIONS) {
+            toolResultMessage.content.push({ text: TOOL_LIMIT_MESSAGE });
+        }
+        messages.push(toolResultMessage);
+    }
+
+    // Save the new turns to the session
+    saveSessionTurns(session, [
+        { role: "user", text: prompt },
+        ...fromConverseMessages(messages.slice(requestStart))
+    ]);
+
+    // STEP 5: Send the request metrics
+    sendSSEMessage(run, { metrics: finishRequestMetrics(metrics) });
+}
+
+/**
+ * Example 4 endpoint
+ */
+function generateConverseStream(req, res) {
+    return handleStreamRequest(req, res, streamWithConverseTools);
+}
+
+app.get('/api/generate/converse-stream', resumeStreamRun, generateConverseStream);
+app.post('/api/generate/converse-stream', resumeStreamRun, generateConverseStream);
+
+// ============================================================================
+// API ENDPOINT: APPROACH COMPARISON
+// ============================================================================
+
+/**
+ * Send the result of Example 1 as stream messages
+ * 
+ * The Converse API example doesn't stream, so its tool calls, answer and
+ * metrics are sent together once the tool use loop is complete.
+ * 
+ * @param {Object} request - Generation request (see readGenerateRequest)
+ * @param {StreamRun} run - Stream run receiving the SSE messages
+ * @param {string} endpoint - Endpoint recorded in the request metrics
+ */
+async function sendConverseToolsResult(request, run, endpoint) {
+    const result = await converseWithTools(request, { signal: run.signal, log: run.log, endpoint });
+    for (const { name, input, result: toolResult, cache } of result.toolCalls) {
+        sendSSEMessage(run, { toolCall: name, toolArgs: JSON.stringify(input) });
+        sendSSEMessage(run, { toolResponse: toolResult, toolName: name, cache });
+    }
+    sendSSEMessage(run, { text: result.response });
+    sendSSEMessage(run, { metrics: result.metrics });
+}
+
+/**
+ * The approaches a comparison can run, by name, with the endpoint their
+ * metrics are recorded under
+ */
+const COMPARISON_APPROACHES = {
+    "tools": { endpoint: '/api/generate/tools', generate: sendConverseToolsResult },
+    "stream-tools": { endpoint: '/api/generate/stream-tools', generate: streamWithSentinelTools },
+    "stream": { endpoint: '/api/generate/stream', generate: streamText },
+    "converse-stream": { endpoint: '/api/generate/converse-stream', generate: streamWithConverseTools }
+};
+
+/**
+ * Approaches compared when the request doesn't choose
+ */
+const DEFAULT_COMPARISON_APPROACHES = ["tools", "stream-tools", "stream"];
+
+/**
+ * Approach comparison endpoint
+ * 
+ * Runs one generation request through several approaches concurrently and
+ * streams their messages over one stream run, each tagged with its
+ * approach (see lib/comparison.js). The body is a generation request with
+ * an optional `approaches` list. Once every approach has finished, a
+ * comparison message summarizes the tool calls, arguments, answers and
+ * metrics of each approach. An approach that fails reports an error
+ * message without stopping the others.
+ * 
+ * Comparisons don't read or save sessions, since every approach would add
+ * its own answer; send the conversation as `messages` instead.
+ */
+app.post('/api/compare', resumeStreamRun, async (req, res) => {
+    let run = null;
+    try {
+        // Validate the approaches and the generation request
+        const { approaches = DEFAULT_COMPARISON_APPROACHES, ...body } = req.body ?? {};
+        const approachNames = Object.keys(COMPARISON_APPROACHES);
+        if (!Array.isArray(approaches) || approaches.length === 0 ||
+            approaches.some(approach => !approachNames.includes(approach)) ||
+            new Set(approaches).size !== approaches.length) {
+            return res.status(400).json({ error: `approaches must be a list of different approaches from: ${approachNames.join(", ")}` });
+        }
+        if (body.sessionId) {
+            return res.status(400).json({ error: "Comparisons don't use sessions; send the conversation as messages" });
+        }
+        if (body.requireApproval) {
+            return res.status(400).json({ error: "Comparisons can't ask for tool approval" });
+        }
+        const request = readGenerateRequest(req, body);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+
+        // Nobody approves tool calls during a comparison, so every approach
+        // uses only the tools that don't need approval
+        request.tools = toolsWithoutApproval(request);
+
+        // Run every approach on its own lane of one stream run
+        run = startStreamRun(req, res, request);
+        const lanes = approaches.map(approach => new ComparisonLane(run, approach));
+        await Promise.all(lanes.map(async (lane) => {
+            const { endpoint, generate } = COMPARISON_APPROACHES[lane.approach];
+            try {
+                await generate(request, lane, endpoint);
+            } catch (error) {
+                if (run.signal.aborted) {
+                    return;
+                }
+                lane.log.error("approach.failed", { error });
+                sendSSEMessage(lane, { error: 'Failed to generate response: ' + error.message, traceId: req.traceId });
+            }
+        }));
+        run.signal.throwIfAborted();
+
+        // Summarize the approaches and signal completion
+        sendSSEMessage(run, { comparison: lanes.map(lane => lane.summary()) });
+        sendSSEMessage(run, { done: true });
+        run.finish();
     } catch (error) {
-        console.error('Error in streaming with tools:', error);
-        sendSSEMessage(res, { error: 'Failed to generate response: ' + error.message });
-        res.end();
+        // The run logs its own cancellation
+        if (run?.signal.aborted) {
+            return;
+        }
+        sendStreamError(req, run, res, error);
     }
 });
 
@@ -666,6 +1973,12 @@ app.get('/api/generate/stream-tools', async (req, res) => {
 
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
-    console.log(`Using Bedrock model: ${config.bedrock.modelId}`);
+    console.log(`Using Bedrock model: ${DEFAULT_MODEL.id} (${DEFAULT_MODEL.promptTemplate} prompt template)`);
+    if (MODELS.length > 1) {
+        console.log(`Requests may also select: ${MODELS.slice(1).map(model => model.id).join(", ")}`);
+    }
+    if (config.bedrock.client === "mock") {
+        console.log(`Using the mock model client with ${config.bedrock.mockScript}`);
+    }
     console.log(`Access the application at http://localhost:${port}`);
 });
@@ -0,0 +1,203 @@
+/**
+ * Tests for the scoring of tool calling evaluations
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { argumentsMatch, matchToolCalls, scoreCase, buildReport, formatReport } from '../lib/eval.js';
+
+/**
+ * Create the comparison summary of an approach
+ *
+ * @param {Object} [fields] - Fields of the summary to set
+ * @returns {Object} Summary as returned by ComparisonLane
+ */
+function summary(fields = {}) {
+    return { approach: "stream-tools", toolCalls: [], invalidToolCalls: [], answer: "", error: null, ...fields };
+}
+
+const PARIS_CASE = {
+    id: "paris",
+    prompt: "What's the weather in Paris?",
+    expectedToolCalls: [{ name: "weather", arguments: { location: "Paris" } }]
+};
+
+const TWO_CITIES_CASE = {
+    id: "two-cities",
+    prompt: "Compare the weather in Paris and London",
+    expectedToolCalls: [
+        { name: "weather", arguments: { location: "Paris" } },
+        { name: "weather", arguments: { location: "London" } }
+    ]
+};
+
+const NO_TOOLS_CASE = { id: "greeting", prompt: "Hello", expectedToolCalls: [] };
+
+describe("argumentsMatch", () => {
+    test("matches strings case-insensitively as substrings", () => {
+        assert.equal(argumentsMatch({ location: "paris" }, { location: "Paris, France" }), true);
+        assert.equal(argumentsMatch({ location: "Paris, France" }, { location: "Paris" }), false);
+    });
+
+    test("matches other values by equality", () => {
+        assert.equal(argumentsMatch({ days: 2 }, { days: 2 }), true);
+        assert.equal(argumentsMatch({ days: 2 }, { days: "2" }), false);
+        assert.equal(argumentsMatch({ units: ["c"] }, { units: ["c"] }), true);
+    });
+
+    test("ignores arguments the case doesn't list", () => {
+        assert.equal(argumentsMatch({ location: "Paris" }, { location: "Paris", days: 3 }), true);
+        assert.equal(argumentsMatch(undefined, { location: "Paris" }), true);
+    });
+
+    test("requires every expected argument", () => {
+        assert.equal(argumentsMatch({ location: "Paris", days: 3 }, { location: "Paris" }), false);
+    });
+});
+
+describe("matchToolCalls", () => {
+    test("pairs calls by tool name, preferring matching arguments", () => {
+        const { matched, missing, unexpected } = matchToolCalls(TWO_CITIES_CASE.expectedToolCalls, [
+            { name: "weather", input: { location: "London, UK" } },
+            { name: "weather", input: { location: "Paris, France" } }
+        ]);
+        assert.deepEqual(matched.map(pair => [pair.expected.arguments.location, pair.actual.input.location, pair.argumentsMatch]), [
+            ["Paris", "Paris, France", true],
+            ["London", "London, UK", true]
+        ]);
+        assert.deepEqual(missing, []);
+        assert.deepEqual(unexpected, []);
+    });
+
+    test("reports missing and unexpected calls", () => {
+        const { matched, missing, unexpected } = matchToolCalls(PARIS_CASE.expectedToolCalls, [
+            { name: "weather_forecast", input: { location: "Paris" } }
+        ]);
+        assert.deepEqual(matched, []);
+        assert.deepEqual(missing, PARIS_CASE.expectedToolCalls);
+        assert.deepEqual(unexpected, [{ name: "weather_forecast", input: { location: "Paris" } }]);
+    });
+});
+
+describe("scoreCase", () => {
+    test("scores a correct call", () => {
+        const result = scoreCase(PARIS_CASE, summary({
+            toolCalls: [{ name: "weather", input: { location: "Paris, France" } }],
+            answer: "It is sunny."
+        }));
+        assert.equal(result.id, "paris");
+        assert.equal(result.approach, "stream-tools");
+        assert.equal(result.expectedCalls, 1);
+        assert.equal(result.actualCalls, 1);
+        assert.equal(result.matchedCalls, 1);
+        assert.equal(result.argumentMatches, 1);
+        assert.deepEqual(result.argumentMismatches, []);
+        assert.equal(result.answeredWithoutTools, false);
+    });
+
+    test("counts a call of the right tool with the wrong arguments as matched, but not its arguments", () => {
+        const result = scoreCase(PARIS_CASE, summary({ toolCalls: [{ name: "weather", input: { location: "Lyon" } }] }));
+        assert.equal(result.matchedCalls, 1);
+        assert.equal(result.argumentMatches, 0);
+        assert.deepEqual(result.argumentMismatches.map(pair => pair.actual.input), [{ location: "Lyon" }]);
+    });
+
+    test("flags an answer without the expected tool calls", () => {
+        const result = scoreCase(PARIS_CASE, summary({ answer: "It is 20°C in Paris." }));
+        assert.equal(result.answeredWithoutTools, true);
+        assert.equal(result.missing.length, 1);
+    });
+
+    test("does not flag a failed request as answered without tools", () => {
+        const result = scoreCase(PARIS_CASE, summary({ error: "Failed to generate response" }));
+        assert.equal(result.answeredWithoutTools, false);
+        assert.equal(result.error, "Failed to generate response");
+    });
+
+    test("keeps the sentinel parse failures", () => {
+        const parseFailures = [{ name: "weather", args: '{"location": Paris}', error: "Invalid JSON payload" }];
+        const result = scoreCase(PARIS_CASE, summary({
+            toolCalls: [{ name: "weather", input: { location: "Paris" } }],
+            invalidToolCalls: parseFailures
+        }));
+        assert.deepEqual(result.parseFailures, parseFailures);
+        assert.equal(result.matchedCalls, 1);
+    });
+
+    test("treats a case without expectedToolCalls as expecting none", () => {
+        const result = scoreCase({ id: "no-list", prompt: "Hi" }, summary({ answer: "Hello!" }));
+        assert.equal(result.expectedCalls, 0);
+        assert.equal(result.answeredWithoutTools, false);
+    });
+});
+
+describe("buildReport", () => {
+    const results = [
+        // Both calls right
+        scoreCase(TWO_CITIES_CASE, summary({
+            toolCalls: [
+                { name: "weather", input: { location: "Paris" } },
+                { name: "weather", input: { location: "London" } }
+            ]
+        })),
+        // Right tool, wrong arguments, after two parse failures
+        scoreCase(PARIS_CASE, summary({
+            toolCalls: [{ name: "weather", input: { location: "Lyon" } }],
+            invalidToolCalls: [
+                { name: "weather", args: "{", error: "Invalid JSON payload" },
+                { name: "weather", args: "[]", error: "Tool call payload must be a JSON object" }
+            ]
+        })),
+        // An unexpected call
+        scoreCase(NO_TOOLS_CASE, summary({ toolCalls: [{ name: "weather", input: { location: "Oslo" } }] })),
+        // Answered without tools
+        scoreCase(PARIS_CASE, summary({ answer: "Sunny." })),
+        // Another approach
+        scoreCase(PARIS_CASE, summary({ approach: "tools", error: "Throttled" }))
+    ];
+    const report = buildReport(results);
+
+    test("computes precision, recall and the argument match rate per approach", () => {
+        const totals = report.approaches["stream-tools"];
+        assert.equal(totals.cases, 4);
+        assert.equal(totals.expectedCalls, 4);
+        assert.equal(totals.actualCalls, 4);
+        assert.equal(totals.matchedCalls, 3);
+        assert.equal(totals.argumentMatches, 2);
+        assert.equal(totals.precision, 3 / 4);
+        assert.equal(totals.recall, 3 / 4);
+        assert.equal(totals.argumentMatchRate, 2 / 3);
+        assert.equal(totals.answeredWithoutTools, 1);
+        assert.equal(totals.errors, 0);
+    });
+
+    test("counts parse failures and the cases with them", () => {
+        const totals = report.approaches["stream-tools"];
+        assert.equal(totals.parseFailures, 2);
+        assert.equal(totals.casesWithParseFailures, 1);
+    });
+
+    test("reports ratios without calls as null", () => {
+        const totals = report.approaches.tools;
+        assert.equal(totals.cases, 1);
+        assert.equal(totals.errors, 1);
+        assert.equal(totals.precision, null);
+        assert.equal(totals.recall, 0);
+        assert.equal(totals.argumentMatchRate, null);
+    });
+
+    test("keeps the case results", () => {
+        assert.equal(report.cases, results);
+    });
+
+    test("formats the totals and failed cases", () => {
+        const text = formatReport(report);
+        assert.match(text, /tool call precision {5}75\.0% \(3\/4\)/);
+        assert.match(text, /argument match rate {5}66\.7% \(2\/3\)/);
+        assert.match(text, /sentinel parse failures 2 in 1 case\(s\)/);
+        assert.match(text, /tool call precision {5}n\/a \(0\/0\)/);
+        assert.match(text, /arguments: expected \{"location":"Paris"\}, got \{"location":"Lyon"\}/);
+        assert.match(text, /unexpected: weather \{"location":"Oslo"\}/);
+        assert.match(text, /error: Throttled/);
+    });
+});
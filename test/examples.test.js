@@ -0,0 +1,410 @@
+/**
+ * End-to-end tests of the examples with the mock model client
+ *
+ * Starts the server with bedrock.client "mock" and the fixture weather
+ * provider, so the tests need no AWS credentials or network access, and
+ * checks the responses of the Converse API, streaming and sentinel
+ * streaming endpoints to the scripted prompts in fixtures/mock-bedrock.json.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * @returns {Promise<number>} A port that is free to listen on
+ */
+async function findFreePort() {
+    const server = createServer().listen(0);
+    await once(server, "listening");
+    const { port } = server.address();
+    server.close();
+    await once(server, "close");
+    return port;
+}
+
+/**
+ * Start the server with the mock model client
+ *
+ * @param {string[]} [flags] - More configuration flags
+ * @returns {Promise<Object>} { url, stop }
+ */
+async function startMockServer(flags = []) {
+    const port = await findFreePort();
+    const child = spawn(process.execPath, [
+        "server.js",
+        "--config=config.example.js",
+        "--bedrock.client=mock",
+        "--bedrock.mockChunkDelayMs=0",
+        "--weatherApi.provider=fixture",
+        "--tools.cache.enabled=false",
+        "--logging.console=false",
+        `--server.port=${port}`,
+        ...flags
+    ], { cwd: ROOT, stdio: ["ignore", "pipe", "pipe"] });
+
+    let output = "";
+    await new Promise((resolve, reject) => {
+        child.stdout.on("data", (data) => {
+            output += data;
+            if (output.includes("Server running")) {
+                resolve();
+            }
+        });
+        child.stderr.on("data", data => output += data);
+        child.on("exit", code => reject(new Error(`The server exited with code ${code}:\n${output}`)));
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        stop: async () => {
+            child.removeAllListeners("exit");
+            child.kill();
+            await once(child, "exit");
+        }
+    };
+}
+
+/**
+ * Send a generation request to a streaming endpoint and read its events
+ *
+ * Consecutive text events are merged, since how the text is split into
+ * events depends on the chunks of the model stream.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Generation request
+ * @returns {Promise<Object[]>} Events as { event, data }
+ */
+async function readEvents(url, body) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+
+    const events = [];
+    for (const message of (await response.text()).split("\n\n")) {
+        const fields = Object.fromEntries(message.split("\n")
+            .map(line => /^(\w+): (.*)$/.exec(line))
+            .filter(Boolean)
+            .map(([, name, value]) => [name, value]));
+        if (!fields.data) {
+            continue;
+        }
+
+        const event = { event: fields.event, data: JSON.parse(fields.data) };
+        const last = events[events.length - 1];
+        if (event.event === "text" && last?.event === "text") {
+            last.data.text += event.data.text;
+        } else {
+            events.push(event);
+        }
+    }
+    return events;
+}
+
+/**
+ * @param {Object[]} events - Events from readEvents
+ * @returns {string[]} Their types
+ */
+function eventTypes(events) {
+    return events.map(({ event }) => event);
+}
+
+/**
+ * @param {Object[]} events - Events from readEvents
+ * @param {string} type - Event type
+ * @returns {Object[]} The data of the events of that type
+ */
+function dataOf(events, type) {
+    return events.filter(({ event }) => event === type).map(({ data }) => data);
+}
+
+/**
+ * @param {string} url - Server URL
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object[]>} The messages of the session
+ */
+async function getSessionMessages(url, sessionId) {
+    const response = await fetch(`${url}/api/sessions/${sessionId}`);
+    assert.equal(response.status, 200);
+    return (await response.json()).messages;
+}
+
+/**
+ * Assert that every tool call in a session history has a result, as the
+ * Converse API requires for the next request of the session
+ *
+ * @param {Object[]} messages - Session messages
+ */
+function assertToolCallsAnswered(messages) {
+    const toolCallIds = messages.flatMap(message => message.toolCalls || []).map(({ id }) => id);
+    const resultIds = messages.filter(({ role }) => role === "tool").map(({ toolCallId }) => toolCallId);
+    assert.ok(toolCallIds.length > 0);
+    assert.deepEqual(resultIds, toolCallIds);
+}
+
+const SEATTLE_WEATHER = {
+    temperature: 51.8,
+    condition: "Light rain",
+    location: "Seattle, Washington",
+    humidity: "87%",
+    wind: "8.1 mph",
+    unit: "fahrenheit"
+};
+
+describe("examples with the mock model client", () => {
+    let server;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    describe("POST /api/generate/tools", () => {
+        test("calls the tool and returns the final answer with the trace", async () => {
+            const response = await fetch(`${server.url}/api/generate/tools`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ prompt: "What's the weather in Seattle?" })
+            });
+            assert.equal(response.status, 200);
+            const result = await response.json();
+
+            assert.equal(result.response, "Here is the current weather in Seattle, based on the tool result above.");
+            assert.equal(result.stopReason, "end_turn");
+            assert.equal(result.iterations, 1);
+            assert.deepEqual(result.toolCalls.map(({ name, input, result: toolResult }) => ({ name, input, result: toolResult })), [
+                { name: "weather", input: { location: "Seattle, WA" }, result: SEATTLE_WEATHER }
+            ]);
+            assert.deepEqual(result.trace.map(({ role }) => role), ["user", "assistant", "user", "assistant"]);
+            assert.equal(result.metrics.endpoint, "/api/generate/tools");
+        });
+
+        test("runs parallel tool calls in one round", async () => {
+            const response = await fetch(`${server.url}/api/generate/tools`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ prompt: "Compare the weather in Paris and London" })
+            });
+            const result = await response.json();
+
+            assert.equal(result.iterations, 1);
+            assert.deepEqual(result.toolCalls.map(({ toolUseId }) => toolUseId), ["mock-tool-paris", "mock-tool-london"]);
+            assert.deepEqual(result.trace[2].content.map(({ toolResult }) => toolResult.status), ["success", "success"]);
+        });
+
+        test("does not save tool uses requested after the tool call limit", async () => {
+            const session = await (await fetch(`${server.url}/api/sessions`, { method: "POST" })).json();
+            const response = await fetch(`${server.url}/api/generate/tools`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ prompt: "Keep checking the weather", sessionId: session.id })
+            });
+            const result = await response.json();
+
+            assert.equal(result.iterations, 5);
+            assert.equal(result.toolCalls.length, 5);
+            assert.equal(result.response, "Checking again.");
+            assert.deepEqual(result.trace.at(-1).content, [{ text: "Checking again." }]);
+            assertToolCallsAnswered(await getSessionMessages(server.url, session.id));
+        });
+
+        test("does not run tools the model was not offered", async () => {
+            for (const body of [
+                { prompt: "What's the weather in Seattle?", tools: ["weather_forecast"] },
+                { prompt: "What's the weather in Seattle?", requireApproval: true }
+            ]) {
+                const response = await fetch(`${server.url}/api/generate/tools`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+
+                assert.deepEqual(result.toolCalls, []);
+                assert.equal(result.iterations, 1);
+                const [{ toolResult }] = result.trace[2].content;
+                assert.equal(toolResult.status, "error");
+                assert.equal(toolResult.content[0].json.error, "Tool not available: weather");
+            }
+        });
+
+        test("rejects an invalid request", async () => {
+            const response = await fetch(`${server.url}/api/generate/tools`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({})
+            });
+            assert.equal(response.status, 400);
+        });
+    });
+
+    describe("POST /api/generate/stream", () => {
+        test("streams the text of the answer", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream`, { prompt: "Hello there" });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "metrics", "done"]);
+            assert.ok(events[0].data.runId);
+            assert.ok(events[0].data.traceId);
+            assert.deepEqual(events[1].data, { status: "Connection established. Generating response..." });
+            assert.equal(events[2].data.text,
+                "This is a scripted response from the mock model client. Ask about the weather to see a tool call.");
+            assert.equal(events[3].data.metrics.endpoint, "/api/generate/stream");
+            assert.deepEqual(events[4].data, { done: true });
+        });
+
+        test("streams sentinel phrases as plain text", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream`, { prompt: "What's the weather in Seattle?" });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "metrics", "done"]);
+            assert.match(events[2].data.text, /<CALL_WEATHER>\{"location": "Seattle, WA"\}<\/CALL_WEATHER>$/);
+        });
+    });
+
+    describe("POST /api/generate/stream-tools", () => {
+        test("streams the text around a tool call split across chunks", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "What's the weather in Seattle?" });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "toolCall", "toolResponse", "text", "metrics", "done"]);
+            assert.equal(events[2].data.text, "Let me check the weather for you. ");
+            assert.deepEqual(events[3].data, { toolCall: "weather", toolArgs: '{"location":"Seattle, WA"}' });
+            assert.deepEqual(events[4].data, { toolResponse: SEATTLE_WEATHER, toolName: "weather", cache: null });
+            assert.equal(events[5].data.text, "Here is the current weather in Seattle, based on the tool result above.");
+            assert.deepEqual(events[6].data.metrics.toolCalls.map(({ name }) => name), ["weather"]);
+        });
+
+        test("runs sequential tool calls", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "Compare the weather in Paris and London" });
+
+            assert.deepEqual(eventTypes(events), [
+                "run", "status", "text", "toolCall", "toolResponse", "toolCall", "toolResponse", "text", "metrics", "done"
+            ]);
+            assert.deepEqual(dataOf(events, "toolCall").map(({ toolArgs }) => JSON.parse(toolArgs).location), ["Paris, France", "London, UK"]);
+        });
+
+        test("reports a malformed tool call and runs the corrected one", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "Send a malformed weather call" });
+
+            assert.deepEqual(eventTypes(events), [
+                "run", "status", "text", "toolError", "text", "toolCall", "toolResponse", "text", "metrics", "done"
+            ]);
+            const [toolError] = dataOf(events, "toolError");
+            assert.equal(toolError.toolName, "weather");
+            assert.equal(toolError.toolArgs, '{"location": Paris}');
+            assert.equal(toolError.attempt, 1);
+            assert.match(toolError.toolError, /^Invalid JSON payload/);
+        });
+
+        test("reports a malformed tool call after the retries are used up", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "Keep sending malformed weather calls" });
+
+            assert.deepEqual(dataOf(events, "toolError").map(({ attempt }) => attempt), [1, 2, 3, 4]);
+            assert.deepEqual(eventTypes(events).slice(-4), ["toolError", "text", "metrics", "done"]);
+            assert.equal(events.at(-3).data.text, '<CALL_WEATHER>{"location": Paris}</CALL_WEATHER>');
+        });
+
+        test("uses the raw text of a malformed chunk", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "Send a garbled weather chunk" });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "toolCall", "toolResponse", "text", "metrics", "done"]);
+            assert.equal(events[2].data.text, "Let me check. ");
+            assert.deepEqual(events[3].data, { toolCall: "weather", toolArgs: '{"location":"Seattle, WA"}' });
+            assert.equal(events[5].data.text, "Here is the current weather in Seattle, based on the tool result above.");
+        });
+
+        test("streams calls of tools the request does not enable as text", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, {
+                prompt: "What's the weather in Seattle?",
+                tools: []
+            });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "metrics", "done"]);
+            assert.match(events[2].data.text, /Let me check the weather for you\. <CALL_WEATHER>\{"location": "Seattle, WA"\}<\/CALL_WEATHER>$/);
+        });
+
+        test("streams calls after the tool call limit as text", async () => {
+            const events = await readEvents(`${server.url}/api/generate/stream-tools`, { prompt: "Keep checking the weather" });
+
+            assert.equal(dataOf(events, "toolCall").length, 5);
+            assert.deepEqual(eventTypes(events).slice(-4), ["toolResponse", "text", "metrics", "done"]);
+            assert.equal(events.at(-3).data.text, 'Checking again. <CALL_WEATHER>{"location": "Seattle, WA"}</CALL_WEATHER>');
+        });
+    });
+
+    describe("POST /api/generate/stream-tools with one tool call allowed", () => {
+        let limitedServer;
+
+        before(async () => {
+            limitedServer = await startMockServer(["--tools.maxIterations=1"]);
+        });
+
+        after(async () => {
+            await limitedServer?.stop();
+        });
+
+        test("does not count corrections of malformed calls as tool calls", async () => {
+            const events = await readEvents(`${limitedServer.url}/api/generate/stream-tools`, { prompt: "Send a malformed weather call" });
+
+            assert.equal(dataOf(events, "toolError").length, 1);
+            assert.deepEqual(dataOf(events, "toolCall"), [{ toolCall: "weather", toolArgs: '{"location":"Paris, France"}' }]);
+        });
+    });
+
+    describe("POST /api/generate/converse-stream", () => {
+        test("streams the text and the native tool use", async () => {
+            const events = await readEvents(`${server.url}/api/generate/converse-stream`, { prompt: "What's the weather in Seattle?" });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "toolCall", "toolResponse", "text", "metrics", "done"]);
+            assert.deepEqual(events[3].data, { toolCall: "weather", toolArgs: '{"location":"Seattle, WA"}' });
+            assert.deepEqual(events[4].data, { toolResponse: SEATTLE_WEATHER, toolName: "weather", cache: null });
+            assert.equal(events[5].data.text, "Here is the current weather in Seattle, based on the tool result above.");
+        });
+
+        test("reports malformed tool input and runs the corrected call", async () => {
+            const events = await readEvents(`${server.url}/api/generate/converse-stream`, { prompt: "Send a malformed weather call" });
+
+            assert.deepEqual(eventTypes(events), [
+                "run", "status", "text", "toolError", "text", "toolCall", "toolResponse", "text", "metrics", "done"
+            ]);
+            const [toolError] = dataOf(events, "toolError");
+            assert.equal(toolError.toolName, "weather");
+            assert.equal(toolError.toolArgs, '{"location": Paris}');
+            assert.equal(toolError.attempt, 1);
+            assert.match(toolError.toolError, /^Invalid JSON input/);
+            assert.deepEqual(dataOf(events, "toolCall"), [{ toolCall: "weather", toolArgs: '{"location":"Paris, France"}' }]);
+        });
+
+        test("does not run tools the model was not offered", async () => {
+            const events = await readEvents(`${server.url}/api/generate/converse-stream`, {
+                prompt: "What's the weather in Seattle?",
+                tools: ["weather_forecast"]
+            });
+
+            assert.deepEqual(eventTypes(events), ["run", "status", "text", "metrics", "done"]);
+            assert.deepEqual(events[3].data.metrics.toolCalls, []);
+        });
+
+        test("does not save tool uses requested after the tool call limit", async () => {
+            const session = await (await fetch(`${server.url}/api/sessions`, { method: "POST" })).json();
+            const events = await readEvents(`${server.url}/api/generate/converse-stream`, {
+                prompt: "Keep checking the weather",
+                sessionId: session.id
+            });
+
+            assert.equal(dataOf(events, "toolCall").length, 5);
+            assert.equal(eventTypes(events).at(-1), "done");
+            assertToolCallsAnswered(await getSessionMessages(server.url, session.id));
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the redaction of log records
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from '../lib/logger.js';
+
+/**
+ * Log one record and return what was written
+ *
+ * @param {Object} redaction - Redaction rules (see createLogger)
+ * @param {Object} fields - Fields of the record
+ * @param {string} [event] - Event name of the record
+ * @returns {Object} The written record
+ */
+function logRecord(redaction, fields, event = "test.event") {
+    const lines = [];
+    const log = new Logger({ sinks: [{ level: 0, write: line => lines.push(line) }], redaction });
+    log.warn(event, fields);
+    return JSON.parse(lines[0]);
+}
+
+describe("Logger", () => {
+    test("replaces secret fields at any depth and patterns in every string", () => {
+        const record = logRecord({ fields: ["apiKey"], patterns: ["([?&]key=)[^&\\s]+"] }, {
+            config: { weather: { apiKey: "secret" } },
+            error: "Request to https://api.example.com/?key=secret&q=Paris failed"
+        });
+        assert.deepEqual(record.config, { weather: { apiKey: "[redacted]" } });
+        assert.equal(record.error, "Request to https://api.example.com/?key=[redacted]&q=Paris failed");
+    });
+
+    test("replaces prompts, generated text and raw tool calls with their length", () => {
+        const fields = {
+            prompt: "What's the weather in Paris?",
+            raw: '{"location": Paris}',
+            data: { toolCall: "weather", toolArgs: '{"location":"Paris"}' },
+            tool: "weather"
+        };
+
+        const plain = logRecord({}, fields);
+        assert.equal(plain.raw, fields.raw);
+        assert.deepEqual(plain.data, fields.data);
+
+        const record = logRecord({ prompts: true }, fields);
+        assert.equal(record.prompt, "[redacted: 28 chars]");
+        assert.equal(record.raw, "[redacted: 19 chars]");
+        assert.deepEqual(record.data, { toolCall: "weather", toolArgs: "[redacted: 20 chars]" });
+        assert.equal(record.tool, "weather");
+    });
+
+    test("replaces the arguments of tool calls in every record that carries them", () => {
+        const records = [
+            ["tool.call", { tool: "weather", input: { location: "Paris" } }],
+            ["sentinel.toolCall", { tool: "weather", payload: { location: "Paris" } }],
+            ["tool.invalidInput", { tool: "weather", raw: '{"location": Paris}', error: "Invalid JSON input" }],
+            ["sse.event", {
+                type: "toolApproval",
+                data: { toolApproval: "edited", approvalId: "a1", toolName: "weather", toolArgs: '{"location":"Paris"}' }
+            }]
+        ];
+
+        for (const [event, fields] of records) {
+            const plain = JSON.stringify(logRecord({}, fields, event));
+            assert.match(plain, /Paris/);
+            const redacted = JSON.stringify(logRecord({ prompts: true }, fields, event));
+            assert.doesNotMatch(redacted, /Paris/, event);
+            assert.match(redacted, /"tool(Name)?":"weather"/, event);
+        }
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for the Llama prompt templates
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    renderLlama3Prompt,
+    renderLlama2Prompt,
+    renderPrompt,
+    selectPromptTemplate
+} from '../lib/prompt-templates.js';
+
+const SYSTEM = { role: "system", content: "You are a weather assistant." };
+
+const HISTORY = [
+    SYSTEM,
+    { role: "user", content: "Hi there" },
+    { role: "assistant", content: "Hello! How can I help?" },
+    { role: "user", content: "Is it cold in Oslo?" }
+];
+
+const TOOL_TURNS = [
+    SYSTEM,
+    { role: "user", content: "What's the weather in Paris?" },
+    { role: "assistant", content: '<CALL_WEATHER>{"location":"Paris"}</CALL_WEATHER>' },
+    { role: "tool", content: '<WEATHER_RESULT>{"temp_c":18}</WEATHER_RESULT>' }
+];
+
+describe("renderLlama3Prompt", () => {
+    test("renders a single user prompt", () => {
+        assert.equal(
+            renderLlama3Prompt([{ role: "user", content: "Hello" }]),
+            "<|begin_of_text|>" +
+            "<|start_header_id|>user<|end_header_id|>\n\nHello<|eot_id|>" +
+            "<|start_header_id|>assistant<|end_header_id|>\n\n"
+        );
+    });
+
+    test("renders the system prompt as its own turn", () => {
+        assert.equal(
+            renderLlama3Prompt([SYSTEM, { role: "user", content: "  Hello\n" }]),
+            "<|begin_of_text|>" +
+            "<|start_header_id|>system<|end_header_id|>\n\nYou are a weather assistant.<|eot_id|>" +
+            "<|start_header_id|>user<|end_header_id|>\n\nHello<|eot_id|>" +
+            "<|start_header_id|>assistant<|end_header_id|>\n\n"
+        );
+    });
+
+    test("renders multi-turn history", () => {
+        assert.equal(
+            renderLlama3Prompt(HISTORY),
+            "<|begin_of_text|>" +
+            "<|start_header_id|>system<|end_header_id|>\n\nYou are a weather assistant.<|eot_id|>" +
+            "<|start_header_id|>user<|end_header_id|>\n\nHi there<|eot_id|>" +
+            "<|start_header_id|>assistant<|end_header_id|>\n\nHello! How can I help?<|eot_id|>" +
+            "<|start_header_id|>user<|end_header_id|>\n\nIs it cold in Oslo?<|eot_id|>" +
+            "<|start_header_id|>assistant<|end_header_id|>\n\n"
+        );
+    });
+
+    test("renders tool results with the ipython role", () => {
+        assert.equal(
+            renderLlama3Prompt(TOOL_TURNS),
+            "<|begin_of_text|>" +
+            "<|start_header_id|>system<|end_header_id|>\n\nYou are a weather assistant.<|eot_id|>" +
+            "<|start_header_id|>user<|end_header_id|>\n\nWhat's the weather in Paris?<|eot_id|>" +
+            '<|start_header_id|>assistant<|end_header_id|>\n\n<CALL_WEATHER>{"location":"Paris"}</CALL_WEATHER><|eot_id|>' +
+            '<|start_header_id|>ipython<|end_header_id|>\n\n<WEATHER_RESULT>{"temp_c":18}</WEATHER_RESULT><|eot_id|>' +
+            "<|start_header_id|>assistant<|end_header_id|>\n\n"
+        );
+    });
+});
+
+describe("renderLlama2Prompt", () => {
+    test("renders a single user prompt", () => {
+        assert.equal(renderLlama2Prompt([{ role: "user", content: "Hello" }]), "<s>[INST] Hello [/INST]");
+    });
+
+    test("wraps the system prompt in the first instruction", () => {
+        assert.equal(
+            renderLlama2Prompt([SYSTEM, { role: "user", content: "Hello" }]),
+            "<s>[INST] <<SYS>>\nYou are a weather assistant.\n<</SYS>>\n\nHello [/INST]"
+        );
+    });
+
+    test("renders multi-turn history", () => {
+        assert.equal(
+            renderLlama2Prompt(HISTORY),
+            "<s>[INST] <<SYS>>\nYou are a weather assistant.\n<</SYS>>\n\nHi there [/INST] Hello! How can I help? </s>" +
+            "<s>[INST] Is it cold in Oslo? [/INST]"
+        );
+    });
+
+    test("sends tool results as a user instruction", () => {
+        assert.equal(
+            renderLlama2Prompt(TOOL_TURNS),
+            "<s>[INST] <<SYS>>\nYou are a weather assistant.\n<</SYS>>\n\nWhat's the weather in Paris? [/INST] " +
+            '<CALL_WEATHER>{"location":"Paris"}</CALL_WEATHER> </s>' +
+            '<s>[INST] <WEATHER_RESULT>{"temp_c":18}</WEATHER_RESULT> [/INST]'
+        );
+    });
+
+    test("merges consecutive user and tool turns into one instruction", () => {
+        assert.equal(
+            renderLlama2Prompt([
+                { role: "user", content: "Weather in Paris?" },
+                { role: "tool", content: "<WEATHER_RESULT>{}</WEATHER_RESULT>" }
+            ]),
+            "<s>[INST] Weather in Paris?\n<WEATHER_RESULT>{}</WEATHER_RESULT> [/INST]"
+        );
+    });
+
+    test("renders a system prompt without other turns", () => {
+        assert.equal(
+            renderLlama2Prompt([SYSTEM]),
+            "<s>[INST] <<SYS>>\nYou are a weather assistant.\n<</SYS>> [/INST]"
+        );
+    });
+});
+
+describe("selectPromptTemplate", () => {
+    test("detects the family from the model id", () => {
+        assert.equal(selectPromptTemplate("us.meta.llama3-2-90b-instruct-v1:0"), "llama3");
+        assert.equal(selectPromptTemplate("meta.llama2-13b-chat-v1"), "llama2");
+        assert.equal(selectPromptTemplate("meta.llama2-13b-chat-v1", "auto"), "llama2");
+    });
+
+    test("uses an explicit template name", () => {
+        assert.equal(selectPromptTemplate("us.meta.llama3-2-90b-instruct-v1:0", "llama2"), "llama2");
+    });
+
+    test("rejects an unknown template name", () => {
+        assert.throws(() => selectPromptTemplate("meta.llama2-13b-chat-v1", "mistral"), /Unknown prompt template "mistral"/);
+    });
+});
+
+describe("renderPrompt", () => {
+    test("renders with the named template", () => {
+        assert.equal(renderPrompt(HISTORY, "llama2"), renderLlama2Prompt(HISTORY));
+        assert.equal(renderPrompt(HISTORY), renderLlama3Prompt(HISTORY));
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for the streaming sentinel parser
+ *
+ * Every input is fed whole, one character at a time and split at every
+ * possible pair of positions, and must always produce the same events.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentinelParser } from '../lib/sentinel-parser.js';
+
+const TAGS = [
+    { name: "weather", start: "<CALL_WEATHER>", end: "</CALL_WEATHER>" },
+    { name: "forecast", start: "<CALL_FORECAST>", end: "</CALL_FORECAST>" }
+];
+
+/**
+ * Feed chunks to a new parser and collect every event, including the flush
+ *
+ * Adjacent text events are merged, since where the text is split depends
+ * on the chunks.
+ *
+ * @param {string[]} chunks - Streamed text
+ * @param {Object} [options] - Parser options
+ * @returns {Object[]} Events
+ */
+function parse(chunks, options = {}) {
+    const parser = new SentinelParser({ tags: TAGS, ...options });
+    const events = [];
+    for (const chunk of chunks) {
+        events.push(...parser.feed(chunk));
+    }
+    events.push(...parser.flush());
+
+    return events.reduce((merged, event) => {
+        const last = merged[merged.length - 1];
+        if (event.type === "text" && last?.type === "text") {
+            last.text += event.text;
+        } else {
+            merged.push({ ...event });
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Every way of splitting a string into one, two or three chunks, and into
+ * single characters
+ *
+ * @param {string} input - Streamed text
+ * @returns {string[][]} Lists of chunks
+ */
+function splits(input) {
+    const result = [[input], [...input]];
+    for (let i = 0; i <= input.length; i++) {
+        for (let j = i; j <= input.length; j++) {
+            result.push([input.slice(0, i), input.slice(i, j), input.slice(j)]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Assert that an input produces the expected events however it is split
+ *
+ * @param {string} input - Streamed text
+ * @param {Object[]} expected - Events
+ */
+function assertEverySplit(input, expected) {
+    for (const chunks of splits(input)) {
+        assert.deepEqual(parse(chunks), expected, `chunks: ${JSON.stringify(chunks)}`);
+    }
+}
+
+const text = value => ({ type: "text", text: value });
+const TAG_BY_NAME = Object.fromEntries(TAGS.map(tag => [tag.name, tag]));
+const source = (name, raw) => TAG_BY_NAME[name].start + raw + TAG_BY_NAME[name].end;
+const call = (name, payload, raw = JSON.stringify(payload)) => ({ type: "toolCall", name, payload, raw, source: source(name, raw) });
+
+describe("SentinelParser", () => {
+    test("passes plain text through", () => {
+        assertEverySplit("It is sunny in Paris today.", [text("It is sunny in Paris today.")]);
+    });
+
+    test("emits nothing for an empty stream", () => {
+        assert.deepEqual(parse([]), []);
+        assert.deepEqual(parse(["", ""]), []);
+    });
+
+    test("parses a tool call split at every boundary", () => {
+        assertEverySplit('<CALL_WEATHER>{"location":"Paris, France"}</CALL_WEATHER>', [
+            call("weather", { location: "Paris, France" })
+        ]);
+    });
+
+    test("parses a tool call between text", () => {
+        assertEverySplit('Let me check. <CALL_WEATHER>{"location":"Oslo"}</CALL_WEATHER> One moment.', [
+            text("Let me check. "),
+            call("weather", { location: "Oslo" }),
+            text(" One moment.")
+        ]);
+    });
+
+    test("parses every tag name", () => {
+        assertEverySplit('<CALL_FORECAST>{"location":"Rome","days":3}</CALL_FORECAST>', [
+            call("forecast", { location: "Rome", days: 3 })
+        ]);
+    });
+
+    test("parses consecutive tool calls of different tools", () => {
+        assertEverySplit(
+            '<CALL_WEATHER>{"location":"Lima"}</CALL_WEATHER>\n<CALL_FORECAST>{"location":"Quito"}</CALL_FORECAST>',
+            [
+                call("weather", { location: "Lima" }),
+                text("\n"),
+                call("forecast", { location: "Quito" })
+            ]
+        );
+    });
+
+    test("keeps whitespace of the payload in raw", () => {
+        const raw = '\n  { "location": "Cairo" }\n';
+        assertEverySplit(`<CALL_WEATHER>${raw}</CALL_WEATHER>`, [call("weather", { location: "Cairo" }, raw)]);
+    });
+
+    test("does not treat an end tag of another tool as the end of a call", () => {
+        const raw = '{"location":"</CALL_FORECAST>"}';
+        assertEverySplit(`<CALL_WEATHER>${raw}</CALL_WEATHER>`, [call("weather", { location: "</CALL_FORECAST>" }, raw)]);
+    });
+
+    test("reports invalid JSON as an error event", () => {
+        const events = parse(['<CALL_WEATHER>{"location":"Paris"</CALL_WEATHER> after']);
+        assert.equal(events.length, 2);
+        assert.equal(events[0].type, "error");
+        assert.equal(events[0].name, "weather");
+        assert.equal(events[0].raw, '{"location":"Paris"');
+        assert.equal(events[0].source, '<CALL_WEATHER>{"location":"Paris"</CALL_WEATHER>');
+        assert.match(events[0].error, /^Invalid JSON payload: /);
+        assert.deepEqual(events[1], text(" after"));
+
+        for (const chunks of splits('<CALL_WEATHER>{"location":"Paris"</CALL_WEATHER> after')) {
+            assert.deepEqual(parse(chunks), events, `chunks: ${JSON.stringify(chunks)}`);
+        }
+    });
+
+    test("reports a payload that is not an object as an error event", () => {
+        for (const raw of ['"Paris"', '["Paris"]', "null", "42"]) {
+            assertEverySplit(`<CALL_WEATHER>${raw}</CALL_WEATHER>`, [
+                { type: "error", name: "weather", raw, error: "Tool call payload must be a JSON object", source: source("weather", raw) }
+            ]);
+        }
+    });
+
+    test("releases a partial start tag at the end of the stream", () => {
+        for (const input of ["Checking <", "Checking <CALL", "Checking <CALL_", "Checking <CALL_WEATHE", "Checking <CALL_FORE"]) {
+            assertEverySplit(input, [text(input)]);
+        }
+    });
+
+    test("withholds only text that could start a tag", () => {
+        const parser = new SentinelParser({ tags: TAGS });
+        assert.deepEqual(parser.feed("Temperature < 20 and <CALL_"), [text("Temperature < 20 and ")]);
+        assert.deepEqual(parser.feed("X"), [text("<CALL_X")]);
+        assert.deepEqual(parser.feed("<CALL_W"), []);
+        assert.deepEqual(parser.feed("ET>"), [text("<CALL_WET>")]);
+        assert.deepEqual(parser.flush(), []);
+    });
+
+    test("emits false starts as text", () => {
+        assertEverySplit("a <CALL_X> b <CALL_WEATHER c <CALL_FORECASTS> d <<CALL", [
+            text("a <CALL_X> b <CALL_WEATHER c <CALL_FORECASTS> d <<CALL")
+        ]);
+        assertEverySplit('<<CALL_WEATHER>{"location":"Bern"}</CALL_WEATHER>', [
+            text("<"),
+            call("weather", { location: "Bern" })
+        ]);
+        assertEverySplit('<CALL_<CALL_WEATHER>{"location":"Bern"}</CALL_WEATHER>', [
+            text("<CALL_"),
+            call("weather", { location: "Bern" })
+        ]);
+    });
+
+    test("emits trailing text after the last call", () => {
+        assertEverySplit('<CALL_WEATHER>{"location":"Nairobi"}</CALL_WEATHER> is what I asked for. <', [
+            call("weather", { location: "Nairobi" }),
+            text(" is what I asked for. <")
+        ]);
+    });
+
+    test("reports a call left open at the end of the stream and releases its text", () => {
+        assertEverySplit('Sure. <CALL_WEATHER>{"location":"Ber', [
+            text("Sure. "),
+            { type: "error", name: "weather", raw: '{"location":"Ber', error: "Stream ended before </CALL_WEATHER>" },
+            text('<CALL_WEATHER>{"location":"Ber')
+        ]);
+        assertEverySplit('<CALL_WEATHER>{"location":"Bern"}</CALL_WEA', [
+            { type: "error", name: "weather", raw: '{"location":"Bern"}</CALL_WEA', error: "Stream ended before </CALL_WEATHER>" },
+            text('<CALL_WEATHER>{"location":"Bern"}</CALL_WEA')
+        ]);
+    });
+
+    test("gives up on an unterminated call after maxHold characters", () => {
+        const input = "<CALL_WEATHER>" + "x".repeat(30) + " and then more text";
+        for (const chunks of splits(input)) {
+            const events = parse(chunks, { maxHold: 10 });
+            assert.equal(events.length, 2, `chunks: ${JSON.stringify(chunks)}`);
+            assert.equal(events[0].type, "error");
+            assert.equal(events[0].error, "No </CALL_WEATHER> within 10 characters");
+            assert.equal(events[0].source, undefined);
+            assert.deepEqual(events[1], text(input));
+        }
+    });
+
+    test("scans the text held after a stray start tag again for calls", () => {
+        const input = '<CALL_WEATHER>Oops. <CALL_FORECAST>{"location":"Rome"}</CALL_FORECAST> Done.';
+        for (const chunks of splits(input)) {
+            const [error, ...rest] = parse(chunks, { maxHold: 40 });
+            assert.equal(error.error, "No </CALL_WEATHER> within 40 characters", `chunks: ${JSON.stringify(chunks)}`);
+            assert.deepEqual(rest, [
+                text("<CALL_WEATHER>Oops. "),
+                call("forecast", { location: "Rome" }),
+                text(" Done.")
+            ], `chunks: ${JSON.stringify(chunks)}`);
+        }
+    });
+
+    test("only applies maxHold while the end tag is missing", () => {
+        const input = '<CALL_WEATHER>{"location":"Rio de Janeiro"}</CALL_WEATHER>';
+        assert.deepEqual(parse([input], { maxHold: 10 }), [call("weather", { location: "Rio de Janeiro" })]);
+    });
+
+    test("requires at least one tag pair", () => {
+        assert.throws(() => new SentinelParser({ tags: [] }), /at least one tag pair/);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the resumable stream runs
+ */
+
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { StreamRunStore } from '../lib/stream-runs.js';
+
+/**
+ * @returns {Object} A stand-in for an Express response that records what is written
+ */
+function createResponse() {
+    const res = new EventEmitter();
+    res.written = "";
+    res.ended = false;
+    res.write = (text) => {
+        res.written += text;
+    };
+    res.end = () => {
+        res.ended = true;
+    };
+    return res;
+}
+
+describe("StreamRun", () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test("cancels a run that is not resumable as soon as its client disconnects", () => {
+        const run = new StreamRunStore({ graceMs: 30000 }).create();
+        const res = createResponse();
+        run.attach(res);
+
+        res.emit("close");
+        assert.equal(run.status, "cancelled");
+        assert.equal(run.signal.aborted, true);
+    });
+
+    test("keeps a resumable run generating for the grace period", () => {
+        mock.timers.enable({ apis: ["setTimeout"] });
+        const run = new StreamRunStore({ graceMs: 30000 }).create({ resumable: true });
+        const res = createResponse();
+        run.attach(res);
+        res.emit("close");
+
+        mock.timers.tick(29999);
+        assert.equal(run.status, "running");
+        mock.timers.tick(1);
+        assert.equal(run.status, "cancelled");
+        assert.equal(run.signal.aborted, true);
+    });
+
+    test("resumes a resumable run when its client reconnects within the grace period", () => {
+        mock.timers.enable({ apis: ["setTimeout"] });
+        const run = new StreamRunStore({ graceMs: 30000 }).create({ resumable: true });
+        const first = createResponse();
+        run.attach(first);
+        run.send("text", { text: "Hello" });
+        first.emit("close");
+
+        run.send("text", { text: " world" });
+        const second = createResponse();
+        assert.equal(run.attach(second, 1), true);
+        assert.equal(second.written, `id: ${run.id}:2\nevent: text\ndata: {"text":" world"}\n\n`);
+
+        mock.timers.tick(30000);
+        assert.equal(run.status, "running");
+        run.finish();
+        assert.equal(second.ended, true);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the tool registry and the result cache of its tools
+ */
+
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry } from '../lib/tools/registry.js';
+import { ToolResultCache } from '../lib/tools/cache.js';
+import { historyTool } from '../lib/tools/weather.js';
+
+/**
+ * Create a registry with a cache and the history tool, whose handler
+ * returns the input it runs with instead of calling a weather provider
+ *
+ * @returns {ToolRegistry} The registry
+ */
+function createHistoryRegistry() {
+    return new ToolRegistry({ cache: new ToolResultCache() })
+        .register({ ...historyTool, handler: async input => ({ ...input }) });
+}
+
+/**
+ * Create a registry with a cache and a tool whose calls wait until they are
+ * resolved or their signal is aborted
+ *
+ * @returns {Object} { registry, signals }, where signals holds the signal
+ *   of each handler run, with a resolve function that finishes the run
+ */
+function createWaitingRegistry() {
+    const signals = [];
+    const registry = new ToolRegistry({ cache: new ToolResultCache(), defaultCacheTtl: 60 }).register({
+        name: "slow",
+        description: "Waits to be resolved",
+        inputSchema: { type: "object", properties: { location: { type: "string" } }, required: ["location"] },
+        handler: (input, { signal }) => new Promise((resolve) => {
+            signals.push(Object.assign(signal, { resolve: () => resolve({ ...input }) }));
+            signal.addEventListener("abort", () => resolve({ error: "The request was aborted" }));
+        })
+    });
+    return { registry, signals };
+}
+
+describe("ToolRegistry", () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test("validates the input before running the tool", async () => {
+        const { result, cache } = await createHistoryRegistry().call("weather_history", { daysAgo: 1 });
+        assert.deepEqual(result, { error: "Invalid input: input.location is required" });
+        assert.equal(cache, null);
+    });
+
+    test("caches results under the resolved input", async () => {
+        const registry = createHistoryRegistry();
+        mock.timers.enable({ apis: ["Date"], now: new Date(2026, 9, 19, 12, 0) });
+
+        const first = await registry.call("weather_history", { location: "Paris", daysAgo: 1 });
+        assert.deepEqual(first, { result: { location: "Paris", date: "2026-10-18" }, cache: "miss" });
+
+        const sameDate = await registry.call("weather_history", { location: "Paris", date: "2026-10-18" });
+        assert.deepEqual(sameDate, { result: { location: "Paris", date: "2026-10-18" }, cache: "hit" });
+    });
+
+    test("resolves daysAgo again after midnight", async () => {
+        const registry = createHistoryRegistry();
+        mock.timers.enable({ apis: ["Date"], now: new Date(2026, 9, 19, 23, 30) });
+        await registry.call("weather_history", { location: "Paris", daysAgo: 1 });
+
+        mock.timers.tick(60 * 60 * 1000);
+        const nextDay = await registry.call("weather_history", { location: "Paris", daysAgo: 1 });
+        assert.deepEqual(nextDay, { result: { location: "Paris", date: "2026-10-19" }, cache: "miss" });
+    });
+
+    test("cancels a cached call when its only caller is cancelled", async () => {
+        const { registry, signals } = createWaitingRegistry();
+        const controller = new AbortController();
+
+        const call = registry.call("slow", { location: "Paris" }, { signal: controller.signal });
+        await new Promise(setImmediate);
+        controller.abort(new Error("Client disconnected"));
+        await assert.rejects(call, /Client disconnected/);
+        assert.equal(signals[0].aborted, true);
+
+        // The cancelled call is not cached and no longer coalesced onto
+        const next = registry.call("slow", { location: "Paris" });
+        await new Promise(setImmediate);
+        assert.equal(signals.length, 2);
+        signals[1].resolve();
+        assert.deepEqual(await next, { result: { location: "Paris" }, cache: "miss" });
+    });
+
+    test("keeps a cached call running while another caller waits for it", async () => {
+        const { registry, signals } = createWaitingRegistry();
+        const controller = new AbortController();
+
+        const cancelled = registry.call("slow", { location: "Paris" }, { signal: controller.signal });
+        const waiting = registry.call("slow", { location: "Paris" }, { signal: new AbortController().signal });
+        await new Promise(setImmediate);
+        controller.abort(new Error("Client disconnected"));
+        await assert.rejects(cancelled, /Client disconnected/);
+        assert.equal(signals[0].aborted, false);
+
+        signals[0].resolve();
+        assert.deepEqual(await waiting, { result: { location: "Paris" }, cache: "coalesced" });
+        assert.equal(signals.length, 1);
+    });
+
+    test("prefers an explicit date over daysAgo", async () => {
+        const { result } = await createHistoryRegistry().call("weather_history", { location: "Paris", date: "2026-01-01", daysAgo: 3 });
+        assert.deepEqual(result, { location: "Paris", date: "2026-01-01" });
+    });
+});